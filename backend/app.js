@@ -0,0 +1,51 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import morgan from 'morgan';
+import emailRoutes from './routes/email.routes.js';
+import modelRoutes from './routes/model.routes.js';
+import jobRoutes from './routes/job.routes.js';
+import historyRoutes from './routes/history.routes.js';
+
+const app = express();
+
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('combined'));
+}
+
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.RATE_LIMIT_MAX) || 100,
+  message: { error: 'Too many requests from this IP, please try again later.' }
+});
+app.use(limiter);
+
+app.use('/v1/jobs', jobRoutes);
+app.use(express.json({ limit: '10kb' }));
+
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+app.use('/v1', emailRoutes);
+app.use('/v1', modelRoutes);
+app.use('/v1/history', historyRoutes);
+
+app.use((req, res) => {
+  res.status(404).json({ error: `Cannot ${req.method} ${req.path}` });
+});
+
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large' });
+  }
+  console.error('Unhandled error:', err);
+  res.status(500).json({
+    error: 'Internal server error',
+    details: err.message
+  });
+});
+
+export default app;
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import csv from 'csv-parser';
+import { checkEmailValidation, VALIDATION_MODES } from '../controllers/email.controller.js';
+import { getDnsCacheStats } from '../services/dns-resolver.service.js';
+import { listProfiles } from '../services/profile.service.js';
+import { RetryQueue } from '../services/retry-queue.service.js';
+import { formatCsvRow, resultFields, RESULT_COLUMNS } from '../services/csv.service.js';
+
+const FORMATS = ['csv', 'jsonl', 'xlsx'];
+
+const USAGE = `Usage:
+  catchall validate <file> [options]   Validate every address in a CSV file
+  catchall check <address> [options]   Validate a single address
+
+Options:
+  --column <name>        Column holding the addresses (default: email)
+  --delimiter <char>     Input and CSV output delimiter (default: ,)
+  --format <format>      Output format: csv, jsonl or xlsx (default: from --output, else csv)
+  --output <file>        Output file (default: <file>.results.<format> next to the input)
+  --profile <name>       Validation profile
+  --all                  Run every check instead of stopping at the first failure
+  --concurrency <n>      Addresses validated at once (default: 10)
+  --resume               Continue an interrupted run, skipping rows already in the output
+                         and settling the rows still queued for retry
+  --no-retry             Write greylisted or temporarily failed addresses as they are
+                         instead of retrying them
+  --json                 check: print the full result as JSON
+  -h, --help             Show this help`;
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const { values: flags, positionals } = (() => {
+  try {
+    return parseArgs({
+      allowPositionals: true,
+      options: {
+        column: { type: 'string', default: 'email' },
+        delimiter: { type: 'string', default: ',' },
+        format: { type: 'string' },
+        output: { type: 'string' },
+        profile: { type: 'string' },
+        all: { type: 'boolean', default: false },
+        concurrency: { type: 'string', default: '10' },
+        resume: { type: 'boolean', default: false },
+        'no-retry': { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    return fail(`${error.message}\n\n${USAGE}`);
+  }
+})();
+
+const profileNames = listProfiles().map(profile => profile.name);
+if (flags.profile && !profileNames.includes(flags.profile)) {
+  fail(`Unknown profile "${flags.profile}". Use one of: ${profileNames.join(', ')}.`);
+}
+
+const validationOptions = {
+  profile: flags.profile,
+  mode: flags.all ? VALIDATION_MODES.ALL : undefined
+};
+
+const readCsv = (file, delimiter) => new Promise((resolve, reject) => {
+  const rows = [];
+  let headers = [];
+  fs.createReadStream(file)
+    .on('error', reject)
+    .pipe(csv({ separator: delimiter }))
+    .on('headers', (names) => { headers = names; })
+    .on('data', row => rows.push(row))
+    .on('end', () => resolve({ headers, rows }))
+    .on('error', reject);
+});
+
+// Cuts off a record left half-written by an interrupted run so it is counted
+// as not done and the next append starts on a fresh line.
+const dropPartialRecord = (file) => {
+  const content = fs.readFileSync(file, 'utf8');
+  if (content && !content.endsWith('\n')) {
+    fs.truncateSync(file, Buffer.byteLength(content.slice(0, content.lastIndexOf('\n') + 1)));
+  }
+};
+
+const countJsonLines = (file) => fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).length;
+
+// Writers append one row at a time so an interrupted run leaves a usable
+// prefix that --resume can continue from. XLSX cannot be appended to, so its
+// rows go to a JSON-lines side file that is converted when the run ends.
+const createWriter = (format, file, columns, delimiter) => {
+  const rowObject = values => Object.fromEntries(columns.map((column, index) => [column, values[index]]));
+
+  if (format === 'csv') {
+    return {
+      completed: async () => {
+        if (!fs.existsSync(file)) return 0;
+        dropPartialRecord(file);
+        return (await readCsv(file, delimiter)).rows.length;
+      },
+      start: (fresh) => fresh && fs.writeFileSync(file, formatCsvRow(columns, { delimiter })),
+      write: values => fs.appendFileSync(file, formatCsvRow(values, { delimiter })),
+      finish: async () => {}
+    };
+  }
+
+  const linesFile = format === 'xlsx' ? `${file}.partial.jsonl` : file;
+  return {
+    completed: async () => {
+      if (!fs.existsSync(linesFile)) return 0;
+      dropPartialRecord(linesFile);
+      return countJsonLines(linesFile);
+    },
+    start: (fresh) => fresh && fs.writeFileSync(linesFile, ''),
+    write: values => fs.appendFileSync(linesFile, `${JSON.stringify(rowObject(values))}\n`),
+    finish: async () => {
+      if (format !== 'xlsx') return;
+      const { default: ExcelJS } = await import('exceljs');
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Results');
+      sheet.addRow(columns);
+      fs.readFileSync(linesFile, 'utf8').split('\n').filter(Boolean).forEach(line => {
+        const row = JSON.parse(line);
+        sheet.addRow(columns.map(column => row[column]));
+      });
+      await workbook.xlsx.writeFile(file);
+      fs.unlinkSync(linesFile);
+    }
+  };
+};
+
+// Result columns keep their names unless the input already has a column of
+// that name, in which case they get a numbered suffix so no value is lost.
+const resultColumnsFor = (headers) => {
+  const taken = new Set(headers.map(header => header.toLowerCase()));
+  return RESULT_COLUMNS.map(name => {
+    let column = name;
+    for (let suffix = 2; taken.has(column.toLowerCase()); suffix++) column = `${name}_${suffix}`;
+    if (column !== name) console.error(`The input already has a "${name}" column; the result column is written as "${column}".`);
+    taken.add(column.toLowerCase());
+    return column;
+  });
+};
+
+const outputFormat = () => {
+  const format = flags.format || (flags.output && path.extname(flags.output).slice(1).toLowerCase()) || 'csv';
+  if (!FORMATS.includes(format)) fail(`Unknown output format "${format}". Use one of: ${FORMATS.join(', ')}.`);
+  return format;
+};
+
+const validateFile = async (file) => {
+  if (!fs.existsSync(file)) fail(`Input file "${file}" does not exist.`);
+  const concurrency = Number(flags.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) fail('--concurrency must be a positive integer.');
+
+  const { delimiter } = flags;
+  const format = outputFormat();
+  const output = flags.output || path.join(path.dirname(file), `${path.basename(file, path.extname(file))}.results.${format}`);
+  const { headers, rows } = await readCsv(file, delimiter);
+  const column = headers.find(header => header.trim().toLowerCase() === flags.column.toLowerCase())
+    || (headers.length === 1 ? headers[0] : null);
+  if (!column) fail(`Column "${flags.column}" not found. Available columns: ${headers.join(', ')}.`);
+
+  const columns = [...headers, ...resultColumnsFor(headers)];
+  const writer = createWriter(format, output, columns, delimiter);
+  const skip = flags.resume ? await writer.completed() : 0;
+  writer.start(skip === 0);
+  if (skip) console.error(`Resuming: ${skip} of ${rows.length} rows are already in ${output}.`);
+
+  const rowValues = (index, result) => [...headers.map(header => rows[index][header]), ...Object.values(resultFields(result))];
+  const errorValues = (index, error) => [...headers.map(header => rows[index][header]), error.step || 'unknown', false, 'unknown', 'CHECK_ERROR', ''];
+
+  // Greylisted and temporarily failed addresses go to a retry queue next to
+  // the output, keyed by row, and are held back until their retries settle.
+  // An interrupted run keeps the queue, and --resume settles those rows
+  // instead of checking them again; any other run starts over.
+  const retryQueue = new RetryQueue({ filePath: `${output}.retry.json` });
+  if (skip === 0 || flags['no-retry']) fs.rmSync(retryQueue.filePath, { force: true });
+  retryQueue.load();
+
+  // Results can finish out of order; they are buffered and written in input
+  // order so the output lines up with the input file.
+  const finished = new Map();
+  let nextToWrite = skip;
+  const flush = () => {
+    while (finished.has(nextToWrite)) {
+      writer.write(finished.get(nextToWrite));
+      finished.delete(nextToWrite);
+      nextToWrite++;
+      if (nextToWrite % 100 === 0 || nextToWrite === rows.length) {
+        console.error(`Processed ${nextToWrite}/${rows.length}`);
+      }
+    }
+  };
+
+  let next = skip;
+  const worker = async () => {
+    while (next < rows.length) {
+      const index = next++;
+      if (retryQueue.has(index)) continue;
+      const email = (rows[index][column] || '').trim();
+      try {
+        const result = await checkEmailValidation(email, validationOptions);
+        if (!flags['no-retry'] && retryQueue.isRetryable(result)) {
+          retryQueue.schedule(index, email, result, validationOptions);
+          continue;
+        }
+        finished.set(index, rowValues(index, result));
+      } catch (error) {
+        console.error(`Error processing row ${index + 1}: ${error.message}`);
+        finished.set(index, errorValues(index, error));
+      }
+      flush();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, Math.max(rows.length - skip, 0)) }, worker));
+
+  if (retryQueue.size) {
+    const dueAt = new Date(retryQueue.nextDueAt()).toISOString();
+    console.error(`Retrying ${retryQueue.size} temporarily rejected addresses from ${dueAt}; the rows after them are written once they settle.`);
+    // A retry that throws is written as a failed check, like any other row.
+    await retryQueue.drain(
+      (email, options) => checkEmailValidation(email, options).catch(error => ({ validationError: error })),
+      ({ validationError, ...result }, options, index) => {
+        finished.set(index, validationError ? errorValues(index, validationError) : rowValues(index, result));
+        flush();
+      }
+    );
+  }
+  fs.rmSync(retryQueue.filePath, { force: true });
+  await writer.finish();
+
+  console.error(`Wrote ${rows.length} rows to ${output}.`);
+  console.error('DNS cache stats:', getDnsCacheStats());
+};
+
+const checkAddress = async (address) => {
+  const result = await checkEmailValidation(address, validationOptions);
+  if (flags.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(`${result.email}: ${result.verdict}${result.status ? '' : ' (rejected)'}`);
+    result.reasons.forEach(reason => console.log(`  ${reason.code} [${reason.step}] ${reason.message}`));
+    if (result.suggestion) console.log(`  Did you mean ${result.suggestion.email}?`);
+  }
+  process.exitCode = result.status ? 0 : 2;
+};
+
+const [command, target] = positionals;
+if (flags.help || !command) {
+  console.log(USAGE);
+} else if (command === 'validate' && target) {
+  await validateFile(target);
+} else if (command === 'check' && target) {
+  await checkAddress(target);
+} else {
+  fail(USAGE);
+}
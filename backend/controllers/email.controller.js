@@ -8,87 +8,397 @@ import {
     validateDkimRecord,
     validateDmarcRecord,
     checkDisposableDomain,
-    validateDnsblRecords
+    validateDnsblRecords,
+    validateCatchAll,
+    validateHomoglyphs
   } from './validator.controller.js';
-  
-  export const checkEmailValidation = async (email) => {
-    let domain, localPart;
-  
-    try {
-      email = sanitizeEmail(email);
-    } catch (err) {
-      return { email, status: false, verification: 'inputValidation', error: err.message };
+  import {
+    VERDICTS,
+    reasonFromError,
+    resolveVerdict,
+    isAcceptedVerdict,
+    applyCheckPolicy,
+    verdictForReason
+  } from '../services/verdict.service.js';
+  import { getProfile } from '../services/profile.service.js';
+  import { normalizeAddress } from '../services/idn.service.js';
+  import { SYNTAX_MODES } from '../services/address-parser.service.js';
+  import { suggestEmail } from '../services/typo-suggestion.service.js';
+  import { classifyAddress } from '../services/address-classifier.service.js';
+  import { analyzeLocalPart, canonicalAddress } from '../services/local-part.service.js';
+  import { findDomainPosture, findFreshResult, saveResult } from '../services/result-store.service.js';
+
+  export const VALIDATION_MODES = Object.freeze({
+    EARLY_EXIT: 'early-exit',
+    ALL: 'all'
+  });
+
+  export const CHECK_STATUS = Object.freeze({
+    PASS: 'pass',
+    FAIL: 'fail',
+    ERROR: 'error',
+    SKIPPED: 'skipped'
+  });
+
+  // The mailbox provider fingerprinted by mxValidation, for checks whose
+  // behaviour depends on who hosts the domain's mail.
+  const providerOf = (mxOutcome) => (mxOutcome && mxOutcome.data ? mxOutcome.data.provider : null);
+
+  // Profiles pick checks from this registry. Early-exit mode runs them in the
+  // profile's order; run-all mode starts each check as soon as the checks it
+  // depends on have passed. Checks marked `domainRecords` look up the
+  // domain's DNS records and are skipped for address literals.
+  const CHECKS = {
+    homoglyphValidation: { run: ({ localPart, unicodeDomain }) => validateHomoglyphs(localPart, unicodeDomain) },
+    disposableDomainValidation: { domainRecords: true, run: ({ domain }) => checkDisposableDomain(domain) },
+    dnsValidation: { domainRecords: true, run: ({ domain }) => validateDnsRecords(domain) },
+    mxValidation: { domainRecords: true, run: ({ domain }) => validateMxRecords(domain) },
+    dnsblValidation: {
+      domainRecords: true,
+      dependsOn: ['mxValidation'],
+      run: ({ domain, outcomes }) => {
+        const mx = outcomes.get('mxValidation');
+        return validateDnsblRecords(domain, mx && mx.data ? { route: mx.data } : {});
+      }
+    },
+    spfValidation: { domainRecords: true, run: ({ domain }) => validateSpfRecord(domain) },
+    dkimValidation: {
+      domainRecords: true,
+      dependsOn: ['mxValidation'],
+      run: ({ domain, outcomes }) => {
+        const mx = outcomes.get('mxValidation');
+        return validateDkimRecord(domain, mx && mx.data ? { mxHosts: mx.data.mxHosts, provider: mx.data.provider } : {});
+      }
+    },
+    dmarcValidation: { domainRecords: true, run: ({ domain }) => validateDmarcRecord(domain) },
+    smtpValidation: {
+      dependsOn: ['mxValidation'],
+      run: ({ email, outcomes, literalHost }) => validateSMTPConnection(email, literalHost
+        ? { mxHosts: [literalHost] }
+        : { provider: providerOf(outcomes.get('mxValidation')) })
+    },
+    catchAllValidation: {
+      dependsOn: ['smtpValidation'],
+      run: ({ domain, outcomes, literalHost }) => {
+        const smtp = outcomes.get('smtpValidation');
+        const host = (smtp && smtp.data && smtp.data.host) || literalHost;
+        return validateCatchAll(domain, { provider: providerOf(outcomes.get('mxValidation')), ...(host ? { mxHosts: [host] } : {}) });
+      }
     }
-  
-    try {
-      validateEmailFormat(email);
-    } catch (err) {
-      return { email, status: false, verification: 'syntaxValidation', error: err.message };
+  };
+
+  // The IP address an address literal such as [192.0.2.1] or
+  // [IPv6:2001:db8::1] names, which is where its mail goes.
+  const literalAddress = (domain) => domain.slice(1, -1).replace(/^IPv6:/i, '');
+
+  export const CHECK_NAMES = Object.freeze(Object.keys(CHECKS));
+
+  const withTimeout = (name, promise, timeoutMs) => {
+    if (!timeoutMs) {
+      return promise;
     }
-  
-    try {
-      [localPart, domain] = email.split('@');
-    } catch (err) {
-      return { email, status: false, verification: 'domainExtraction', error: 'Email failed to pass domain extraction test.' };
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Check ${name} timed out after ${timeoutMs}ms.`);
+        error.step = name;
+        error.reason = 'CHECK_TIMEOUT';
+        reject(error);
+      }, timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  };
+
+  const executeCheck = async (name, run, { timeoutMs, blocking } = {}, outcomes) => {
+    const outcome = await runCheck(name, run, { timeoutMs, blocking });
+    if (outcomes) {
+      outcomes.set(name, outcome);
     }
-  
+    return outcome;
+  };
+
+  const runCheck = async (name, run, { timeoutMs, blocking }) => {
+    const startedAt = Date.now();
     try {
-      checkDisposableDomain(domain);
+      const data = await withTimeout(name, Promise.resolve().then(run), timeoutMs);
+      const outcome = { name, status: CHECK_STATUS.PASS, durationMs: Date.now() - startedAt };
+      if (data !== undefined) {
+        outcome.data = data;
+      }
+      return outcome;
     } catch (err) {
-      return { email, status: false, verification: 'disposableDomainValidation', error: err.message };
+      const outcome = {
+        name,
+        status: err.reason && err.reason !== 'CHECK_TIMEOUT' ? CHECK_STATUS.FAIL : CHECK_STATUS.ERROR,
+        durationMs: Date.now() - startedAt,
+        reason: applyCheckPolicy(reasonFromError(err, name), blocking)
+      };
+      if (err.data !== undefined) {
+        outcome.data = err.data;
+      }
+      return outcome;
     }
-  
-    try {
-      await validateDnsRecords(domain);
-    } catch (err) {
-      return { email, status: false, verification: 'dnsValidation', error: err.message };
+  };
+
+  const isBlockingOutcome = (outcome, blocking) => {
+    if (outcome.status === CHECK_STATUS.PASS || blocking === false) {
+      return false;
     }
-  
-    try {
-      await validateMxRecords(domain);
-    } catch (err) {
-      return { email, status: false, verification: 'mxValidation', error: err.message };
+    return !isAcceptedVerdict(outcome.reason.verdict);
+  };
+
+  // A domain record check with a fresh outcome in the domain's stored posture
+  // reuses it instead of resolving again. The stored reason is put through
+  // this profile's policy, since profiles differ in what blocks.
+  const cachedOutcome = ({ name, blocking }, stored) => {
+    const outcome = { name, status: stored.status, durationMs: 0, cachedAt: stored.checkedAt };
+    if (stored.reason) {
+      outcome.reason = applyCheckPolicy({ ...stored.reason, verdict: verdictForReason(stored.reason.code) }, blocking);
     }
-  
-    try {
-      await validateDnsblRecords(domain);
-    } catch (err) {
-      return { email, status: false, verification: 'dnsblValidation', error: err.message };
+    if (stored.data !== null) {
+      outcome.data = stored.data;
     }
-  
-    try {
-      await validateSpfRecord(domain);
-    } catch (err) {
-      return { email, status: false, verification: 'spfValidation', error: err.message };
+    return outcome;
+  };
+
+  const executePlanned = async (check, context) => {
+    const stored = check.domainRecords && context.posture ? context.posture[check.name] : null;
+    if (!stored) {
+      return executeCheck(check.name, () => check.run(context), check, context.outcomes);
     }
-  
-    // DKIM validation is currently commented out.
-    /*
-    try {
-      await validateDkimRecord(domain, 'default');
-    } catch (err) {
-      return { email, status: false, verification: 'dkimValidation', error: err.message };
+    const outcome = cachedOutcome(check, stored);
+    context.outcomes.set(check.name, outcome);
+    return outcome;
+  };
+
+  const runEarlyExit = async (checks, context) => {
+    const outcomes = [];
+    for (const check of checks) {
+      const outcome = await executePlanned(check, context);
+      outcomes.push(outcome);
+      if (isBlockingOutcome(outcome, check.blocking)) {
+        break;
+      }
     }
-    */
-  
-    try {
-      await validateDmarcRecord(domain);
-    } catch (err) {
-      return { email, status: false, verification: 'dmarcValidation', error: err.message };
+    return outcomes;
+  };
+
+  const runAll = (checks, context) => {
+    const byName = new Map(checks.map(check => [check.name, check]));
+    const running = new Map();
+
+    const start = (check) => {
+      if (!running.has(check.name)) {
+        running.set(check.name, (async () => {
+          const dependencies = (check.dependsOn || []).filter(name => byName.has(name));
+          const results = await Promise.all(dependencies.map(name => start(byName.get(name))));
+          const unmet = results.find(result => result.status !== CHECK_STATUS.PASS);
+          if (unmet) {
+            return {
+              name: check.name,
+              status: CHECK_STATUS.SKIPPED,
+              durationMs: 0,
+              skippedBecause: unmet.name
+            };
+          }
+          return executePlanned(check, context);
+        })());
+      }
+      return running.get(check.name);
+    };
+
+    return Promise.all(checks.map(start));
+  };
+
+  const planChecks = (profile) => profile.checks.map(settings => {
+    const check = CHECKS[settings.name];
+    if (!check) {
+      throw new Error(`Profile "${profile.name}" references unknown check "${settings.name}".`);
     }
-  
-    try {
-      await validateSMTPConnection(email);
-    } catch (err) {
-      return { email, status: false, verification: 'smtpValidation', error: err.message };
+    return { ...check, ...settings };
+  });
+
+  const scoreOutcomes = (outcomes, checks) => {
+    const weights = new Map(checks.map(check => [check.name, check.weight]));
+    let earned = 0;
+    let possible = 0;
+    for (const outcome of outcomes) {
+      const weight = weights.get(outcome.name) ?? 1;
+      if (outcome.status === CHECK_STATUS.SKIPPED) continue;
+      possible += weight;
+      if (outcome.status === CHECK_STATUS.PASS) earned += weight;
     }
-  
-    return {
+    return possible ? Number((earned / possible).toFixed(4)) : 0;
+  };
+
+  const catchAllFlag = (outcomes) => {
+    if (outcomes.some(item => item.reason && item.reason.verdict === VERDICTS.CATCH_ALL)) {
+      return true;
+    }
+    const outcome = outcomes.find(item => item.name === 'catchAllValidation');
+    return outcome && outcome.data ? outcome.data.catchAll : null;
+  };
+
+  // Enforcement level of the recipient domain's DMARC policy, for segmenting
+  // lists; null when DMARC was not checked or no record was found.
+  const dmarcPolicy = (outcomes) => {
+    const outcome = outcomes.find(item => item.name === 'dmarcValidation');
+    return outcome && outcome.data ? outcome.data.strength : null;
+  };
+
+  // Whether the typed domain resolves or has MX records, which rules out
+  // suggesting a correction for it.
+  const domainExists = (outcomes) => outcomes.some(outcome =>
+    ['dnsValidation', 'mxValidation'].includes(outcome.name) && outcome.status === CHECK_STATUS.PASS);
+
+  const buildResult = (email, outcomes, { mode, syntaxMode, profile, checks = [], startedAt, address }) => {
+    const reasons = outcomes.filter(outcome => outcome.reason).map(outcome => outcome.reason);
+    const verdict = resolveVerdict(reasons);
+    const decisive = reasons.find(reason => reason.verdict === verdict);
+    const result = {
       email,
-      status: true,
-      message: 'Email validation passed.',
-      checkedAt: new Date().toISOString(),
-      verification: 'all'
+      unicodeEmail: address ? address.unicode : null,
+      asciiEmail: address ? address.ascii : null,
+      canonicalEmail: address ? canonicalAddress(address.localPart, address.asciiDomain) : null,
+      suggestion: address ? suggestEmail(address.localPart, address.asciiDomain, { exists: domainExists(outcomes) }) : null,
+      classification: address ? classifyAddress(address.localPart, address.asciiDomain) : null,
+      localPartAnalysis: address ? analyzeLocalPart(address.localPart, address.asciiDomain) : null,
+      status: isAcceptedVerdict(verdict),
+      verdict,
+      reasons,
+      verification: verdict === VERDICTS.DELIVERABLE || !decisive ? 'all' : decisive.step,
+      catchAll: catchAllFlag(outcomes),
+      dmarcPolicy: dmarcPolicy(outcomes),
+      provider: providerOf(outcomes.find(outcome => outcome.name === 'mxValidation')),
+      score: scoreOutcomes(outcomes, checks),
+      profile: profile.name,
+      mode,
+      syntaxMode,
+      checks: outcomes,
+      durationMs: Date.now() - startedAt,
+      checkedAt: new Date().toISOString()
+    };
+    if (verdict === VERDICTS.DELIVERABLE) {
+      result.message = 'Email validation passed.';
+    } else if (decisive) {
+      result.error = decisive.message;
+    }
+    return result;
+  };
+
+  export const checkEmailValidation = async (email, options = {}) => {
+    const profile = getProfile(options.profile);
+    const mode = options.mode || profile.mode || VALIDATION_MODES.EARLY_EXIT;
+    if (!Object.values(VALIDATION_MODES).includes(mode)) {
+      throw new Error(`Unknown validation mode "${mode}".`);
+    }
+    const syntaxMode = options.syntaxMode || profile.syntaxMode || SYNTAX_MODES.STRICT;
+    if (!Object.values(SYNTAX_MODES).includes(syntaxMode)) {
+      throw new Error(`Unknown syntax mode "${syntaxMode}".`);
+    }
+
+    const checks = planChecks(profile);
+    const meta = { mode, syntaxMode, profile, checks, startedAt: Date.now() };
+    const preflight = [];
+
+    const input = await executeCheck('inputValidation', () => {
+      email = sanitizeEmail(email);
+    });
+    preflight.push(input);
+    if (input.status !== CHECK_STATUS.PASS) {
+      return buildResult(email, preflight, meta);
+    }
+
+    const syntax = await executeCheck('syntaxValidation', () => validateEmailFormat(email, { mode: syntaxMode }));
+    preflight.push(syntax);
+    if (syntax.status !== CHECK_STATUS.PASS) {
+      return buildResult(email, preflight, meta);
+    }
+
+    const extraction = await executeCheck('domainExtraction', () => {
+      // The parsed address has comments and folding whitespace removed.
+      const address = normalizeAddress(syntax.data.address);
+      if (!address.asciiDomain) {
+        const error = new Error('Email failed to pass domain extraction test.');
+        error.step = 'domainExtraction';
+        error.reason = 'DOMAIN_EXTRACTION_FAILED';
+        throw error;
+      }
+      meta.address = address;
+    });
+    preflight.push(extraction);
+    if (extraction.status !== CHECK_STATUS.PASS) {
+      return buildResult(email, preflight, meta);
+    }
+
+    // DNS and SMTP work on the punycode domain; the local part is sent as-is
+    // and needs SMTPUTF8 when it is not ASCII.
+    const { localPart, asciiDomain: domain, unicodeDomain } = meta.address;
+    const settings = { profile: profile.name, mode, syntaxMode, maxAgeMs: options.maxAgeMs };
+    const cached = await findFreshResult(`${localPart}@${domain}`, settings).catch((error) => {
+      console.error('Stored result lookup failed:', error.message);
+      return null;
+    });
+    if (cached) {
+      return cached;
+    }
+
+    const literalHost = syntax.data.domainLiteral ? literalAddress(domain) : null;
+    const posture = literalHost ? null : await findDomainPosture(domain, settings).catch((error) => {
+      console.error('Domain posture lookup failed:', error.message);
+      return null;
+    });
+    const context = {
+      email: `${localPart}@${domain}`,
+      localPart,
+      domain,
+      unicodeDomain,
+      literalHost,
+      posture,
+      outcomes: new Map()
     };
+    const planned = literalHost ? checks.filter(check => !check.domainRecords) : checks;
+    const skipped = checks.filter(check => !planned.includes(check)).map(check => ({
+      name: check.name,
+      status: CHECK_STATUS.SKIPPED,
+      durationMs: 0,
+      skippedBecause: 'addressLiteral'
+    }));
+    const outcomes = mode === VALIDATION_MODES.ALL
+      ? await runAll(planned, context)
+      : await runEarlyExit(planned, context);
+
+    // Only an SMTP probe can vouch for an address literal, so without one the
+    // address stays unverified instead of passing by default.
+    if (literalHost && !planned.some(check => check.name === 'smtpValidation')) {
+      outcomes.push(await executeCheck('literalValidation', () => {
+        const error = new Error('Email uses an address literal that no check could verify.');
+        error.step = 'literalValidation';
+        error.reason = 'LITERAL_UNVERIFIED';
+        throw error;
+      }));
+    }
+
+    const result = buildResult(email, [...preflight, ...skipped, ...outcomes], meta);
+    await saveResult(result, { address: context.email, domain, jobId: options.jobId }).catch((error) => {
+      console.error('Saving the result failed:', error.message);
+    });
+    return result;
+  };
+
+  export const SingleEmailChecker = async (req, res) => {
+    const { email, ...options } = req.body;
+    try {
+      const result = await checkEmailValidation(email, options);
+      res.status(200).json(result);
+    } catch (error) {
+      if (error.code === 'UNKNOWN_PROFILE') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Verification error:', error);
+      res.status(500).json({
+        error: 'Email verification failed',
+        details: error.message
+      });
+    }
   };
-  
\ No newline at end of file
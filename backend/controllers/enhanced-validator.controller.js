@@ -1,9 +1,23 @@
-const validator = require('validator');
-const dns = require('dns/promises');
-const { verifyEmail } = require('@devmehq/email-validator-js');
-const tf = require('@tensorflow/tfjs-node');
-const disposableDomains = require('disposable-email-domains');
-const levenshtein = require('fast-levenshtein');
+import validator from 'validator';
+import { resolver } from '../services/dns-resolver.service.js';
+import { SMTP_OUTCOMES } from '../services/smtp-prober.service.js';
+import { smtpScheduler } from '../services/smtp-scheduler.service.js';
+import { detectCatchAll } from '../services/catch-all.service.js';
+import * as tf from '@tensorflow/tfjs-node';
+import { isDisposableDomain } from '../services/disposable-store.service.js';
+import {
+  resolveCanonicalName,
+  resolveHostAddresses,
+  resolveMailRoute,
+  routeAddresses
+} from '../services/mail-routing.service.js';
+import { normalizeAddress } from '../services/idn.service.js';
+import { checkDnsbl } from '../services/dnsbl.service.js';
+import { discoverDkim, DKIM_KEY_STATUS } from '../services/dkim.service.js';
+import { fingerprintMx, PROVIDER_IDS } from '../services/provider.service.js';
+import { classifyAddress } from '../services/address-classifier.service.js';
+import { analyzeLocalPart } from '../services/local-part.service.js';
+import levenshtein from 'fast-levenshtein';
 
 class EmailValidator {
   constructor() {
@@ -29,14 +43,25 @@ class EmailValidator {
       'dnsValidation',
       'mxValidation',
       'mxRecordCount',
+      ...PROVIDER_IDS.map(id => `provider:${id}`),
       'dnsblValidation',
       'spfValidation',
       'dmarcValidation',
       'dkimValidation',
       'smtpValidation',
+      'catchAllValidation',
       'hasNumbers',
       'specialCharCount',
-      'consecutiveSpecialChars'
+      'consecutiveSpecialChars',
+      'roleAccount',
+      'freeProvider',
+      'noReplyAddress',
+      'localPartRandomness',
+      'localPartNgramScore',
+      'localPartEntropy',
+      'localPartVowelRatio',
+      'localPartDigitRun',
+      'plusAddressed'
     ];
   }
 
@@ -55,7 +80,7 @@ class EmailValidator {
   }
 
   async checkDisposableDomain(domain) {
-    return !disposableDomains.includes(domain.toLowerCase());
+    return !isDisposableDomain(domain);
   }
 
   isCommonDomain(domain) {
@@ -82,8 +107,9 @@ class EmailValidator {
 
   async validateDnsRecords(domain) {
     try {
-      const addresses = await dns.resolve(domain, 'A');
-      return addresses.length > 0;
+      const { name } = await resolveCanonicalName(domain);
+      const { ipv4, ipv6 } = await resolveHostAddresses(name);
+      return ipv4.length > 0 || ipv6.length > 0;
     } catch {
       return false;
     }
@@ -91,8 +117,8 @@ class EmailValidator {
 
   async validateMxRecords(domain) {
     try {
-      const mxRecords = await dns.resolveMx(domain);
-      return mxRecords.some(record => record.exchange && record.exchange.trim());
+      const route = await resolveMailRoute(domain);
+      return !route.nullMx && routeAddresses(route).length > 0;
     } catch {
       return false;
     }
@@ -100,54 +126,26 @@ class EmailValidator {
 
   async getMxRecordCount(domain) {
     try {
-      const mxRecords = await dns.resolveMx(domain);
-      return Math.min(mxRecords.length / 5, 1); // Normalize, capping at 5 records
+      const route = await resolveMailRoute(domain);
+      return Math.min(route.hosts.length / 5, 1); // Normalize, capping at 5 records
     } catch {
       return 0;
     }
   }
 
+  async getMailProvider(domain) {
+    try {
+      const route = await resolveMailRoute(domain);
+      return fingerprintMx(domain, route.hosts.map(host => host.exchange));
+    } catch {
+      return null;
+    }
+  }
+
   async validateDnsblRecords(domain) {
     try {
-      const dnsblZones = [
-        "zen.spamhaus.org",
-        "b.barracudacentral.org",
-        "bl.spamcop.net",
-        "dnsbl.sorbs.net",
-        "spam.dnsbl.sorbs.net",
-        "cbl.abuseat.org"
-      ];
-      const mxRecords = await dns.resolveMx(domain);
-      if (!mxRecords.length) {
-        return true; 
-      }
-      
-      for (const mx of mxRecords) {
-        let ipAddresses;
-        try {
-          ipAddresses = await dns.resolve4(mx.exchange);
-        } catch (e) {
-          continue;
-        }
-        
-        for (const ip of ipAddresses) {
-          const reversedIP = ip.split('.').reverse().join('.');
-          for (const zone of dnsblZones) {
-            const query = `${reversedIP}.${zone}`;
-            try {
-              const result = await dns.resolve4(query);
-              if (result && result.length > 0) {
-                return false; 
-              }
-            } catch (err) {
-              if (err.code !== 'ENOTFOUND') {
-                continue;
-              }
-            }
-          }
-        }
-      }
-      return true; 
+      const report = await checkDnsbl(domain);
+      return !report.listed;
     } catch (err) {
       return false;
     }
@@ -155,7 +153,7 @@ class EmailValidator {
  
   async validateSpfRecord(domain) {
     try {
-      const txtRecords = await dns.resolveTxt(domain);
+      const txtRecords = await resolver.resolveTxt(domain);
       const flatRecords = txtRecords.flat();
       return flatRecords.some(record => record.startsWith('v=spf1'));
     } catch {
@@ -166,7 +164,7 @@ class EmailValidator {
   async validateDmarcRecord(domain) {
     try {
       const dmarcDomain = `_dmarc.${domain}`;
-      const txtRecords = await dns.resolveTxt(dmarcDomain);
+      const txtRecords = await resolver.resolveTxt(dmarcDomain);
       const flatRecords = txtRecords.flat();
       return flatRecords.some(record => record.startsWith('v=DMARC1'));
     } catch {
@@ -174,33 +172,24 @@ class EmailValidator {
     }
   }
 
-  async validateDkimRecord(domain) {
-    const selectors = ['default', 'google', 'k1', 'selector1', 'selector2', 'dkim'];
-    
-    for (const selector of selectors) {
-      try {
-        const dkimDomain = `${selector}._domainkey.${domain}`;
-        const txtRecords = await dns.resolveTxt(dkimDomain);
-        const flatRecords = txtRecords.flat();
-        if (flatRecords.some(record => record.startsWith('v=DKIM1'))) {
-          return true;
-        }
-      } catch {
-        continue;
-      }
-    }
-    
-    return false;
+  async validateDkimRecord(domain, provider) {
+    const { keys } = await discoverDkim(domain, { provider });
+    return keys.some(key => key.status === DKIM_KEY_STATUS.VALID);
   }
 
   async validateSMTPConnection(email) {
     try {
-      const result = await verifyEmail({
-        emailAddress: email,
-        verifySmtp: true,
-        timeout: 3000,
-      });
-      return result.validSmtp === true;
+      const result = await smtpScheduler.probe(email);
+      return result.outcome === SMTP_OUTCOMES.ACCEPTED;
+    } catch {
+      return false;
+    }
+  }
+
+  async validateCatchAll(domain) {
+    try {
+      const result = await detectCatchAll(domain);
+      return result.catchAll === false;
     } catch {
       return false;
     }
@@ -231,7 +220,7 @@ class EmailValidator {
       
       features.syntaxValidation = await this.validateEmailFormat(sanitized) ? 1 : 0;
       
-      const [localPart, domain] = sanitized.split('@');
+      const { localPart, asciiDomain: domain } = normalizeAddress(sanitized);
       
       features.emailLength = Math.min(sanitized.length / 50, 1); 
       features.localPartLength = Math.min(localPart.length / 30, 1); 
@@ -245,17 +234,35 @@ class EmailValidator {
       features.dnsValidation = await this.validateDnsRecords(domain) ? 1 : 0;
       features.mxValidation = await this.validateMxRecords(domain) ? 1 : 0;
       features.mxRecordCount = await this.getMxRecordCount(domain);
+      const provider = await this.getMailProvider(domain);
+      if (provider) {
+        features[`provider:${provider.id}`] = 1;
+      }
       features.dnsblValidation = await this.validateDnsblRecords(domain) ? 1 : 0;
       
       features.spfValidation = await this.validateSpfRecord(domain) ? 1 : 0;
       features.dmarcValidation = await this.validateDmarcRecord(domain) ? 1 : 0;
-      features.dkimValidation = await this.validateDkimRecord(domain) ? 1 : 0;
+      features.dkimValidation = await this.validateDkimRecord(domain, provider) ? 1 : 0;
       
       features.smtpValidation = await this.validateSMTPConnection(sanitized) ? 1 : 0;
+      features.catchAllValidation = features.smtpValidation && await this.validateCatchAll(domain) ? 1 : 0;
       
       features.hasNumbers = this.hasNumbers(localPart) ? 1 : 0;
       features.specialCharCount = Math.min(this.countSpecialChars(localPart) / 5, 1);
       features.consecutiveSpecialChars = this.hasConsecutiveSpecialChars(localPart) ? 1 : 0;
+
+      const classification = classifyAddress(localPart, domain);
+      features.roleAccount = classification.role ? 1 : 0;
+      features.freeProvider = classification.freeProvider ? 1 : 0;
+      features.noReplyAddress = classification.noReply ? 1 : 0;
+
+      const analysis = analyzeLocalPart(localPart, domain);
+      features.localPartRandomness = analysis.randomness;
+      features.localPartNgramScore = analysis.ngramScore === null ? 0 : Math.min(-analysis.ngramScore / 5, 1);
+      features.localPartEntropy = Math.min(analysis.entropy / 5, 1);
+      features.localPartVowelRatio = analysis.vowelRatio;
+      features.localPartDigitRun = Math.min(analysis.longestDigitRun / 10, 1);
+      features.plusAddressed = analysis.plusAddressed ? 1 : 0;
       
       for (const feature of this.featureLabels) {
         if (features[feature] === undefined) {
@@ -505,45 +512,4 @@ class EmailValidator {
   }
 }
 
-function prepareData(emails, labels) {
-  const validator = new EmailValidator();
-  
-  return Promise.all(emails.map(async (email, i) => {
-    const features = await validator.extractFeatures(email);
-    return {
-      email,
-      features,
-      label: labels[i]
-    };
-  }));
-}
-
-async function demo() {
-  const validator = new EmailValidator();
-  
-  const emails = [
-    'john.doe@example.com',
-    'jane.smith@gmail.com',
-    'support@microsoft.com',
-    'test@nonexistentdomain123456.com',
-    'invalid@email',
-  ];
-  
-  const labels = [1, 1, 1, 0, 0];
-  
-  const dataset = await prepareData(emails, labels);
-  
-  await validator.trainModel(dataset);
-  
-  for (const email of emails) {
-    const result = await validator.predict(email);
-    console.log(`${email}: ${result.valid ? 'Valid' : 'Invalid'} (${result.confidence.toFixed(4)})`);
-  }
-  
-  const evaluation = await validator.evaluateModel(dataset);
-  console.log('Evaluation:', evaluation.metrics);
-  
-  await validator.saveModel();
-}
-
-module.exports = EmailValidator;
\ No newline at end of file
+export default EmailValidator;
\ No newline at end of file
@@ -0,0 +1,21 @@
+import { getAddressHistory, getDomainHistory, isResultStoreAvailable } from '../services/result-store.service.js';
+
+const respondWithHistory = (lookup, label) => async (req, res) => {
+  if (!isResultStoreAvailable()) {
+    return res.status(503).json({ error: 'Validation history is not available: no database is configured' });
+  }
+  try {
+    const limit = req.query.limit ? Number(req.query.limit) : undefined;
+    res.status(200).json(await lookup(req.params[label], { limit }));
+  } catch (error) {
+    console.error('History lookup error:', error);
+    res.status(500).json({
+      error: 'History lookup failed',
+      details: error.message
+    });
+  }
+};
+
+export const AddressHistory = respondWithHistory(getAddressHistory, 'address');
+
+export const DomainHistory = respondWithHistory(getDomainHistory, 'domain');
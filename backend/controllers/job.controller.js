@@ -0,0 +1,79 @@
+import { jobManager, describeJob, parseEmailCsv, resultToCsvRow, RESULT_CSV_HEADER } from '../services/bulk-job.service.js';
+
+const JOB_ERRORS = ['EMPTY_JOB', 'JOB_TOO_LARGE', 'UNKNOWN_PROFILE'];
+
+export const CreateJob = async (req, res) => {
+  try {
+    let emails;
+    let options;
+    if (req.is('text/csv')) {
+      emails = await parseEmailCsv(req.body || '');
+      options = req.query;
+    } else {
+      ({ emails, ...options } = req.body);
+    }
+
+    const job = await jobManager.createJob(emails, options);
+    res.status(202)
+      .location(`${req.baseUrl}/${job.id}`)
+      .json(describeJob(job));
+  } catch (error) {
+    if (JOB_ERRORS.includes(error.code)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Job creation error:', error);
+    res.status(500).json({
+      error: 'Job creation failed',
+      details: error.message
+    });
+  }
+};
+
+export const GetJob = async (req, res) => {
+  try {
+    const job = await jobManager.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    }
+    res.status(200).json(describeJob(job));
+  } catch (error) {
+    console.error('Job lookup error:', error);
+    res.status(500).json({
+      error: 'Job lookup failed',
+      details: error.message
+    });
+  }
+};
+
+export const DownloadJobResults = async (req, res) => {
+  try {
+    const job = await jobManager.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    }
+
+    const format = req.query.format || (req.accepts(['json', 'csv']) === 'csv' ? 'csv' : 'json');
+    const results = await jobManager.getResults(job.id);
+    res.set('X-Job-Status', job.status);
+
+    if (format === 'csv') {
+      const rows = results.map(({ email, result, error }) => (result
+        ? resultToCsvRow(email, result)
+        : resultToCsvRow(email, { verification: 'unknown', status: false, verdict: 'unknown', reasons: [{ code: 'CHECK_ERROR' }], error })));
+      return res.status(200)
+        .type('text/csv')
+        .attachment(`${job.id}.csv`)
+        .send(RESULT_CSV_HEADER + rows.join(''));
+    }
+
+    res.status(200)
+      .attachment(`${job.id}.json`)
+      .json({ job: describeJob(job), results });
+  } catch (error) {
+    console.error('Job results error:', error);
+    res.status(500).json({
+      error: 'Job results could not be read',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,97 @@
+import { checkEmailValidation } from './email.controller.js';
+
+let validatorPromise = null;
+
+// The ML validator pulls in TensorFlow's native bindings, so it is only
+// loaded on the first ML request. If that fails the rule-based API keeps
+// working and the ML endpoints answer 503.
+const loadValidator = () => {
+  if (!validatorPromise) {
+    validatorPromise = import('./enhanced-validator.controller.js')
+      .then(({ default: EmailValidator }) => new EmailValidator())
+      .catch((error) => {
+        validatorPromise = null;
+        error.unavailable = true;
+        throw error;
+      });
+  }
+  return validatorPromise;
+};
+
+const handleError = (res, label, error) => {
+  if (error.unavailable) {
+    return res.status(503).json({
+      error: 'ML validation is not available on this server',
+      details: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    error: `Model ${label.toLowerCase()} failed`,
+    details: error.message
+  });
+};
+
+export const TrainModel = async (req, res) => {
+  try {
+    const { dataset, validationData } = req.body;
+    const validator = await loadValidator();
+
+    await validator.trainModel(dataset, validationData || null);
+    await validator.saveModel();
+
+    res.status(200).json({
+      success: true,
+      message: `Model trained successfully with ${dataset.length} samples`
+    });
+  } catch (error) {
+    handleError(res, 'Training', error);
+  }
+};
+
+export const ValidateWithModel = async (req, res) => {
+  try {
+    const { email } = req.body;
+    const validator = await loadValidator();
+
+    if (!validator.model) {
+      return res.status(503).json({
+        error: 'Model not initialized. Please train the model first.'
+      });
+    }
+
+    const [rules, features, prediction] = await Promise.all([
+      checkEmailValidation(email),
+      validator.extractFeatures(email),
+      validator.predict(email)
+    ]);
+
+    res.status(200).json({
+      email,
+      traditionalValidation: rules.status,
+      verdict: rules.verdict,
+      suggestion: rules.suggestion,
+      aiValidation: prediction.valid,
+      aiConfidence: Number(prediction.confidence.toFixed(4)),
+      features: Object.fromEntries(validator.featureLabels.map((label, index) => [label, features[index]]))
+    });
+  } catch (error) {
+    handleError(res, 'Validation', error);
+  }
+};
+
+export const EvaluateModel = async (req, res) => {
+  try {
+    const validator = await loadValidator();
+
+    if (!validator.model) {
+      return res.status(503).json({
+        error: 'Model not initialized. Please train the model first.'
+      });
+    }
+
+    res.status(200).json(await validator.evaluateModel(req.body.testData));
+  } catch (error) {
+    handleError(res, 'Evaluation', error);
+  }
+};
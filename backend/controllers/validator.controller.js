@@ -1,217 +1,240 @@
-import validator from 'validator';
-import dns from 'dns/promises';
-import { verifyEmail } from '@devmehq/email-validator-js';
-import axios from 'axios';
+import { resolver } from '../services/dns-resolver.service.js';
+import { SMTP_OUTCOMES } from '../services/smtp-prober.service.js';
+import { smtpScheduler } from '../services/smtp-scheduler.service.js';
+import { detectCatchAll } from '../services/catch-all.service.js';
+import { lookupDisposableDomain } from '../services/disposable-store.service.js';
+import { analyzeSpf } from '../services/spf.service.js';
+import { lookupDmarc } from '../services/dmarc.service.js';
+import { discoverDkim, DKIM_KEY_STATUS } from '../services/dkim.service.js';
+import { fingerprintMx } from '../services/provider.service.js';
+import {
+  resolveCanonicalName,
+  resolveHostAddresses,
+  resolveMailRoute,
+  routeAddresses
+} from '../services/mail-routing.service.js';
+import { inspectHomoglyphs } from '../services/idn.service.js';
+import { parseAddress, SYNTAX_MODES } from '../services/address-parser.service.js';
+import { checkDnsbl, DNSBL_ZONE_TYPES } from '../services/dnsbl.service.js';
 
+const NOT_FOUND_CODES = ['ENOTFOUND', 'ENODATA'];
 
+const validationError = (message, step, reason) => {
+  const error = new Error(message);
+  error.step = step;
+  error.reason = reason;
+  return error;
+};
 
 export const sanitizeEmail = (email) => {
   if (!email || typeof email !== 'string' || !email.trim()) {
-    const error = new Error('Email failed to pass input validation test.');
-    error.step = 'inputValidation';
-    throw error;
+    throw validationError('Email failed to pass input validation test.', 'inputValidation', 'INPUT_INVALID');
+  }
+  // Separators and whitespace are fine inside quoted strings and comments,
+  // and whitespace next to a comment is folding whitespace.
+  const bare = email.trim().replace(/"(?:[^"\\]|\\.)*"|\s*\((?:[^()\\]|\\.)*\)\s*/g, '""');
+  if (bare.includes(',') || bare.includes(';') || bare.split(/\s+/).length > 1) {
+    throw validationError('Email failed to pass input validation test.', 'inputValidation', 'INPUT_INVALID');
   }
-  if (email.includes(',') || email.includes(';') || email.trim().split(/\s+/).length > 1) {
-    const error = new Error('Email failed to pass input validation test.');
-    error.step = 'inputValidation';
+  return email.trim().normalize('NFC');
+};
+
+export const validateEmailFormat = (email, { mode = SYNTAX_MODES.STRICT } = {}) => {
+  const parsed = parseAddress(email, { mode });
+  if (!parsed.valid) {
+    const problem = parsed.diagnostics.find(item => item.severity === 'error');
+    const error = validationError(`Email failed to pass syntax validation test: ${problem.message}.`, 'syntaxValidation', 'SYNTAX_INVALID');
+    error.data = parsed;
     throw error;
   }
-  return email.trim();
+  return parsed;
 };
 
-export const validateEmailFormat = (email) => {
-  if (!validator.isEmail(email)) {
-    const error = new Error('Email failed to pass syntax validation test.');
-    error.step = 'syntaxValidation';
+export const validateHomoglyphs = (localPart, unicodeDomain) => {
+  const result = inspectHomoglyphs(localPart, unicodeDomain);
+  if (result.suspicious) {
+    const error = validationError('Email contains mixed-script or look-alike characters.', 'homoglyphValidation', 'HOMOGLYPH_SUSPECTED');
+    error.data = result;
     throw error;
   }
+  return result;
 };
 
 export const validateDnsRecords = async (domain) => {
+  let canonical, addresses, mxRecords;
   try {
-    const addresses = await dns.resolve(domain, 'A');
-    if (!addresses.length) {
-      const error = new Error('Email failed to pass dns record validation test.');
-      error.step = 'dnsValidation';
-      throw error;
+    ({ name: canonical } = await resolveCanonicalName(domain));
+    addresses = await resolveHostAddresses(canonical);
+    if (addresses.exists && !addresses.ipv4.length && !addresses.ipv6.length) {
+      mxRecords = await resolver.resolveMx(canonical).catch(err => {
+        if (NOT_FOUND_CODES.includes(err.code)) return [];
+        throw err;
+      });
     }
   } catch (err) {
-    const error = new Error('Email failed to pass dns record validation test.');
-    error.step = 'dnsValidation';
-    throw error;
+    throw validationError('Email failed to pass dns record validation test.', 'dnsValidation', 'DNS_LOOKUP_FAILED');
+  }
+  if (!addresses.exists) {
+    throw validationError('Email failed to pass dns record validation test.', 'dnsValidation', 'DOMAIN_NOT_FOUND');
+  }
+  if (!addresses.ipv4.length && !addresses.ipv6.length && !(mxRecords && mxRecords.length)) {
+    throw validationError('Email failed to pass dns record validation test.', 'dnsValidation', 'DNS_NO_RECORDS');
   }
+  return { canonicalDomain: canonical, ipv4: addresses.ipv4, ipv6: addresses.ipv6 };
 };
 
 export const validateMxRecords = async (domain) => {
+  let route;
   try {
-    const mxRecords = await dns.resolveMx(domain);
-    const validMx = mxRecords.filter(record => record.exchange && record.exchange.trim());
-    if (!validMx.length) {
-      const error = new Error('Email failed to pass mx record validation test.');
-      error.step = 'mxValidation';
-      throw error;
-    }
+    route = await resolveMailRoute(domain);
   } catch (err) {
-    const error = new Error('Email failed to pass mx record validation test.');
-    error.step = 'mxValidation';
+    throw validationError('Email failed to pass mx record validation test.', 'mxValidation', 'MX_LOOKUP_FAILED');
+  }
+  if (route.nullMx) {
+    const error = validationError('Email domain publishes a null MX and accepts no mail.', 'mxValidation', 'NULL_MX');
+    error.data = route;
+    throw error;
+  }
+  if (!route.hosts.length) {
+    throw validationError('Email failed to pass mx record validation test.', 'mxValidation', 'MX_MISSING');
+  }
+  if (!routeAddresses(route).length) {
+    const error = validationError('Email failed to pass mx record validation test: no mail host has an address.', 'mxValidation', 'MX_UNRESOLVABLE');
+    error.data = route;
+    throw error;
+  }
+  const mxHosts = route.hosts.map(host => host.exchange);
+  return { ...route, mxHosts, provider: fingerprintMx(route.canonicalDomain, mxHosts) };
+};
+
+const SMTP_REASONS = {
+  [SMTP_OUTCOMES.MAILBOX_NOT_FOUND]: 'SMTP_MAILBOX_NOT_FOUND',
+  [SMTP_OUTCOMES.REJECTED]: 'SMTP_REJECTED',
+  [SMTP_OUTCOMES.GREYLISTED]: 'SMTP_GREYLISTED',
+  [SMTP_OUTCOMES.TEMPORARY_FAILURE]: 'SMTP_TEMPORARY_FAILURE',
+  [SMTP_OUTCOMES.CONNECTION_REFUSED]: 'SMTP_CONNECTION_REFUSED',
+  [SMTP_OUTCOMES.TIMEOUT]: 'SMTP_TIMEOUT',
+  [SMTP_OUTCOMES.NO_HOSTS]: 'SMTP_NO_HOSTS',
+  [SMTP_OUTCOMES.SMTPUTF8_UNSUPPORTED]: 'SMTP_UTF8_UNSUPPORTED',
+  [SMTP_OUTCOMES.ERROR]: 'SMTP_FAILED'
+};
+
+// Providers that accept every RCPT TO (Yahoo, for one) make a probe
+// meaningless, so the mailbox is reported as accept-all without connecting.
+export const validateSMTPConnection = async (email, options = {}) => {
+  if (options.provider && options.provider.acceptsAllRecipients) {
+    const error = validationError('Email provider accepts mail for any address.', 'smtpValidation', 'SMTP_ACCEPTS_ALL');
+    error.data = { email, provider: options.provider, skipped: true };
+    throw error;
+  }
+  const result = await smtpScheduler.probe(email, options);
+  if (result.outcome !== SMTP_OUTCOMES.ACCEPTED) {
+    const error = validationError('Email failed to pass smtp validation test.', 'smtpValidation', SMTP_REASONS[result.outcome]);
+    error.data = result;
     throw error;
   }
+  return result;
 };
 
-export const validateSMTPConnection = async (email) => {
-  const result = await verifyEmail({
-    emailAddress: email,
-    verifySmtp: true,
-    timeout: 3000,
-  });
-  if (result.validSmtp !== true) {
-    const error = new Error('Email failed to pass smtp validation test.');
-    error.step = 'smtpValidation';
+export const validateCatchAll = async (domain, options = {}) => {
+  const result = options.provider && options.provider.acceptsAllRecipients
+    ? { domain, catchAll: true, provider: options.provider, inferred: true }
+    : await detectCatchAll(domain, options);
+  if (result.catchAll) {
+    const error = validationError('Email domain accepts mail for any address.', 'catchAllValidation', 'CATCH_ALL');
+    error.data = result;
     throw error;
   }
   return result;
 };
 
 export const validateSpfRecord = async (domain) => {
+  let spf;
   try {
-    const txtRecords = await dns.resolveTxt(domain);
-    const flatRecords = txtRecords.flat();
-    const spfRecords = flatRecords.filter(record => record.startsWith('v=spf1'));
-    if (!spfRecords.length) {
-      const error = new Error('Email failed to pass SPF record validation test.');
-      error.step = 'spfValidation';
-      throw error;
-    }
+    spf = await analyzeSpf(domain);
   } catch (err) {
-    const error = new Error('Email failed to pass SPF record validation test.');
-    error.step = 'spfValidation';
+    throw validationError('Email failed to pass SPF record validation test.', 'spfValidation', 'SPF_LOOKUP_FAILED');
+  }
+  if (!spf.record) {
+    throw validationError('Email failed to pass SPF record validation test.', 'spfValidation', 'SPF_MISSING');
+  }
+  if (spf.errors.length) {
+    const [first] = spf.errors;
+    const error = validationError(`Email failed to pass SPF record validation test: ${first.message}`, 'spfValidation', first.code);
+    error.data = spf;
     throw error;
   }
+  return spf;
 };
 
-export const validateDkimRecord = async (domain, selector = 'default') => {
-    let selectorsToTry = [selector];
-    if (domain.toLowerCase() === 'gmail.com') {
-      selectorsToTry = [
-        "default",
-        "google",
-        "google20161025",
-        "google1234567",
-        "selector1",
-        "selector2",
-        "k1",
-        "k2",
-        "ctct1",
-        "ctct2",
-        "sm",
-        "s1",
-        "s2",
-        "sig1",
-        "litesrv",
-        "zendesk1",
-        "zendesk2",
-        "mail",
-        "email",
-        "dkim",
-        "topd"
-      ];
-    }
-    
-    for (const sel of selectorsToTry) {
-      try {
-        const dkimDomain = `${sel}._domainkey.${domain}`;
-        const txtRecords = await dns.resolveTxt(dkimDomain);
-        const flatRecords = txtRecords.flat();
-        const dkimRecords = flatRecords.filter(record => record.startsWith('v=DKIM1'));
-        if (dkimRecords.length) {
-          return;
-        }
-      } catch (e) {
-        continue;
-      }
-    }
-    
-    const error = new Error('Email failed to pass DKIM record validation test.');
-    error.step = 'dkimValidation';
-    throw error;
-  };
-  
+const DKIM_REASONS = {
+  [DKIM_KEY_STATUS.REVOKED]: 'DKIM_REVOKED',
+  [DKIM_KEY_STATUS.WEAK]: 'DKIM_WEAK_KEY',
+  [DKIM_KEY_STATUS.INVALID]: 'DKIM_INVALID'
+};
+
+export const validateDkimRecord = async (domain, options) => {
+  const dkim = await discoverDkim(domain, options);
+  if (dkim.keys.some(key => key.status === DKIM_KEY_STATUS.VALID)) {
+    return dkim;
+  }
+  let reason = 'DKIM_MISSING';
+  if (dkim.keys.length) {
+    reason = DKIM_REASONS[dkim.keys[0].status];
+  } else if (dkim.lookupErrors.length === dkim.selectorsTried) {
+    reason = 'DKIM_LOOKUP_FAILED';
+  }
+  const error = validationError('Email failed to pass DKIM record validation test.', 'dkimValidation', reason);
+  error.data = dkim;
+  throw error;
+};
 
 export const validateDmarcRecord = async (domain) => {
+  let dmarc;
   try {
-    const dmarcDomain = `_dmarc.${domain}`;
-    const txtRecords = await dns.resolveTxt(dmarcDomain);
-    const flatRecords = txtRecords.flat();
-    const dmarcRecords = flatRecords.filter(record => record.startsWith('v=DMARC1'));
-    if (!dmarcRecords.length) {
-      const error = new Error('Email failed to pass DMARC record validation test.');
-      error.step = 'dmarcValidation';
-      throw error;
-    }
+    dmarc = await lookupDmarc(domain);
   } catch (err) {
-    const error = new Error('Email failed to pass DMARC record validation test.');
-    error.step = 'dmarcValidation';
+    throw validationError('Email failed to pass DMARC record validation test.', 'dmarcValidation', 'DMARC_LOOKUP_FAILED');
+  }
+  if (!dmarc.record) {
+    const error = validationError('Email failed to pass DMARC record validation test.', 'dmarcValidation', 'DMARC_MISSING');
+    error.data = dmarc;
     throw error;
   }
+  if (dmarc.errors.length) {
+    const [first] = dmarc.errors;
+    const error = validationError(`Email failed to pass DMARC record validation test: ${first.message}`, 'dmarcValidation', first.code);
+    error.data = dmarc;
+    throw error;
+  }
+  return dmarc;
 };
 
-export const checkDisposableDomain = async (domain) => {
-  try {
-    const response = await axios.get(`https://disposable.debounce.io/${domain}`);
-    if (response.data.is_disposable) {
-      const error = new Error('Email failed disposable domain validation test.');
-      error.step = 'disposableDomainValidation';
-      throw error;
-    }
-  } catch (e) {
-    const error = new Error('Error while checking disposable domain.');
-    error.step = 'disposableDomainValidation';
+export const checkDisposableDomain = (domain) => {
+  const result = lookupDisposableDomain(domain);
+  if (result.disposable) {
+    const error = validationError('Email failed disposable domain validation test.', 'disposableDomainValidation', 'DISPOSABLE');
+    error.data = result;
     throw error;
   }
+  return result;
 };
 
-const dnsblZones = [
-  "zen.spamhaus.org",
-  "b.barracudacentral.org",
-  "bl.spamcop.net",
-  "dnsbl.sorbs.net",
-  "spam.dnsbl.sorbs.net",
-  "cbl.abuseat.org"
-];
-
-export const validateDnsblRecords = async (domain) => {
+export const validateDnsblRecords = async (domain, options = {}) => {
+  let report;
   try {
-    const mxRecords = await dns.resolveMx(domain);
-    if (!mxRecords.length) {
-      return;
-    }
-    for (const mx of mxRecords) {
-      let ipAddresses;
-      try {
-        ipAddresses = await dns.resolve4(mx.exchange);
-      } catch (e) {
-        continue;
-      }
-      for (const ip of ipAddresses) {
-        const reversedIP = ip.split('.').reverse().join('.');
-        for (const zone of dnsblZones) {
-          const query = `${reversedIP}.${zone}`;
-          try {
-            await dns.resolve4(query);
-            const error = new Error(`Email failed DNSBL validation: IP ${ip} is listed in ${zone}.`);
-            error.step = 'dnsblValidation';
-            throw error;
-          } catch (err) {
-            if (err.code !== 'ENOTFOUND') {
-              continue;
-            }
-          }
-        }
-      }
-    }
+    report = await checkDnsbl(domain, options);
   } catch (err) {
-    if (err.step === 'dnsblValidation') {
-      throw err;
-    }
+    throw validationError(`Email failed DNSBL validation: lookup failed (${err.code || err.message}).`, 'dnsblValidation', 'DNSBL_LOOKUP_FAILED');
+  }
+  if (report.listed) {
+    const [first] = report.listings;
+    const meaning = first.listings.map(listing => listing.meaning).join(', ');
+    const error = first.type === DNSBL_ZONE_TYPES.DOMAIN
+      ? validationError(`Email failed DNSBL validation: domain ${first.target} is listed in ${first.zone} (${meaning}).`, 'dnsblValidation', 'DOMAIN_BLOCKLISTED')
+      : validationError(`Email failed DNSBL validation: IP ${first.target} is listed in ${first.zone} (${meaning}).`, 'dnsblValidation', 'DNSBL_LISTED');
+    error.data = report;
+    throw error;
   }
+  return report;
 };
@@ -0,0 +1,80 @@
+import net from 'net';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_REPLIES = {
+  accept: '250 2.1.5 Recipient OK',
+  unknown: '550 5.1.1 The email account that you tried to reach does not exist',
+  greylist: '451 4.7.1 Greylisted, please try again later',
+  busy: '452 4.2.2 Mailbox full',
+  policy: '554 5.7.1 Service unavailable; client host blocked'
+};
+
+// Scripted SMTP server for offline runs of the SMTP prober. `mailboxes` maps
+// addresses to a reply key from DEFAULT_REPLIES or a literal SMTP reply line.
+export const startFakeSmtpServer = ({
+  port = 0,
+  host = '127.0.0.1',
+  mailboxes = {},
+  defaultReply = 'unknown',
+  greeting = '220 fake-smtp.test ESMTP ready',
+  extensions = ['PIPELINING', 'SIZE 35882577', '8BITMIME', 'SMTPUTF8']
+} = {}) => new Promise((resolve, reject) => {
+  const replyFor = (address) => {
+    const reply = mailboxes[address.toLowerCase()] ?? defaultReply;
+    return DEFAULT_REPLIES[reply] || reply;
+  };
+
+  let sessions = 0;
+  const server = net.createServer(socket => {
+    sessions++;
+    let buffer = '';
+    const send = (line) => socket.write(`${line}\r\n`);
+
+    send(greeting);
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const verb = line.split(' ')[0].toUpperCase();
+
+        if (verb === 'EHLO') {
+          const lines = ['fake-smtp.test greets you', ...extensions];
+          send(lines.map((text, i) => `250${i === lines.length - 1 ? ' ' : '-'}${text}`).join('\r\n'));
+        } else if (verb === 'HELO') {
+          send('250 fake-smtp.test');
+        } else if (verb === 'MAIL') {
+          send('250 2.1.0 Sender OK');
+        } else if (verb === 'RCPT') {
+          const match = line.match(/<([^>]*)>/);
+          send(replyFor(match ? match[1] : ''));
+        } else if (verb === 'RSET' || verb === 'NOOP') {
+          send('250 2.0.0 OK');
+        } else if (verb === 'QUIT') {
+          send('221 2.0.0 Bye');
+          socket.end();
+        } else {
+          send('502 5.5.2 Command not implemented');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  server.once('error', reject);
+  server.listen(port, host, () => {
+    resolve({
+      port: server.address().port,
+      host,
+      sessions: () => sessions,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.argv[2]) || 2525;
+  startFakeSmtpServer({ port, defaultReply: process.argv[3] || 'accept' })
+    .then(({ host }) => console.log(`Fake SMTP server listening on ${host}:${port}`));
+}
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// The last conclusive outcome of a DNS check, kept whole so the pipeline can
+// reuse it instead of resolving the domain again.
+const domainCheckSchema = new mongoose.Schema({
+  status: { type: String, required: true },
+  reason: { type: mongoose.Schema.Types.Mixed, default: null },
+  data: { type: mongoose.Schema.Types.Mixed, default: null },
+  checkedAt: { type: Date, required: true }
+}, { _id: false, minimize: false });
+
+// The latest DNS and sender-authentication posture seen for a domain, with
+// its checks keyed by check name.
+const domainSchema = new mongoose.Schema({
+  domain: { type: String, required: true, unique: true, lowercase: true },
+  provider: { type: String, default: null },
+  mxHosts: [String],
+  nullMx: { type: Boolean, default: false },
+  dmarcPolicy: { type: String, default: null },
+  dnsblListed: { type: Boolean, default: null },
+  catchAll: { type: Boolean, default: null },
+  checks: { type: Map, of: domainCheckSchema, default: {} },
+  validations: { type: Number, default: 0 },
+  lastCheckedAt: { type: Date, required: true }
+}, { timestamps: true });
+
+export default mongoose.model('Domain', domainSchema);
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// One row per address of a bulk job, created with the job. `processedAt` is
+// set once the address has a result.
+const jobResultSchema = new mongoose.Schema({
+  jobId: { type: String, required: true },
+  index: { type: Number, required: true },
+  email: { type: String, required: true },
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  error: { type: String, default: null },
+  processedAt: { type: Date, default: null }
+}, { versionKey: false });
+
+jobResultSchema.index({ jobId: 1, index: 1 }, { unique: true });
+
+export default mongoose.model('JobResult', jobResultSchema);
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// A bulk job's settings and progress. Its addresses and results live in
+// JobResult, one row per address.
+const jobSchema = new mongoose.Schema({
+  _id: String,
+  status: { type: String, required: true, index: true },
+  options: { type: mongoose.Schema.Types.Mixed, default: {} },
+  concurrency: Number,
+  total: { type: Number, required: true },
+  counts: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, required: true },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+  error: { type: String, default: null }
+}, { minimize: false, versionKey: false });
+
+export default mongoose.model('Job', jobSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+const checkSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  status: { type: String, required: true },
+  reason: { type: String, default: null },
+  durationMs: Number
+}, { _id: false });
+
+const validationResultSchema = new mongoose.Schema({
+  address: { type: String, required: true, lowercase: true, index: true },
+  domain: { type: String, required: true, lowercase: true, index: true },
+  verdict: { type: String, required: true },
+  status: { type: Boolean, required: true },
+  profile: String,
+  mode: String,
+  syntaxMode: String,
+  provider: { type: String, default: null },
+  catchAll: { type: Boolean, default: null },
+  score: Number,
+  reasons: [String],
+  checks: [checkSchema],
+  jobId: { type: String, default: null, index: true },
+  result: { type: mongoose.Schema.Types.Mixed, required: true },
+  checkedAt: { type: Date, required: true }
+}, { timestamps: true });
+
+validationResultSchema.index({ address: 1, profile: 1, mode: 1, syntaxMode: 1, checkedAt: -1 });
+
+export default mongoose.model('ValidationResult', validationResultSchema);
@@ -1,9 +1,11 @@
 import express from 'express'
 
 import { SingleEmailChecker } from '../controllers/email.controller.js';
+import { validateBody, validateResponse } from '../services/schema.service.js';
+import { verifyEmailRequest, verificationResult } from '../schemas/email.schemas.js';
 
 const router = express.Router();
 
-router.post("/verify-email", SingleEmailChecker)
+router.post("/verify-email", validateBody(verifyEmailRequest), validateResponse(verificationResult), SingleEmailChecker)
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,12 @@
+import express from 'express'
+
+import { AddressHistory, DomainHistory } from '../controllers/history.controller.js';
+import { validateQuery, validateResponse } from '../services/schema.service.js';
+import { historyQuery, addressHistoryResponse, domainHistoryResponse } from '../schemas/history.schemas.js';
+
+const router = express.Router();
+
+router.get("/addresses/:address", validateQuery(historyQuery), validateResponse(addressHistoryResponse), AddressHistory)
+router.get("/domains/:domain", validateQuery(historyQuery), validateResponse(domainHistoryResponse), DomainHistory)
+
+export default router;
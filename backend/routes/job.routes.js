@@ -0,0 +1,23 @@
+import express from 'express'
+
+import { CreateJob, GetJob, DownloadJobResults } from '../controllers/job.controller.js';
+import { validateBody, validateQuery, validateResponse } from '../services/schema.service.js';
+import { createJobRequest, createJobQuery, jobResponse } from '../schemas/job.schemas.js';
+
+const router = express.Router();
+const uploadLimit = process.env.JOBS_MAX_UPLOAD || '5mb';
+
+// Uploads are far larger than single-address requests, so this router parses
+// its own bodies instead of relying on the app-wide 10kb JSON parser.
+router.use(express.json({ limit: uploadLimit }));
+router.use(express.text({ type: 'text/csv', limit: uploadLimit }));
+
+const validateUpload = (req, res, next) => (req.is('text/csv')
+  ? validateQuery(createJobQuery)(req, res, next)
+  : validateBody(createJobRequest)(req, res, next));
+
+router.post("/", validateUpload, validateResponse(jobResponse), CreateJob)
+router.get("/:id", validateResponse(jobResponse), GetJob)
+router.get("/:id/results", DownloadJobResults)
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express'
+
+import { TrainModel, ValidateWithModel, EvaluateModel } from '../controllers/model.controller.js';
+import { validateBody, validateResponse } from '../services/schema.service.js';
+import {
+  trainRequest,
+  trainResponse,
+  modelValidateRequest,
+  modelValidateResponse,
+  evaluateRequest,
+  evaluateResponse
+} from '../schemas/model.schemas.js';
+
+const router = express.Router();
+
+router.post("/train", validateBody(trainRequest), validateResponse(trainResponse), TrainModel)
+router.post("/validate", validateBody(modelValidateRequest), validateResponse(modelValidateResponse), ValidateWithModel)
+router.post("/evaluate", validateBody(evaluateRequest), validateResponse(evaluateResponse), EvaluateModel)
+
+export default router;
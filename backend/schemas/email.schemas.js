@@ -0,0 +1,75 @@
+import { VALIDATION_MODES } from '../controllers/email.controller.js';
+import { VERDICTS } from '../services/verdict.service.js';
+import { SYNTAX_MODES } from '../services/address-parser.service.js';
+
+const reason = {
+  type: 'object',
+  required: ['code', 'step', 'verdict', 'message'],
+  properties: {
+    code: { type: 'string' },
+    step: { type: 'string' },
+    verdict: { enum: Object.values(VERDICTS) },
+    message: { type: 'string' }
+  }
+};
+
+const check = {
+  type: 'object',
+  required: ['name', 'status'],
+  properties: {
+    name: { type: 'string' },
+    status: { type: 'string' },
+    durationMs: { type: 'number' },
+    reason
+  }
+};
+
+export const suggestion = {
+  type: ['object', 'null'],
+  required: ['domain', 'email', 'reason'],
+  properties: {
+    domain: { type: 'string' },
+    email: { type: 'string' },
+    reason: { enum: ['domain', 'tld'] },
+    cost: { type: 'number' }
+  }
+};
+
+export const verifyEmailRequest = {
+  type: 'object',
+  required: ['email'],
+  additionalProperties: false,
+  properties: {
+    email: { type: 'string', minLength: 1, maxLength: 1024 },
+    profile: { type: 'string', minLength: 1 },
+    mode: { enum: Object.values(VALIDATION_MODES) },
+    syntaxMode: { enum: Object.values(SYNTAX_MODES) },
+    maxAgeMs: { type: 'integer', minimum: 0 }
+  }
+};
+
+export const verificationResult = {
+  type: 'object',
+  required: ['email', 'status', 'verdict', 'reasons', 'verification', 'profile', 'mode', 'checks', 'checkedAt'],
+  properties: {
+    email: { type: ['string', 'null'] },
+    unicodeEmail: { type: ['string', 'null'] },
+    asciiEmail: { type: ['string', 'null'] },
+    canonicalEmail: { type: ['string', 'null'] },
+    suggestion,
+    status: { type: 'boolean' },
+    verdict: { enum: Object.values(VERDICTS) },
+    reasons: { type: 'array', items: reason },
+    verification: { type: 'string' },
+    catchAll: { type: ['boolean', 'null'] },
+    score: { type: ['number', 'null'] },
+    profile: { type: 'string' },
+    mode: { enum: Object.values(VALIDATION_MODES) },
+    syntaxMode: { enum: Object.values(SYNTAX_MODES) },
+    checks: { type: 'array', items: check },
+    durationMs: { type: 'number', minimum: 0 },
+    checkedAt: { type: 'string' },
+    cached: { type: 'boolean' },
+    cachedAt: { type: 'string' }
+  }
+};
@@ -0,0 +1,40 @@
+const historyEntry = {
+  type: 'object',
+  required: ['id', 'address', 'domain', 'verdict', 'status', 'checkedAt'],
+  properties: {
+    id: { type: 'string' },
+    address: { type: 'string' },
+    domain: { type: 'string' },
+    verdict: { type: 'string' },
+    status: { type: 'boolean' },
+    jobId: { type: ['string', 'null'] },
+    checkedAt: { type: 'string' }
+  }
+};
+
+export const historyQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    limit: { type: 'string', pattern: '^[1-9][0-9]{0,2}$' }
+  }
+};
+
+export const addressHistoryResponse = {
+  type: 'object',
+  required: ['address', 'results'],
+  properties: {
+    address: { type: 'string' },
+    results: { type: 'array', items: historyEntry }
+  }
+};
+
+export const domainHistoryResponse = {
+  type: 'object',
+  required: ['domain', 'posture', 'results'],
+  properties: {
+    domain: { type: 'string' },
+    posture: { type: ['object', 'null'] },
+    results: { type: 'array', items: historyEntry }
+  }
+};
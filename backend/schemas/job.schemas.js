@@ -0,0 +1,61 @@
+import { VALIDATION_MODES } from '../controllers/email.controller.js';
+import { SYNTAX_MODES } from '../services/address-parser.service.js';
+import { JOB_STATUS } from '../services/bulk-job.service.js';
+
+const jobOptions = {
+  profile: { type: 'string', minLength: 1 },
+  mode: { enum: Object.values(VALIDATION_MODES) },
+  syntaxMode: { enum: Object.values(SYNTAX_MODES) },
+  maxAgeMs: { type: 'integer', minimum: 0 },
+  concurrency: { type: 'integer', minimum: 1, maximum: 50 }
+};
+
+export const createJobRequest = {
+  type: 'object',
+  required: ['emails'],
+  additionalProperties: false,
+  properties: {
+    emails: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1, maxLength: 1024 } },
+    ...jobOptions
+  }
+};
+
+// Options for CSV uploads come from the query string, so numbers arrive as
+// strings.
+export const createJobQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    ...jobOptions,
+    maxAgeMs: { type: 'string', pattern: '^[0-9]+$' },
+    concurrency: { type: 'string', pattern: '^[1-9][0-9]?$' }
+  }
+};
+
+export const jobResponse = {
+  type: 'object',
+  required: ['id', 'status', 'total', 'counts', 'progress', 'createdAt'],
+  properties: {
+    id: { type: 'string' },
+    status: { enum: Object.values(JOB_STATUS) },
+    total: { type: 'integer', minimum: 0 },
+    counts: {
+      type: 'object',
+      required: ['processed', 'valid', 'invalid', 'unknown'],
+      properties: {
+        processed: { type: 'integer', minimum: 0 },
+        valid: { type: 'integer', minimum: 0 },
+        invalid: { type: 'integer', minimum: 0 },
+        unknown: { type: 'integer', minimum: 0 },
+        failed: { type: 'integer', minimum: 0 },
+        retrying: { type: 'integer', minimum: 0 }
+      }
+    },
+    progress: { type: 'number', minimum: 0, maximum: 1 },
+    etaMs: { type: ['integer', 'null'] },
+    createdAt: { type: 'string' },
+    startedAt: { type: ['string', 'null'] },
+    finishedAt: { type: ['string', 'null'] },
+    error: { type: ['string', 'null'] }
+  }
+};
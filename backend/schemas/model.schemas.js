@@ -0,0 +1,90 @@
+import { suggestion } from './email.schemas.js';
+
+const label = { enum: [0, 1] };
+
+const trainingSample = {
+  type: 'object',
+  required: ['features', 'label'],
+  properties: {
+    email: { type: 'string' },
+    features: { type: 'array', minItems: 1, items: { type: 'number' } },
+    label
+  }
+};
+
+export const trainRequest = {
+  type: 'object',
+  required: ['dataset'],
+  additionalProperties: false,
+  properties: {
+    dataset: { type: 'array', minItems: 1, items: trainingSample },
+    validationData: { type: 'array', minItems: 1, items: trainingSample }
+  }
+};
+
+export const trainResponse = {
+  type: 'object',
+  required: ['success', 'message'],
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' }
+  }
+};
+
+export const modelValidateRequest = {
+  type: 'object',
+  required: ['email'],
+  additionalProperties: false,
+  properties: {
+    email: { type: 'string', minLength: 1, maxLength: 1024 }
+  }
+};
+
+export const modelValidateResponse = {
+  type: 'object',
+  required: ['email', 'traditionalValidation', 'aiValidation', 'aiConfidence', 'features'],
+  properties: {
+    email: { type: 'string' },
+    traditionalValidation: { type: 'boolean' },
+    verdict: { type: 'string' },
+    suggestion,
+    aiValidation: { type: 'boolean' },
+    aiConfidence: { type: 'number', minimum: 0, maximum: 1 },
+    features: { type: 'object' }
+  }
+};
+
+export const evaluateRequest = {
+  type: 'object',
+  required: ['testData'],
+  additionalProperties: false,
+  properties: {
+    testData: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['email', 'label'],
+        properties: { email: { type: 'string', minLength: 1 }, label }
+      }
+    }
+  }
+};
+
+export const evaluateResponse = {
+  type: 'object',
+  required: ['metrics', 'results'],
+  properties: {
+    metrics: {
+      type: 'object',
+      required: ['accuracy', 'precision', 'recall', 'f1Score'],
+      properties: {
+        accuracy: { type: 'number' },
+        precision: { type: 'number' },
+        recall: { type: 'number' },
+        f1Score: { type: 'number' }
+      }
+    },
+    results: { type: 'array', items: { type: 'object', required: ['email', 'actual', 'predicted'] } }
+  }
+};
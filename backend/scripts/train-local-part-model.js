@@ -0,0 +1,25 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { trainNgramModel } from '../services/local-part.service.js';
+
+const DEFAULT_CORPUS = fileURLToPath(new URL('../data/local-part-corpus.txt', import.meta.url));
+const DEFAULT_OUTPUT = fileURLToPath(new URL('../data/local-part-ngrams.json', import.meta.url));
+
+const args = process.argv.slice(2);
+const argValue = (flag) => {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+const corpusFile = argValue('--corpus') || DEFAULT_CORPUS;
+const outputFile = argValue('--output') || DEFAULT_OUTPUT;
+const order = Number(argValue('--order')) || 3;
+
+try {
+  const words = fs.readFileSync(corpusFile, 'utf8').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const model = trainNgramModel(words, { order });
+  fs.writeFileSync(outputFile, `${JSON.stringify(model)}\n`);
+  console.log(`Trained order-${order} model on ${words.length} words: ${Object.keys(model.counts).length} n-grams written to ${outputFile}.`);
+} catch (error) {
+  console.error(`Failed to train the local-part model: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,20 @@
+import { importDisposableDomains, getDisposableStoreStats } from '../services/disposable-store.service.js';
+
+const args = process.argv.slice(2);
+const sourceFile = args.find(arg => !arg.startsWith('--'));
+const replace = args.includes('--replace');
+
+if (!sourceFile) {
+  console.error('Usage: npm run disposable:update -- <file> [--replace]');
+  console.error('The file may be a newline-separated list or a JSON array. Use "*.domain" for wildcard entries.');
+  process.exit(1);
+}
+
+try {
+  const { file, added, total } = importDisposableDomains(sourceFile, { replace });
+  console.log(`${replace ? 'Replaced' : 'Updated'} ${file}: ${added} new, ${total} imported domains in total.`);
+  console.log('Disposable store sizes:', getDisposableStoreStats());
+} catch (error) {
+  console.error(`Failed to import disposable domains: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,47 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_CLASSES_FILE = fileURLToPath(new URL('../config/address-classes.json', import.meta.url));
+
+let classes = null;
+
+// Extra entries can be added without editing the config through
+// ROLE_ACCOUNTS, FREE_PROVIDERS and NO_REPLY_PATTERNS (comma separated).
+const fromEnv = (name) => (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+
+export const loadAddressClasses = (filePath = process.env.ADDRESS_CLASSES_FILE || DEFAULT_CLASSES_FILE) => {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  classes = {
+    roleAccounts: new Set([...(config.roleAccounts || []), ...fromEnv('ROLE_ACCOUNTS')].map(value => value.toLowerCase())),
+    freeProviders: new Set([...(config.freeProviders || []), ...fromEnv('FREE_PROVIDERS')].map(value => value.toLowerCase())),
+    noReplyPatterns: [...(config.noReplyPatterns || []), ...fromEnv('NO_REPLY_PATTERNS')].map(pattern => new RegExp(pattern, 'i'))
+  };
+  return classes;
+};
+
+const getClasses = () => classes || loadAddressClasses();
+
+// Drops a "+tag" and a trailing number, so "sales+eu" and "info2" are still
+// recognised as role accounts.
+const baseLocalPart = (localPart) => localPart.toLowerCase().split('+')[0];
+
+export const isRoleAccount = (localPart) => {
+  const base = baseLocalPart(localPart);
+  const { roleAccounts } = getClasses();
+  return roleAccounts.has(base) || roleAccounts.has(base.replace(/[._-]?\d+$/, ''));
+};
+
+export const isNoReplyAddress = (localPart) => {
+  const base = baseLocalPart(localPart);
+  return getClasses().noReplyPatterns.some(pattern => pattern.test(base));
+};
+
+export const isFreeProvider = (domain) => getClasses().freeProviders.has(String(domain).toLowerCase().replace(/\.$/, ''));
+
+// Flags used to segment lists: a shared role mailbox (info@, sales@), a free
+// webmail domain, or a no-reply/system sender that nobody reads.
+export const classifyAddress = (localPart, domain) => ({
+  role: isRoleAccount(localPart),
+  freeProvider: isFreeProvider(domain),
+  noReply: isNoReplyAddress(localPart)
+});
@@ -0,0 +1,278 @@
+import net from 'net';
+import { domainToASCII } from 'url';
+import psl from 'psl';
+
+export const SYNTAX_MODES = Object.freeze({
+  STRICT: 'strict',
+  LENIENT: 'lenient'
+});
+
+const MAX_LOCAL_LENGTH = 64;
+const MAX_DOMAIN_LENGTH = 253;
+const MAX_LABEL_LENGTH = 63;
+const MAX_ADDRESS_LENGTH = 254;
+
+// RFC 5322 atext plus any non-ASCII character (RFC 6532).
+const ATEXT = /[A-Za-z0-9!#$%&'*+/=?^_`{|}~\-\u0080-\uffff]/;
+const LABEL = /^[A-Za-z0-9\u0080-\uffff](?:[A-Za-z0-9\-\u0080-\uffff]*[A-Za-z0-9\u0080-\uffff])?$/;
+
+// Syntax that RFC 5322 allows but few mail systems accept: an error in strict
+// mode and a warning in lenient mode.
+const MODE_DEPENDENT = ['COMMENT', 'FOLDING_WHITESPACE', 'QUOTED_LOCAL_PART', 'OBSOLETE_LOCAL_PART', 'IP_LITERAL', 'SINGLE_LABEL_DOMAIN'];
+
+const MESSAGES = {
+  EMPTY: () => 'address is empty',
+  NO_AT_SIGN: () => 'address has no "@"',
+  MULTIPLE_AT_SIGNS: () => 'address has more than one unquoted "@"',
+  LOCAL_EMPTY: () => 'local part is empty',
+  LOCAL_TOO_LONG: ({ length }) => `local part exceeds ${MAX_LOCAL_LENGTH} chars (${length})`,
+  LOCAL_LEADING_DOT: () => 'local part starts with a dot',
+  LOCAL_TRAILING_DOT: () => 'local part ends with a dot',
+  CONSECUTIVE_DOTS: ({ part }) => `consecutive dots in ${part === 'domain' ? 'domain' : 'local part'}`,
+  INVALID_CHARACTER: ({ char, position }) => `invalid character "${char}" at position ${position}`,
+  UNTERMINATED_QUOTE: () => 'quoted string is not closed',
+  UNTERMINATED_COMMENT: () => 'comment is not closed',
+  UNTERMINATED_LITERAL: () => 'domain literal is not closed',
+  UNEXPECTED_WHITESPACE: ({ position }) => `unexpected whitespace at position ${position}`,
+  MISSING_DOT: ({ position }) => `missing dot between words at position ${position}`,
+  COMMENT: ({ text }) => `comment "${text}" in address`,
+  FOLDING_WHITESPACE: () => 'whitespace around address parts',
+  QUOTED_LOCAL_PART: () => 'local part is a quoted string',
+  OBSOLETE_LOCAL_PART: () => 'local part mixes quoted strings and atoms',
+  DOMAIN_EMPTY: () => 'domain is empty',
+  DOMAIN_TOO_LONG: ({ length }) => `domain exceeds ${MAX_DOMAIN_LENGTH} chars (${length})`,
+  DOMAIN_LEADING_DOT: () => 'domain starts with a dot',
+  DOMAIN_TRAILING_DOT: () => 'domain ends with a dot',
+  INVALID_DOMAIN_CHARACTER: ({ label }) => `domain label "${label}" contains invalid characters`,
+  LABEL_TOO_LONG: ({ label }) => `domain label "${label}" exceeds ${MAX_LABEL_LENGTH} chars`,
+  LABEL_HYPHEN: ({ label }) => `domain label "${label}" starts or ends with a hyphen`,
+  SINGLE_LABEL_DOMAIN: () => 'domain has no TLD',
+  INVALID_TLD: ({ tld }) => `invalid TLD "${tld}"`,
+  UNKNOWN_TLD: ({ tld }) => `TLD "${tld}" is not in the public suffix list`,
+  IP_LITERAL: () => 'domain is an IP address literal',
+  INVALID_IP_LITERAL: ({ literal }) => `domain literal "${literal}" is not a valid IP address`,
+  ADDRESS_TOO_LONG: ({ length }) => `address exceeds ${MAX_ADDRESS_LENGTH} chars (${length})`
+};
+
+const readDelimited = (input, start, open, close) => {
+  let depth = 0;
+  for (let i = start; i < input.length; i++) {
+    const char = input[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === close && (open === close ? i > start : true)) {
+      if (open === close || --depth === 0) return i + 1;
+    } else if (char === open && open !== close) {
+      depth++;
+    }
+  }
+  return -1;
+};
+
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const char = input[i];
+    const start = i;
+    if (char === ' ' || char === '\t' || char === '\r' || char === '\n') {
+      while (i < input.length && /\s/.test(input[i])) i++;
+      tokens.push({ type: 'ws', value: input.slice(start, i), position: start });
+    } else if (char === '(' || char === '"' || char === '[') {
+      const [type, close, unterminated] = {
+        '(': ['comment', ')', 'UNTERMINATED_COMMENT'],
+        '"': ['quoted', '"', 'UNTERMINATED_QUOTE'],
+        '[': ['literal', ']', 'UNTERMINATED_LITERAL']
+      }[char];
+      const end = char === '[' ? input.indexOf(']', i) + 1 : readDelimited(input, i, char, close);
+      if (end <= 0) {
+        tokens.push({ type: 'error', code: unterminated, position: start });
+        return tokens;
+      }
+      tokens.push({ type, value: input.slice(start, end), position: start });
+      i = end;
+    } else if (char === '.' || char === '@') {
+      tokens.push({ type: char === '.' ? 'dot' : 'at', value: char, position: start });
+      i++;
+    } else if (ATEXT.test(char)) {
+      while (i < input.length && ATEXT.test(input[i])) i++;
+      tokens.push({ type: 'atom', value: input.slice(start, i), position: start });
+    } else {
+      tokens.push({ type: 'invalid', value: char, position: start });
+      i++;
+    }
+  }
+  return tokens;
+};
+
+// Drops comments and whitespace from one side of the "@". Whitespace is only
+// allowed at the ends or next to a comment (folding whitespace).
+const stripCfws = (tokens, report) => {
+  const kept = [];
+  tokens.forEach((token, index) => {
+    if (token.type === 'comment') {
+      report('COMMENT', { text: token.value.slice(1, -1) });
+    } else if (token.type === 'ws') {
+      const atEdge = index === 0 || index === tokens.length - 1;
+      const nearComment = (tokens[index - 1] || {}).type === 'comment' || (tokens[index + 1] || {}).type === 'comment';
+      if (atEdge || nearComment) report('FOLDING_WHITESPACE');
+      else report('UNEXPECTED_WHITESPACE', { position: token.position });
+    } else {
+      kept.push(token);
+    }
+  });
+  return kept;
+};
+
+const checkDots = (tokens, part, report) => {
+  const prefix = part === 'domain' ? 'DOMAIN' : 'LOCAL';
+  if (tokens[0].type === 'dot') report(`${prefix}_LEADING_DOT`);
+  if (tokens[tokens.length - 1].type === 'dot') report(`${prefix}_TRAILING_DOT`);
+  for (let i = 1; i < tokens.length; i++) {
+    if (tokens[i].type === 'dot' && tokens[i - 1].type === 'dot') {
+      report('CONSECUTIVE_DOTS', { part });
+      break;
+    }
+    if (![tokens[i].type, tokens[i - 1].type].some(type => type === 'dot' || type === 'invalid')) {
+      report('MISSING_DOT', { position: tokens[i].position });
+    }
+  }
+};
+
+const parseLocalPart = (tokens, report) => {
+  if (!tokens.length) {
+    report('LOCAL_EMPTY');
+    return '';
+  }
+  tokens.filter(token => token.type === 'invalid' || token.type === 'literal')
+    .forEach(token => report('INVALID_CHARACTER', { char: token.value[0], position: token.position }));
+
+  const words = tokens.filter(token => token.type === 'atom' || token.type === 'quoted');
+  const quoted = words.filter(token => token.type === 'quoted');
+  if (quoted.length && words.length === 1 && tokens.length === 1) {
+    report('QUOTED_LOCAL_PART');
+  } else if (quoted.length) {
+    report('OBSOLETE_LOCAL_PART');
+  }
+  checkDots(tokens, 'local', report);
+
+  const localPart = tokens.map(token => token.value).join('');
+  if (localPart.length > MAX_LOCAL_LENGTH) {
+    report('LOCAL_TOO_LONG', { length: localPart.length });
+  }
+  return localPart;
+};
+
+const parseDomainLiteral = (literal, report) => {
+  const inner = literal.slice(1, -1);
+  const address = inner.replace(/^IPv6:/i, '');
+  const family = /^IPv6:/i.test(inner) ? 6 : 4;
+  report('IP_LITERAL');
+  if (net.isIP(address) !== family) {
+    report('INVALID_IP_LITERAL', { literal });
+  }
+  return literal;
+};
+
+const parseDomain = (tokens, report) => {
+  if (!tokens.length) {
+    report('DOMAIN_EMPTY');
+    return { domain: '', literal: false };
+  }
+  if (tokens.length === 1 && tokens[0].type === 'literal') {
+    return { domain: parseDomainLiteral(tokens[0].value, report), literal: true };
+  }
+
+  tokens.filter(token => !['atom', 'dot'].includes(token.type))
+    .forEach(token => report('INVALID_CHARACTER', { char: token.value[0], position: token.position }));
+  checkDots(tokens, 'domain', report);
+
+  const domain = tokens.map(token => token.value).join('');
+  const labels = domain.split('.').filter(Boolean);
+  for (const label of labels) {
+    if (/^-|-$/.test(label)) {
+      report('LABEL_HYPHEN', { label });
+    } else if (!LABEL.test(label)) {
+      report('INVALID_DOMAIN_CHARACTER', { label });
+    }
+  }
+
+  const ascii = domainToASCII(domain.replace(/\.$/, ''));
+  for (const label of ascii.split('.')) {
+    if (label.length > MAX_LABEL_LENGTH) report('LABEL_TOO_LONG', { label });
+  }
+  if (ascii.length > MAX_DOMAIN_LENGTH) {
+    report('DOMAIN_TOO_LONG', { length: ascii.length });
+  }
+
+  if (labels.length < 2) {
+    report('SINGLE_LABEL_DOMAIN');
+  } else {
+    const tld = (ascii.split('.').pop() || labels[labels.length - 1]).toLowerCase();
+    if (/^\d+$/.test(tld) || tld.length < 2 || !/^(?:[a-z]+|xn--[a-z0-9-]+)$/.test(tld)) {
+      report('INVALID_TLD', { tld });
+    } else if (ascii && psl.parse(ascii).listed === false) {
+      report('UNKNOWN_TLD', { tld });
+    }
+  }
+  return { domain, literal: false, ascii };
+};
+
+// Parses an RFC 5322 addr-spec with RFC 5321 length limits. Every problem is
+// reported as a diagnostic; `valid` is false when any has severity "error".
+// Strict mode also rejects syntax listed in MODE_DEPENDENT.
+export const parseAddress = (input, { mode = SYNTAX_MODES.STRICT } = {}) => {
+  const diagnostics = [];
+  const comments = [];
+  const report = (code, details = {}) => {
+    if (code === 'COMMENT') comments.push(details.text);
+    const severity = code === 'UNKNOWN_TLD' || (MODE_DEPENDENT.includes(code) && mode === SYNTAX_MODES.LENIENT)
+      ? 'warning'
+      : 'error';
+    if (!diagnostics.some(item => item.code === code && MESSAGES[code](details) === item.message)) {
+      diagnostics.push({ code, severity, message: MESSAGES[code](details) });
+    }
+  };
+
+  const result = { input, mode, valid: false, address: null, localPart: null, domain: null, domainLiteral: false, comments, diagnostics };
+  if (typeof input !== 'string' || !input.length) {
+    report('EMPTY');
+    return result;
+  }
+
+  const tokens = tokenize(input);
+  const failure = tokens.find(token => token.type === 'error');
+  if (failure) {
+    report(failure.code);
+    return result;
+  }
+
+  const ats = tokens.filter(token => token.type === 'at');
+  if (!ats.length) {
+    report('NO_AT_SIGN');
+    return result;
+  }
+  if (ats.length > 1) {
+    report('MULTIPLE_AT_SIGNS');
+    return result;
+  }
+  const split = tokens.indexOf(ats[0]);
+
+  const localPart = parseLocalPart(stripCfws(tokens.slice(0, split), report), report);
+  const domain = parseDomain(stripCfws(tokens.slice(split + 1), report), report);
+
+  const address = `${localPart}@${domain.domain}`;
+  const length = localPart.length + 1 + (domain.ascii || domain.domain).length;
+  if (length > MAX_ADDRESS_LENGTH) {
+    report('ADDRESS_TOO_LONG', { length });
+  }
+
+  return {
+    ...result,
+    valid: !diagnostics.some(item => item.severity === 'error'),
+    address,
+    localPart,
+    domain: domain.domain,
+    domainLiteral: domain.literal
+  };
+};
@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import path from 'path';
+import { Readable } from 'stream';
+import csv from 'csv-parser';
+import { checkEmailValidation } from '../controllers/email.controller.js';
+import { VERDICTS } from './verdict.service.js';
+import { getProfile } from './profile.service.js';
+import { FileJobStore } from './job-store.service.js';
+import { RetryQueue, isRetryableResult } from './retry-queue.service.js';
+import { formatCsvRow, resultFields, RESULT_COLUMNS } from './csv.service.js';
+
+export const JOB_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+});
+
+export const RESULT_CSV_HEADER = formatCsvRow(['Email', ...RESULT_COLUMNS]);
+
+export const resultToCsvRow = (email, result) => formatCsvRow([email, ...Object.values(resultFields(result))]);
+
+// Reads addresses from an uploaded CSV, taking the "email" column or, when
+// there is none, the first column.
+export const parseEmailCsv = (text) => new Promise((resolve, reject) => {
+  const emails = [];
+  Readable.from([text])
+    .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+    .on('data', (row) => {
+      const value = row.email !== undefined ? row.email : Object.values(row)[0];
+      if (value && value.trim()) emails.push(value.trim());
+    })
+    .on('end', () => resolve(emails))
+    .on('error', reject);
+});
+
+const emptyCounts = () => ({ processed: 0, valid: 0, invalid: 0, unknown: 0, failed: 0, retrying: 0 });
+
+// valid: the verdict is accepted; invalid: the address is undeliverable;
+// unknown: anything the pipeline could not settle either way.
+const countResult = (counts, result) => {
+  counts.processed++;
+  if (!result) counts.failed++;
+  else if (result.status) counts.valid++;
+  else if (result.verdict === VERDICTS.UNDELIVERABLE) counts.invalid++;
+  else counts.unknown++;
+};
+
+export const describeJob = (job) => {
+  const remaining = job.total - job.counts.processed;
+  const elapsedMs = job.startedAt ? (job.finishedAt ? Date.parse(job.finishedAt) : Date.now()) - Date.parse(job.startedAt) : 0;
+  const progress = job.total ? job.counts.processed / job.total : 1;
+  return {
+    ...job,
+    progress: Number(progress.toFixed(4)),
+    etaMs: job.status === JOB_STATUS.RUNNING && job.counts.processed && remaining
+      ? Math.round((elapsedMs / job.counts.processed) * remaining)
+      : null
+  };
+};
+
+// Each job keeps its own retry queue file next to the job documents, keyed by
+// the address's position in the upload.
+const jobRetryQueue = (id) => new RetryQueue({ filePath: path.join(process.env.JOBS_DIR || 'jobs', `${id}.retries.json`) });
+
+// Runs bulk validation jobs in the background. Every result is written to the
+// store as soon as it is known, so a job interrupted by a restart resumes
+// with the addresses it had not finished. The addresses are stored apart from
+// the job, which is rewritten with fresh counts after every result.
+// Greylisted and temporarily failed addresses go to the job's retry queue
+// instead, and the job completes once the queue has settled them.
+export class BulkJobManager {
+  constructor({
+    store = new FileJobStore(),
+    concurrency = Number(process.env.BULK_CONCURRENCY) || 5,
+    maxEmails = Number(process.env.BULK_MAX_EMAILS) || 10000,
+    validate = checkEmailValidation,
+    createRetryQueue = jobRetryQueue
+  } = {}) {
+    this.store = store;
+    this.concurrency = concurrency;
+    this.maxEmails = maxEmails;
+    this.validate = validate;
+    this.createRetryQueue = createRetryQueue;
+    this.running = new Map();
+  }
+
+  async createJob(emails, { profile, mode, syntaxMode, maxAgeMs, concurrency } = {}) {
+    if (!emails.length) {
+      const error = new Error('The upload contains no email addresses.');
+      error.code = 'EMPTY_JOB';
+      throw error;
+    }
+    if (emails.length > this.maxEmails) {
+      const error = new Error(`A job may contain at most ${this.maxEmails} addresses (got ${emails.length}).`);
+      error.code = 'JOB_TOO_LARGE';
+      throw error;
+    }
+    // Throws UNKNOWN_PROFILE now rather than failing every address later.
+    getProfile(profile);
+
+    const job = await this.store.create({
+      id: crypto.randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      options: { profile, mode, syntaxMode, maxAgeMs: maxAgeMs === undefined ? undefined : Number(maxAgeMs) },
+      concurrency: Math.max(1, Math.min(Number(concurrency) || this.concurrency, 50)),
+      total: emails.length,
+      counts: emptyCounts(),
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null
+    }, emails);
+    this.start(job.id);
+    return job;
+  }
+
+  setStore(store) {
+    this.store = store;
+  }
+
+  getJob(id) {
+    return this.store.get(id);
+  }
+
+  async getResults(id) {
+    return (await this.store.readResults(id)).sort((a, b) => a.index - b.index);
+  }
+
+  // Picks up jobs that were queued or running when the process stopped.
+  async resume() {
+    const jobs = await this.store.list({ statuses: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING] });
+    jobs.forEach(job => this.start(job.id));
+    return jobs.length;
+  }
+
+  start(id) {
+    if (!this.running.has(id)) {
+      const run = this.run(id)
+        .catch(error => this.store.update(id, {
+          status: JOB_STATUS.FAILED,
+          error: error.message,
+          finishedAt: new Date().toISOString()
+        }).catch(updateError => {
+          console.error(`Job ${id} failed (${error.message}) and the failure could not be recorded:`, updateError.message);
+        }))
+        .finally(() => this.running.delete(id));
+      this.running.set(id, run);
+    }
+    return this.running.get(id);
+  }
+
+  async run(id) {
+    const job = await this.store.get(id);
+    const emails = await this.store.readEmails(id);
+    const retryQueue = this.createRetryQueue(id).load();
+    const done = new Set();
+    const counts = emptyCounts();
+    for (const record of await this.store.readResults(id)) {
+      if (done.has(record.index)) continue;
+      done.add(record.index);
+      countResult(counts, record.result);
+    }
+    counts.retrying = retryQueue.size;
+
+    await this.store.update(id, {
+      status: JOB_STATUS.RUNNING,
+      counts,
+      startedAt: job.startedAt || new Date().toISOString()
+    });
+
+    const record = async (index, result, error) => {
+      await this.store.appendResult(id, { index, email: emails[index], result, error });
+      countResult(counts, result);
+      await this.store.update(id, { counts });
+    };
+
+    const options = { ...job.options, jobId: id };
+    const pending = emails.map((email, index) => ({ email, index }))
+      .filter(({ index }) => !done.has(index) && !retryQueue.has(index));
+    const worker = async () => {
+      while (pending.length) {
+        const { email, index } = pending.shift();
+        let result = null;
+        let error = null;
+        try {
+          result = await this.validate(email, options);
+        } catch (err) {
+          error = err.message;
+        }
+        if (isRetryableResult(result)) {
+          retryQueue.schedule(index, email, result, options);
+          counts.retrying++;
+          await this.store.update(id, { counts });
+          continue;
+        }
+        await record(index, result, error);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(job.concurrency, pending.length) }, worker));
+
+    // A retry that throws is recorded as failed rather than failing the job.
+    const retry = (email, context) => this.validate(email, context).catch(error => ({ validationError: error.message }));
+    await retryQueue.drain(retry, async ({ validationError, ...result }, context, index) => {
+      counts.retrying--;
+      await (validationError ? record(index, null, validationError) : record(index, result, null));
+    });
+
+    return this.store.update(id, {
+      status: JOB_STATUS.COMPLETED,
+      counts,
+      finishedAt: new Date().toISOString()
+    });
+  }
+}
+
+export const jobManager = new BulkJobManager();
@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import { SMTP_OUTCOMES } from './smtp-prober.service.js';
+import { smtpScheduler } from './smtp-scheduler.service.js';
+
+const CATCH_ALL_TTL_MS = Number(process.env.CATCH_ALL_CACHE_TTL_MS) || 24 * 60 * 60 * 1000;
+
+const cache = new Map();
+const pending = new Map();
+
+export const randomLocalPart = () => `nx-${crypto.randomBytes(12).toString('hex')}`;
+
+const probeDomain = async (domain, options) => {
+  const probedAddress = `${randomLocalPart()}@${domain}`;
+  const probe = await smtpScheduler.probe(probedAddress, options);
+
+  let catchAll = null;
+  if (probe.outcome === SMTP_OUTCOMES.ACCEPTED) catchAll = true;
+  if (probe.outcome === SMTP_OUTCOMES.MAILBOX_NOT_FOUND) catchAll = false;
+
+  return {
+    domain,
+    catchAll,
+    probedAddress,
+    outcome: probe.outcome,
+    host: probe.host,
+    replyCode: probe.replyCode,
+    checkedAt: new Date().toISOString()
+  };
+};
+
+// Only conclusive answers are cached; a greylisted or timed-out probe is retried next time.
+export const detectCatchAll = async (domain, options = {}) => {
+  const key = domain.toLowerCase();
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { ...cached.result, cached: true };
+  }
+  if (pending.has(key)) {
+    return pending.get(key);
+  }
+
+  const request = probeDomain(key, options)
+    .then(result => {
+      if (result.catchAll !== null) {
+        cache.set(key, { result, expiresAt: Date.now() + CATCH_ALL_TTL_MS });
+      }
+      return { ...result, cached: false };
+    })
+    .finally(() => pending.delete(key));
+
+  pending.set(key, request);
+  return request;
+};
+
+export const clearCatchAllCache = () => cache.clear();
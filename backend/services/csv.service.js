@@ -0,0 +1,22 @@
+// RFC 4180 output: fields holding the delimiter, a quote or a line break are
+// quoted, quotes are doubled, and records end with CRLF.
+export const CSV_LINE_ENDING = '\r\n';
+
+// Columns added to every row of a bulk validation report.
+export const RESULT_COLUMNS = Object.freeze(['MethodUsed', 'Status', 'Verdict', 'Reasons', 'Suggestion']);
+
+export const formatCsvField = (value, delimiter = ',') => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const formatCsvRow = (values, { delimiter = ',' } = {}) =>
+  values.map(value => formatCsvField(value, delimiter)).join(delimiter) + CSV_LINE_ENDING;
+
+export const resultFields = (result) => ({
+  MethodUsed: result.verification,
+  Status: result.status,
+  Verdict: result.verdict,
+  Reasons: result.reasons.map(reason => reason.code).join('|'),
+  Suggestion: result.suggestion ? result.suggestion.email : ''
+});
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// Persistence is optional: without MONGODB_URI the API validates addresses and
+// keeps bulk jobs on disk, and the history endpoints answer 503.
+export const connectDatabase = async (uri = process.env.MONGODB_URI) => {
+  if (!uri) {
+    return false;
+  }
+  await mongoose.connect(uri, { serverSelectionTimeoutMS: Number(process.env.MONGODB_TIMEOUT_MS) || 5000 });
+  return true;
+};
+
+export const disconnectDatabase = () => mongoose.disconnect();
+
+export const isDatabaseConnected = () => mongoose.connection.readyState === 1;
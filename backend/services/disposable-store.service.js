@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const require = createRequire(import.meta.url);
+
+const resolveFile = (relative) => fileURLToPath(new URL(relative, import.meta.url));
+
+const files = () => ({
+  imported: process.env.DISPOSABLE_DATA_FILE || resolveFile('../data/disposable-domains.txt'),
+  allow: process.env.DISPOSABLE_ALLOW_FILE || resolveFile('../config/disposable-allow.txt'),
+  deny: process.env.DISPOSABLE_DENY_FILE || resolveFile('../config/disposable-deny.txt')
+});
+
+const normalizeDomain = (domain) => String(domain).trim().toLowerCase().replace(/\.$/, '');
+
+export const parseDomainList = (text) => {
+  const trimmed = text.trim();
+  const entries = trimmed.startsWith('[')
+    ? JSON.parse(trimmed)
+    : trimmed.split(/\r?\n/).map(line => line.replace(/#.*$/, '').trim());
+  return entries.map(normalizeDomain).filter(entry => entry && !entry.includes(' '));
+};
+
+const readList = (filePath) => (fs.existsSync(filePath) ? parseDomainList(fs.readFileSync(filePath, 'utf8')) : []);
+
+// Plain entries match the domain exactly; "*.example.com" entries match
+// example.com and every subdomain of it.
+const createMatcher = (entries) => {
+  const exact = new Set();
+  const wildcard = new Set();
+  for (const entry of entries) {
+    if (entry.startsWith('*.')) wildcard.add(entry.slice(2));
+    else exact.add(entry);
+  }
+  return {
+    size: exact.size + wildcard.size,
+    match: (domain) => {
+      if (exact.has(domain)) return domain;
+      const labels = domain.split('.');
+      for (let i = 0; i < labels.length - 1; i++) {
+        const suffix = labels.slice(i).join('.');
+        if (wildcard.has(suffix)) return `*.${suffix}`;
+      }
+      return null;
+    }
+  };
+};
+
+const loadBundled = () => [
+  ...require('disposable-email-domains'),
+  ...require('disposable-email-domains/wildcard.json').map(domain => `*.${domain}`)
+];
+
+let store = null;
+
+export const loadDisposableStore = () => {
+  const paths = files();
+  store = {
+    allow: createMatcher(readList(paths.allow)),
+    deny: createMatcher(readList(paths.deny)),
+    bundled: createMatcher(loadBundled()),
+    imported: createMatcher(readList(paths.imported))
+  };
+  return store;
+};
+
+const getStore = () => store || loadDisposableStore();
+
+export const lookupDisposableDomain = (domain) => {
+  const name = normalizeDomain(domain);
+  const { allow, deny, imported, bundled } = getStore();
+
+  const allowed = allow.match(name);
+  if (allowed) return { domain: name, disposable: false, source: 'allow', matched: allowed };
+
+  for (const [source, matcher] of [['deny', deny], ['imported', imported], ['bundled', bundled]]) {
+    const matched = matcher.match(name);
+    if (matched) return { domain: name, disposable: true, source, matched };
+  }
+  return { domain: name, disposable: false, source: null, matched: null };
+};
+
+export const isDisposableDomain = (domain) => lookupDisposableDomain(domain).disposable;
+
+export const getDisposableStoreStats = () => {
+  const { allow, deny, imported, bundled } = getStore();
+  return { allow: allow.size, deny: deny.size, imported: imported.size, bundled: bundled.size };
+};
+
+export const importDisposableDomains = (sourceFile, { replace = false } = {}) => {
+  const target = files().imported;
+  const incoming = parseDomainList(fs.readFileSync(sourceFile, 'utf8'));
+  const existing = replace ? [] : readList(target);
+  const merged = [...new Set([...existing, ...incoming])].sort();
+
+  const header = fs.existsSync(target)
+    ? fs.readFileSync(target, 'utf8').split(/\r?\n/).filter(line => line.startsWith('#'))
+    : [];
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, [...header, ...merged].join('\n') + '\n');
+  loadDisposableStore();
+
+  return {
+    file: target,
+    added: merged.length - existing.length,
+    total: merged.length
+  };
+};
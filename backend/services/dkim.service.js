@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { resolver as defaultResolver } from './dns-resolver.service.js';
+import { fingerprintMx } from './provider.service.js';
+
+const DEFAULT_SELECTORS_FILE = fileURLToPath(new URL('../config/dkim-selectors.json', import.meta.url));
+const NOT_FOUND_CODES = ['ENOTFOUND', 'ENODATA'];
+
+// RFC 8301: verifiers must reject RSA keys under 1024 bits.
+export const MIN_RSA_KEY_BITS = 1024;
+
+export const DKIM_KEY_STATUS = Object.freeze({
+  VALID: 'valid',
+  WEAK: 'weak',
+  REVOKED: 'revoked',
+  INVALID: 'invalid'
+});
+
+export const loadDkimSelectors = (filePath = process.env.DKIM_SELECTORS_FILE || DEFAULT_SELECTORS_FILE) =>
+  JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+let selectorConfig = null;
+
+const getSelectorConfig = () => selectorConfig || (selectorConfig = loadDkimSelectors());
+
+// Provider selectors go first, then the common list, then the selectors of
+// the email service providers in the config's "senders" list, then selectors
+// added in the config's "custom" list, DKIM_SELECTORS or the caller's options.
+// Providers are keyed by the ids fingerprintMx returns. Services such as
+// Mailchimp or SendGrid sign with their own selectors on the customer's
+// domain while its MX points elsewhere, so the MX fingerprint cannot tell
+// whether they are in use and their selectors are always tried.
+export const selectorsFor = (provider, extra = [], config = getSelectorConfig()) => {
+  const fromEnv = (process.env.DKIM_SELECTORS || '').split(',').map(selector => selector.trim());
+  const providerSelectors = (provider && (config.providers || {})[provider]) || [];
+  return [...new Set([
+    ...providerSelectors,
+    ...(config.common || []),
+    ...Object.values(config.senders || {}).flat(),
+    ...(config.custom || []),
+    ...fromEnv,
+    ...extra
+  ].map(selector => selector.toLowerCase()).filter(Boolean))];
+};
+
+const parseTags = (record) => {
+  const tags = {};
+  const errors = [];
+  record.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const index = part.indexOf('=');
+    if (index < 1) {
+      errors.push(`Malformed tag "${part}".`);
+      return;
+    }
+    const tag = part.slice(0, index).trim().toLowerCase();
+    if (tag in tags) {
+      errors.push(`Tag "${tag}" appears more than once.`);
+      return;
+    }
+    tags[tag] = part.slice(index + 1).replace(/\s+/g, '');
+  });
+  return { tags, errors };
+};
+
+const keyBits = (keyType, der) => {
+  if (keyType === 'ed25519') {
+    return der.length === 32 ? 256 : null;
+  }
+  for (const type of ['spki', 'pkcs1']) {
+    try {
+      const key = crypto.createPublicKey({ key: der, format: 'der', type });
+      return key.asymmetricKeyDetails.modulusLength;
+    } catch {
+      continue;
+    }
+  }
+  return null;
+};
+
+// Parses a DKIM key record (RFC 6376 section 3.6.1). An empty p= means the
+// key was revoked; RSA keys shorter than MIN_RSA_KEY_BITS are reported weak.
+export const parseDkimKey = (record) => {
+  const { tags, errors } = parseTags(String(record));
+  const keyType = (tags.k || 'rsa').toLowerCase();
+  const parsed = {
+    record,
+    version: tags.v || null,
+    keyType,
+    hashAlgorithms: tags.h ? tags.h.toLowerCase().split(':') : null,
+    flags: tags.t ? tags.t.toLowerCase().split(':') : [],
+    testing: false,
+    bits: null,
+    status: DKIM_KEY_STATUS.VALID,
+    errors
+  };
+  parsed.testing = parsed.flags.includes('y');
+
+  if (tags.v !== undefined && tags.v !== 'DKIM1') {
+    errors.push(`Unsupported version "${tags.v}".`);
+  }
+  if (!['rsa', 'ed25519'].includes(keyType)) {
+    errors.push(`Unsupported key type "${keyType}".`);
+  }
+  if (tags.p === undefined) {
+    errors.push('Required tag "p" is missing.');
+  } else if (tags.p === '') {
+    parsed.status = DKIM_KEY_STATUS.REVOKED;
+    return parsed;
+  } else if (!/^[A-Za-z0-9+/]+={0,2}$/.test(tags.p)) {
+    errors.push('Tag "p" is not valid base64.');
+  } else if (!errors.length) {
+    parsed.bits = keyBits(keyType, Buffer.from(tags.p, 'base64'));
+    if (!parsed.bits) errors.push(`Tag "p" does not hold a valid ${keyType} public key.`);
+  }
+
+  if (errors.length) {
+    parsed.status = DKIM_KEY_STATUS.INVALID;
+  } else if (keyType === 'rsa' && parsed.bits < MIN_RSA_KEY_BITS) {
+    parsed.status = DKIM_KEY_STATUS.WEAK;
+  }
+  return parsed;
+};
+
+const isDkimRecord = (text) => /^v\s*=\s*DKIM1\s*(;|$)/i.test(text) || /(^|;)\s*p\s*=/i.test(text);
+
+const probeSelector = async (domain, selector, dns) => {
+  try {
+    const txtRecords = await dns.resolveTxt(`${selector}._domainkey.${domain}`);
+    const record = txtRecords.map(chunks => chunks.join('')).find(isDkimRecord);
+    return record ? { selector, ...parseDkimKey(record) } : null;
+  } catch (err) {
+    if (NOT_FOUND_CODES.includes(err.code)) return null;
+    return { selector, lookupError: err.code || err.message };
+  }
+};
+
+const mapConcurrent = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Probes the provider-specific and common selectors for `domain` and returns
+// every key found. The provider is the fingerprint mxValidation already made;
+// without one it is fingerprinted here from `mxHosts`, which are looked up
+// when the caller does not pass them either.
+export const discoverDkim = async (domain, {
+  mxHosts,
+  provider,
+  selectors = [],
+  concurrency = Number(process.env.DKIM_PROBE_CONCURRENCY) || 5,
+  resolver = defaultResolver
+} = {}) => {
+  let fingerprint = provider;
+  if (fingerprint === undefined) {
+    let hosts = mxHosts;
+    if (!hosts) {
+      try {
+        hosts = (await resolver.resolveMx(domain)).map(record => record.exchange);
+      } catch {
+        hosts = [];
+      }
+    }
+    fingerprint = fingerprintMx(domain, hosts);
+  }
+
+  const providerId = fingerprint ? fingerprint.id : null;
+  const candidates = selectorsFor(providerId, selectors);
+  const probed = (await mapConcurrent(candidates, concurrency, selector => probeSelector(domain, selector, resolver)))
+    .filter(Boolean);
+
+  return {
+    domain,
+    provider: providerId,
+    selectorsTried: candidates.length,
+    keys: probed.filter(result => !result.lookupError),
+    lookupErrors: probed.filter(result => result.lookupError)
+  };
+};
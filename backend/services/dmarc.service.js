@@ -0,0 +1,163 @@
+import psl from 'psl';
+import { resolver as defaultResolver } from './dns-resolver.service.js';
+
+export const DMARC_POLICIES = Object.freeze(['none', 'quarantine', 'reject']);
+
+const ALIGNMENT_MODES = { r: 'relaxed', s: 'strict' };
+const FAILURE_OPTIONS = ['0', '1', 'd', 's'];
+const NOT_FOUND_CODES = ['ENOTFOUND', 'ENODATA'];
+
+const DEFAULT_TAGS = {
+  pct: 100,
+  adkim: 'r',
+  aspf: 'r',
+  fo: '0',
+  rf: 'afrf',
+  ri: 86400
+};
+
+const dmarcError = (code, message, domain) => ({ code, message, domain });
+
+const isDmarcRecord = (text) => /^v\s*=\s*DMARC1\s*(;|$)/i.test(text);
+
+const parseUriList = (value) => value.split(',').map(uri => uri.trim()).filter(Boolean).map(uri => {
+  const match = uri.match(/^([a-z][a-z0-9+.-]*:[^!]+)(?:!(\d+[kmgt]?))?$/i);
+  return match ? { uri: match[1], maxSize: match[2] || null } : null;
+});
+
+// Tag validators return the normalized value or undefined when malformed.
+const TAG_PARSERS = {
+  p: (value) => (DMARC_POLICIES.includes(value.toLowerCase()) ? value.toLowerCase() : undefined),
+  sp: (value) => (DMARC_POLICIES.includes(value.toLowerCase()) ? value.toLowerCase() : undefined),
+  pct: (value) => (/^\d{1,3}$/.test(value) && Number(value) <= 100 ? Number(value) : undefined),
+  adkim: (value) => (ALIGNMENT_MODES[value.toLowerCase()] ? value.toLowerCase() : undefined),
+  aspf: (value) => (ALIGNMENT_MODES[value.toLowerCase()] ? value.toLowerCase() : undefined),
+  fo: (value) => {
+    const options = value.split(':').map(option => option.trim().toLowerCase());
+    return options.every(option => FAILURE_OPTIONS.includes(option)) ? options.join(':') : undefined;
+  },
+  rua: (value) => {
+    const uris = parseUriList(value);
+    return uris.length && !uris.includes(null) ? uris : undefined;
+  },
+  ruf: (value) => {
+    const uris = parseUriList(value);
+    return uris.length && !uris.includes(null) ? uris : undefined;
+  },
+  rf: (value) => (/^[a-z0-9-]+(:[a-z0-9-]+)*$/i.test(value) ? value.toLowerCase() : undefined),
+  ri: (value) => (/^\d+$/.test(value) ? Number(value) : undefined)
+};
+
+// Parses the tag list of a DMARC record (RFC 7489 section 6.3). Malformed,
+// duplicate and missing required tags are collected in `errors`; unknown
+// tags are ignored as the RFC requires but listed for reporting.
+export const parseDmarcRecord = (record) => {
+  const parsed = { record, tags: {}, unknownTags: [], errors: [] };
+  const [version, ...parts] = String(record).split(';').map(part => part.trim()).filter(Boolean);
+  if (!version || !/^v\s*=\s*DMARC1$/i.test(version)) {
+    parsed.errors.push('Record does not start with "v=DMARC1".');
+  }
+
+  parts.forEach(part => {
+    const match = part.match(/^([a-z][a-z0-9_]*)\s*=\s*(.*)$/i);
+    if (!match) {
+      parsed.errors.push(`Malformed tag "${part}".`);
+      return;
+    }
+    const tag = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (tag === 'v' || tag in parsed.tags) {
+      parsed.errors.push(`Tag "${tag}" appears more than once.`);
+      return;
+    }
+    if (!TAG_PARSERS[tag]) {
+      parsed.unknownTags.push(tag);
+      return;
+    }
+    const normalized = TAG_PARSERS[tag](value);
+    if (normalized === undefined) {
+      parsed.errors.push(`Invalid value "${value}" for tag "${tag}".`);
+      return;
+    }
+    parsed.tags[tag] = normalized;
+  });
+
+  if (!parsed.tags.p) {
+    parsed.errors.push('Required tag "p" is missing or invalid.');
+  }
+  return parsed;
+};
+
+export const getOrganizationalDomain = (domain) => {
+  const name = String(domain).trim().toLowerCase().replace(/\.$/, '');
+  return psl.get(name) || name;
+};
+
+const fetchDmarcRecords = async (domain, dns) => {
+  try {
+    const txtRecords = await dns.resolveTxt(`_dmarc.${domain}`);
+    return txtRecords.map(chunks => chunks.join('')).filter(isDmarcRecord);
+  } catch (err) {
+    if (NOT_FOUND_CODES.includes(err.code)) return [];
+    throw err;
+  }
+};
+
+// Finds the policy that applies to mail from `domain` (RFC 7489 section
+// 6.6.3): the domain's own record, else the organizational domain's record
+// with its subdomain policy.
+export const lookupDmarc = async (domain, { resolver = defaultResolver } = {}) => {
+  const name = String(domain).trim().toLowerCase().replace(/\.$/, '');
+  const orgDomain = getOrganizationalDomain(name);
+
+  let policyDomain = name;
+  let records = await fetchDmarcRecords(name, resolver);
+  if (!records.length && orgDomain !== name) {
+    policyDomain = orgDomain;
+    records = await fetchDmarcRecords(orgDomain, resolver);
+  }
+
+  const result = {
+    domain: name,
+    orgDomain,
+    policyDomain: records.length ? policyDomain : null,
+    inherited: Boolean(records.length) && policyDomain !== name,
+    record: records[0] || null,
+    records,
+    tags: {},
+    unknownTags: [],
+    policy: null,
+    subdomainPolicy: null,
+    strength: null,
+    pct: null,
+    alignment: null,
+    reporting: null,
+    errors: []
+  };
+  if (!records.length) {
+    return result;
+  }
+  if (records.length > 1) {
+    result.errors.push(dmarcError('DMARC_MULTIPLE_RECORDS', `Domain ${policyDomain} publishes ${records.length} DMARC records.`, policyDomain));
+  }
+
+  const parsed = parseDmarcRecord(records[0]);
+  parsed.errors.forEach(message => result.errors.push(dmarcError('DMARC_INVALID', message, policyDomain)));
+  const tags = { ...DEFAULT_TAGS, sp: parsed.tags.p, ...parsed.tags };
+
+  result.tags = tags;
+  result.unknownTags = parsed.unknownTags;
+  result.policy = tags.p || null;
+  result.subdomainPolicy = tags.sp || null;
+  result.strength = (result.inherited ? result.subdomainPolicy : result.policy) || null;
+  result.pct = tags.pct;
+  result.alignment = { dkim: ALIGNMENT_MODES[tags.adkim], spf: ALIGNMENT_MODES[tags.aspf] };
+  result.reporting = {
+    aggregate: (tags.rua || []).map(entry => entry.uri),
+    forensic: (tags.ruf || []).map(entry => entry.uri),
+    failureOptions: tags.fo,
+    interval: tags.ri
+  };
+  return result;
+};
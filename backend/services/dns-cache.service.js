@@ -0,0 +1,166 @@
+const METHOD_TYPES = {
+  resolve4: 'A',
+  resolve6: 'AAAA',
+  resolveMx: 'MX',
+  resolveTxt: 'TXT',
+  resolveCname: 'CNAME',
+  resolveNs: 'NS'
+};
+
+const normalizeName = (name) => String(name).trim().toLowerCase().replace(/\.$/, '');
+
+// Mirrors the error the system resolver gives for a name that does not
+// exist, for a query type other than the one that found it missing.
+const notFoundError = (cached, type, hostname) => {
+  const syscall = `query${type.charAt(0)}${type.slice(1).toLowerCase()}`;
+  const error = new Error(`${syscall} ${cached.code} ${hostname}`);
+  error.code = cached.code;
+  error.syscall = syscall;
+  error.hostname = hostname;
+  return error;
+};
+
+export const createCachingResolver = (upstream, {
+  defaultTtl = 300,
+  negativeTtl = 60,
+  maxTtl = 86400,
+  maxEntries = 50000,
+  now = Date.now
+} = {}) => {
+  const positive = new Map();
+  const negative = new Map();
+  const pending = new Map();
+  const counters = { hits: 0, negativeHits: 0, misses: 0, coalesced: 0, errors: 0 };
+
+  const clampTtl = (ttl) => Math.max(0, Math.min(Number.isFinite(ttl) ? ttl : defaultTtl, maxTtl));
+
+  const store = (cache, key, value, ttl) => {
+    cache.delete(key);
+    cache.set(key, { ...value, expiresAt: now() + clampTtl(ttl) * 1000 });
+    if (cache.size > maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+  };
+
+  const lookup = (cache, key) => {
+    const entry = cache.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now()) {
+      cache.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  // Node only reports TTLs for A/AAAA answers, so other record types use
+  // defaultTtl unless the upstream resolver can report them (zone fixtures do).
+  const fetchWithTtl = async (type, hostname) => {
+    if (typeof upstream.queryWithTtl === 'function') {
+      return upstream.queryWithTtl(hostname, type);
+    }
+    if (type === 'A' || type === 'AAAA') {
+      const method = type === 'A' ? 'resolve4' : 'resolve6';
+      const answers = await upstream[method](hostname, { ttl: true });
+      return {
+        records: answers.map(answer => answer.address),
+        ttl: answers.length ? Math.min(...answers.map(answer => answer.ttl)) : defaultTtl
+      };
+    }
+    const method = Object.keys(METHOD_TYPES).find(name => METHOD_TYPES[name] === type);
+    return { records: await upstream[method](hostname), ttl: defaultTtl };
+  };
+
+  // ENODATA says a name has no records of one type, so it is cached per
+  // type. ENOTFOUND (NXDOMAIN) says the name does not exist at all, so it is
+  // cached for the name and answers queries of every type.
+  const query = async (type, hostname) => {
+    const name = normalizeName(hostname);
+    const key = `${type}:${name}`;
+
+    const cached = lookup(positive, key);
+    if (cached) {
+      counters.hits++;
+      return cached;
+    }
+    const missingName = lookup(negative, name);
+    if (missingName) {
+      counters.negativeHits++;
+      throw notFoundError(missingName.error, type, hostname);
+    }
+    const cachedFailure = lookup(negative, key);
+    if (cachedFailure) {
+      counters.negativeHits++;
+      throw cachedFailure.error;
+    }
+    if (pending.has(key)) {
+      counters.coalesced++;
+      return pending.get(key);
+    }
+
+    counters.misses++;
+    const request = fetchWithTtl(type, hostname)
+      .then(({ records, ttl }) => {
+        store(positive, key, { records, ttl }, ttl);
+        return positive.get(key);
+      })
+      .catch(err => {
+        if (err.code === 'ENOTFOUND') {
+          store(negative, name, { error: err }, negativeTtl);
+        } else if (err.code === 'ENODATA') {
+          store(negative, key, { error: err }, negativeTtl);
+        } else {
+          counters.errors++;
+        }
+        throw err;
+      })
+      .finally(() => pending.delete(key));
+
+    pending.set(key, request);
+    return request;
+  };
+
+  const remainingTtl = (entry) => Math.max(0, Math.ceil((entry.expiresAt - now()) / 1000));
+
+  const cachedResolver = {};
+  for (const [method, type] of Object.entries(METHOD_TYPES)) {
+    cachedResolver[method] = async (hostname, options = {}) => {
+      const entry = await query(type, hostname);
+      if (options.ttl && (type === 'A' || type === 'AAAA')) {
+        return entry.records.map(address => ({ address, ttl: remainingTtl(entry) }));
+      }
+      return structuredClone(entry.records);
+    };
+  }
+
+  cachedResolver.resolve = (hostname, rrtype = 'A') => {
+    const type = String(rrtype).toUpperCase();
+    const method = Object.keys(METHOD_TYPES).find(name => METHOD_TYPES[name] === type);
+    if (!method) {
+      return upstream.resolve(hostname, rrtype);
+    }
+    return cachedResolver[method](hostname);
+  };
+
+  cachedResolver.queryWithTtl = async (hostname, type) => {
+    const entry = await query(String(type).toUpperCase(), hostname);
+    return { records: structuredClone(entry.records), ttl: remainingTtl(entry) };
+  };
+
+  cachedResolver.stats = () => {
+    const lookups = counters.hits + counters.negativeHits + counters.misses + counters.coalesced;
+    return {
+      ...counters,
+      lookups,
+      hitRate: lookups ? (counters.hits + counters.negativeHits + counters.coalesced) / lookups : 0,
+      positiveEntries: positive.size,
+      negativeEntries: negative.size
+    };
+  };
+
+  cachedResolver.clear = () => {
+    positive.clear();
+    negative.clear();
+  };
+
+  return cachedResolver;
+};
@@ -0,0 +1,232 @@
+import dns from 'dns/promises';
+import fs from 'fs';
+import path from 'path';
+import { createCachingResolver } from './dns-cache.service.js';
+
+const QUERY_SYSCALLS = {
+  A: 'queryA',
+  AAAA: 'queryAaaa',
+  MX: 'queryMx',
+  TXT: 'queryTxt',
+  CNAME: 'queryCname',
+  NS: 'queryNs'
+};
+
+const DEFAULT_ZONE_TTL = 300;
+
+const normalizeName = (name) => String(name).trim().toLowerCase().replace(/\.$/, '');
+
+const createDnsError = (code, type, hostname) => {
+  const syscall = QUERY_SYSCALLS[type];
+  const error = new Error(`${syscall} ${code} ${hostname}`);
+  error.code = code;
+  error.syscall = syscall;
+  error.hostname = hostname;
+  return error;
+};
+
+export const createSystemResolver = ({ servers, timeout, tries } = {}) => {
+  const resolver = new dns.Resolver({ timeout, tries });
+  if (servers && servers.length) {
+    resolver.setServers(servers);
+  }
+  return resolver;
+};
+
+const normalizeRecordSet = (type, values) => {
+  const list = Array.isArray(values) ? values : [values];
+  switch (type) {
+    case 'MX':
+      return list.map(record => ({ priority: Number(record.priority), exchange: normalizeName(record.exchange) }));
+    case 'TXT':
+      return list.map(record => (Array.isArray(record) ? record : [record]));
+    case 'CNAME':
+    case 'NS':
+      return list.map(normalizeName);
+    default:
+      return list.map(String);
+  }
+};
+
+const normalizeZones = (zones) => {
+  const entries = new Map();
+  for (const [name, rrsets] of Object.entries(zones || {})) {
+    const entry = { ttl: rrsets.ttl ?? DEFAULT_ZONE_TTL, records: {} };
+    for (const type of Object.keys(QUERY_SYSCALLS)) {
+      if (rrsets[type] !== undefined) {
+        entry.records[type] = normalizeRecordSet(type, rrsets[type]);
+      }
+    }
+    entries.set(normalizeName(name), entry);
+  }
+  return entries;
+};
+
+export const createZoneResolver = (zones) => {
+  const entries = normalizeZones(zones);
+
+  const find = (type, hostname) => {
+    const entry = entries.get(normalizeName(hostname));
+    if (!entry) {
+      throw createDnsError('ENOTFOUND', type, hostname);
+    }
+    const records = entry.records[type];
+    if (!records || !records.length) {
+      throw createDnsError('ENODATA', type, hostname);
+    }
+    return { records: structuredClone(records), ttl: entry.ttl };
+  };
+
+  const query = (type) => async (hostname, options = {}) => {
+    const { records, ttl } = find(type, hostname);
+    if (options.ttl && (type === 'A' || type === 'AAAA')) {
+      return records.map(address => ({ address, ttl }));
+    }
+    return records;
+  };
+
+  const methods = {
+    resolve4: query('A'),
+    resolve6: query('AAAA'),
+    resolveMx: query('MX'),
+    resolveTxt: query('TXT'),
+    resolveCname: query('CNAME'),
+    resolveNs: query('NS')
+  };
+
+  return {
+    ...methods,
+    resolve: (hostname, rrtype = 'A') => {
+      const type = String(rrtype).toUpperCase();
+      if (!QUERY_SYSCALLS[type]) {
+        return Promise.reject(new Error(`Unsupported record type ${rrtype} in zone resolver.`));
+      }
+      return query(type)(hostname);
+    },
+    queryWithTtl: async (hostname, rrtype) => find(String(rrtype).toUpperCase(), hostname)
+  };
+};
+
+const stripZoneComment = (line) => {
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '\\') i++;
+    else if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ';' && !quoted) return line.slice(0, i);
+  }
+  return line;
+};
+
+const splitZoneTokens = (line) => {
+  const tokens = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line))) {
+    tokens.push(match[1] !== undefined ? { quoted: true, value: match[1].replace(/\\(.)/g, '$1') } : { quoted: false, value: match[2] });
+  }
+  return tokens;
+};
+
+export const parseZoneText = (text) => {
+  const zones = {};
+  let origin = '';
+  let defaultTtl = DEFAULT_ZONE_TTL;
+  let lastName = '';
+
+  const qualify = (name) => {
+    if (name === '@') return origin;
+    if (name.endsWith('.')) return normalizeName(name);
+    return origin ? `${normalizeName(name)}.${origin}` : normalizeName(name);
+  };
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = stripZoneComment(rawLine);
+    if (!line.trim()) return;
+
+    const tokens = splitZoneTokens(line);
+    const directive = tokens[0].value.toUpperCase();
+    if (directive === '$ORIGIN') {
+      origin = normalizeName(tokens[1].value);
+      return;
+    }
+    if (directive === '$TTL') {
+      defaultTtl = Number(tokens[1].value);
+      return;
+    }
+
+    let name = lastName;
+    if (!/^\s/.test(rawLine)) {
+      name = qualify(tokens.shift().value);
+    }
+    lastName = name;
+
+    let ttl = defaultTtl;
+    while (tokens.length && !QUERY_SYSCALLS[tokens[0].value.toUpperCase()]) {
+      const token = tokens.shift().value;
+      if (/^\d+$/.test(token)) ttl = Number(token);
+      else if (token.toUpperCase() !== 'IN') {
+        throw new Error(`Unsupported zone entry on line ${index + 1}: ${rawLine.trim()}`);
+      }
+    }
+    if (!tokens.length) {
+      throw new Error(`Missing record type on line ${index + 1}: ${rawLine.trim()}`);
+    }
+
+    const type = tokens.shift().value.toUpperCase();
+    const entry = zones[name] || (zones[name] = { ttl });
+    entry.ttl = Math.min(entry.ttl, ttl);
+    const rrset = entry[type] || (entry[type] = []);
+
+    if (type === 'MX') {
+      rrset.push({ priority: Number(tokens[0].value), exchange: qualify(tokens[1].value) });
+    } else if (type === 'TXT') {
+      rrset.push(tokens.map(token => token.value));
+    } else if (type === 'CNAME' || type === 'NS') {
+      rrset.push(qualify(tokens[0].value));
+    } else {
+      rrset.push(tokens[0].value);
+    }
+  });
+
+  return zones;
+};
+
+export const loadZoneFile = (filePath) => {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(text) : parseZoneText(text);
+};
+
+const cacheEnabled = process.env.DNS_CACHE !== 'off';
+
+const cacheOptions = () => ({
+  defaultTtl: Number(process.env.DNS_CACHE_DEFAULT_TTL) || undefined,
+  negativeTtl: Number(process.env.DNS_CACHE_NEGATIVE_TTL) || undefined,
+  maxTtl: Number(process.env.DNS_CACHE_MAX_TTL) || undefined
+});
+
+let activeResolver;
+
+export const getResolver = () => activeResolver;
+
+export const setResolver = (nextResolver, { cache = cacheEnabled } = {}) => {
+  activeResolver = cache ? createCachingResolver(nextResolver, cacheOptions()) : nextResolver;
+  return activeResolver;
+};
+
+export const useZoneFile = (filePath, options) => setResolver(createZoneResolver(loadZoneFile(filePath)), options);
+
+export const getDnsCacheStats = () => (typeof activeResolver.stats === 'function' ? activeResolver.stats() : null);
+
+setResolver(process.env.DNS_ZONE_FILE
+  ? createZoneResolver(loadZoneFile(process.env.DNS_ZONE_FILE))
+  : createSystemResolver());
+
+export const resolver = {
+  resolve: (hostname, rrtype) => activeResolver.resolve(hostname, rrtype),
+  resolve4: (hostname, options) => activeResolver.resolve4(hostname, options),
+  resolve6: (hostname, options) => activeResolver.resolve6(hostname, options),
+  resolveMx: (hostname) => activeResolver.resolveMx(hostname),
+  resolveTxt: (hostname) => activeResolver.resolveTxt(hostname),
+  resolveCname: (hostname) => activeResolver.resolveCname(hostname),
+  resolveNs: (hostname) => activeResolver.resolveNs(hostname)
+};
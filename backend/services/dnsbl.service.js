@@ -0,0 +1,127 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { resolver as defaultResolver } from './dns-resolver.service.js';
+import { resolveMailRoute, routeAddresses, reverseAddress } from './mail-routing.service.js';
+import { getOrganizationalDomain } from './dmarc.service.js';
+
+const DEFAULT_ZONES_FILE = fileURLToPath(new URL('../config/dnsbl-zones.json', import.meta.url));
+const NOT_FOUND_CODES = ['ENOTFOUND', 'ENODATA'];
+
+export const DNSBL_ZONE_TYPES = Object.freeze({
+  IP: 'ip',
+  DOMAIN: 'domain'
+});
+
+export const DNSBL_STATUS = Object.freeze({
+  LISTED: 'listed',
+  CLEAN: 'clean',
+  ERROR: 'error'
+});
+
+const normalizeZone = (zone, settings) => {
+  if (!Object.values(DNSBL_ZONE_TYPES).includes(settings.type)) {
+    throw new Error(`DNSBL zone "${zone}" must have type "ip" or "domain".`);
+  }
+  return {
+    zone,
+    type: settings.type,
+    ipv6: settings.ipv6 === true,
+    codes: settings.codes || {},
+    bitmask: settings.bitmask || null,
+    errors: settings.errors || {}
+  };
+};
+
+// Zones marked "enabled": false stay in the file for reference but are not
+// queried.
+export const loadDnsblZones = (filePath = process.env.DNSBL_ZONES_FILE || DEFAULT_ZONES_FILE) => {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return Object.entries(config.zones || {})
+    .filter(([, settings]) => settings.enabled !== false)
+    .map(([zone, settings]) => normalizeZone(zone, settings));
+};
+
+let zones = null;
+
+const getZones = () => zones || (zones = loadDnsblZones());
+
+// Explains the A records a zone returned. Answers in the zone's error table
+// (such as Spamhaus' 127.255.255.254 for queries through public resolvers)
+// mean the zone could not answer, not that the target is listed. Answers
+// outside 127.0.0.0/8 come from resolvers that rewrite NXDOMAIN.
+export const interpretResponse = (zone, answers) => {
+  const errors = answers.filter(answer => zone.errors[answer]);
+  if (errors.length) {
+    return { status: DNSBL_STATUS.ERROR, error: zone.errors[errors[0]], codes: errors };
+  }
+  if (answers.some(answer => !answer.startsWith('127.'))) {
+    return { status: DNSBL_STATUS.ERROR, error: `unexpected answer ${answers.join(', ')}`, codes: answers };
+  }
+
+  const listings = answers.flatMap((answer) => {
+    if (zone.bitmask) {
+      const bits = Number(answer.split('.').pop());
+      return Object.entries(zone.bitmask)
+        .filter(([bit]) => bits & Number(bit))
+        .map(([, meaning]) => ({ code: answer, meaning }));
+    }
+    return [{ code: answer, meaning: zone.codes[answer] || 'unknown return code' }];
+  });
+  return listings.length
+    ? { status: DNSBL_STATUS.LISTED, listings, codes: answers }
+    : { status: DNSBL_STATUS.CLEAN, codes: answers };
+};
+
+const queryZone = async (zone, target, dns) => {
+  const query = `${zone.type === DNSBL_ZONE_TYPES.IP ? reverseAddress(target) : target}.${zone.zone}`;
+  const result = { zone: zone.zone, type: zone.type, target, query };
+  let answers;
+  try {
+    answers = await dns.resolve4(query);
+  } catch (err) {
+    if (NOT_FOUND_CODES.includes(err.code)) {
+      return { ...result, status: DNSBL_STATUS.CLEAN };
+    }
+    return { ...result, status: DNSBL_STATUS.ERROR, error: err.code || err.message };
+  }
+
+  const interpreted = interpretResponse(zone, answers);
+  if (interpreted.status === DNSBL_STATUS.LISTED) {
+    try {
+      interpreted.text = (await dns.resolveTxt(query)).map(chunks => chunks.join('')).join(' ') || null;
+    } catch {
+      interpreted.text = null;
+    }
+  }
+  return { ...result, ...interpreted };
+};
+
+// Checks the domain's mail server addresses against the IP zones (IPv6
+// addresses only against zones that support them) and the domain itself,
+// plus its organizational domain, against the domain zones. Pass `route`
+// to reuse a route resolved earlier.
+export const checkDnsbl = async (domain, { route, resolver = defaultResolver, zones: zoneList = getZones() } = {}) => {
+  const mailRoute = route || await resolveMailRoute(domain, { resolver });
+  const addresses = routeAddresses(mailRoute);
+  const domains = [...new Set([domain, getOrganizationalDomain(domain)].map(name => name.toLowerCase()))];
+
+  const queries = zoneList.flatMap((zone) => {
+    if (zone.type === DNSBL_ZONE_TYPES.DOMAIN) {
+      return domains.map(target => [zone, target]);
+    }
+    return addresses
+      .filter(ip => zone.ipv6 || !ip.includes(':'))
+      .map(ip => [zone, ip]);
+  });
+  const results = await Promise.all(queries.map(([zone, target]) => queryZone(zone, target, resolver)));
+  const listings = results.filter(result => result.status === DNSBL_STATUS.LISTED);
+
+  return {
+    domain,
+    addresses,
+    listed: listings.length > 0,
+    listings,
+    errors: results.filter(result => result.status === DNSBL_STATUS.ERROR).length,
+    results
+  };
+};
@@ -0,0 +1,89 @@
+import { domainToASCII, domainToUnicode } from 'url';
+
+const NON_ASCII = /[^\x00-\x7f]/;
+
+const SCRIPTS = [
+  'Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Hebrew', 'Arabic',
+  'Devanagari', 'Bengali', 'Thai', 'Cherokee', 'Han', 'Hiragana', 'Katakana', 'Hangul'
+].map(name => ({ name, pattern: new RegExp(`\\p{Script=${name}}`, 'u') }));
+
+// Script combinations that are normal within one label (UTS #39 "highly
+// restrictive" profile): Japanese and Korean mix Han with their own scripts.
+const ALLOWED_MIXES = [
+  ['Latin', 'Han', 'Hiragana', 'Katakana'],
+  ['Latin', 'Han', 'Hangul']
+];
+
+// Non-Latin letters that render like ASCII letters.
+const CONFUSABLES = {
+  'а': 'a', 'е': 'e', 'һ': 'h', 'і': 'i', 'ј': 'j', 'к': 'k', 'ӏ': 'l',
+  'о': 'o', 'р': 'p', 'ԛ': 'q', 'ѕ': 's', 'у': 'y', 'х': 'x',
+  'с': 'c', 'ԁ': 'd', 'ԝ': 'w', 'ɡ': 'g', 'ı': 'i', 'ɑ': 'a',
+  'α': 'a', 'ο': 'o', 'ν': 'v', 'ρ': 'p', 'ι': 'i', 'κ': 'k', 'υ': 'u', 'χ': 'x',
+  'ϲ': 'c', 'τ': 't', 'ԍ': 'g', 'ɩ': 'i', 'օ': 'o', 'ս': 'u', 'հ': 'h', 'ո': 'n'
+};
+
+export const isInternational = (value) => NON_ASCII.test(value);
+
+// Splits an address into the forms the pipeline needs: the ASCII (punycode)
+// domain for DNS and SMTP, the Unicode domain for display, and whether the
+// local part needs an SMTPUTF8-capable server. `ascii` is null when the local
+// part itself is non-ASCII, since such an address has no ASCII form. IP
+// literal domains such as "[192.0.2.1]" are kept as they are.
+export const normalizeAddress = (email) => {
+  const address = String(email).normalize('NFC');
+  const at = address.lastIndexOf('@');
+  const localPart = at === -1 ? address : address.slice(0, at);
+  const domain = at === -1 ? '' : address.slice(at + 1);
+  const literal = domain.startsWith('[');
+  const asciiDomain = literal ? domain : domain ? domainToASCII(domain) : '';
+  const unicodeDomain = literal ? domain : asciiDomain ? domainToUnicode(asciiDomain) : '';
+  const smtpUtf8Required = isInternational(localPart);
+
+  return {
+    localPart,
+    asciiDomain,
+    unicodeDomain,
+    unicode: `${localPart}@${unicodeDomain}`,
+    ascii: smtpUtf8Required || !asciiDomain ? null : `${localPart}@${asciiDomain}`,
+    smtpUtf8Required
+  };
+};
+
+const scriptsOf = (text) => {
+  const found = new Set();
+  for (const char of text) {
+    const script = SCRIPTS.find(({ pattern }) => pattern.test(char));
+    if (script) found.add(script.name);
+  }
+  return [...found];
+};
+
+const isAllowedMix = (scripts) =>
+  scripts.length < 2 || ALLOWED_MIXES.some(allowed => scripts.every(script => allowed.includes(script)));
+
+// Looks for labels that mix scripts or that are built from non-Latin letters
+// imitating Latin ones, e.g. a Cyrillic "раураl" posing as "paypal".
+export const inspectLabel = (label) => {
+  const scripts = scriptsOf(label);
+  const skeleton = [...label].map(char => CONFUSABLES[char] || char).join('');
+  const confusable = isInternational(label) && !isInternational(skeleton);
+  return {
+    label,
+    scripts,
+    mixedScript: !isAllowedMix(scripts),
+    confusableWith: confusable ? skeleton : null
+  };
+};
+
+export const inspectHomoglyphs = (localPart, unicodeDomain) => {
+  const findings = [
+    ...localPart.split(/[.+_-]/).map(label => ({ part: 'localPart', ...inspectLabel(label) })),
+    ...unicodeDomain.split('.').map(label => ({ part: 'domain', ...inspectLabel(label) }))
+  ].filter(finding => finding.mixedScript || finding.confusableWith);
+
+  return {
+    suspicious: findings.length > 0,
+    findings
+  };
+};
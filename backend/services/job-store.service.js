@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+
+// Keeps bulk jobs on disk so they survive a restart: one JSON document per job,
+// its addresses in a file of their own so progress updates stay small, and an
+// append-only JSON-lines file with its results.
+export class FileJobStore {
+  constructor({ directory = process.env.JOBS_DIR || 'jobs' } = {}) {
+    this.directory = directory;
+  }
+
+  jobPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  emailsPath(id) {
+    return path.join(this.directory, `${id}.emails.json`);
+  }
+
+  resultsPath(id) {
+    return path.join(this.directory, `${id}.results.jsonl`);
+  }
+
+  writeJob(job) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const tmpPath = `${this.jobPath(job.id)}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(job));
+    fs.renameSync(tmpPath, this.jobPath(job.id));
+    return job;
+  }
+
+  async create(job, emails) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(this.emailsPath(job.id), JSON.stringify(emails));
+    fs.writeFileSync(this.resultsPath(job.id), '');
+    return this.writeJob(job);
+  }
+
+  async readEmails(id) {
+    return JSON.parse(fs.readFileSync(this.emailsPath(id), 'utf8'));
+  }
+
+  async get(id) {
+    if (!/^[\w-]+$/.test(id) || !fs.existsSync(this.jobPath(id))) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.jobPath(id), 'utf8'));
+  }
+
+  async update(id, changes) {
+    const job = await this.get(id);
+    if (!job) {
+      throw new Error(`Job ${id} does not exist.`);
+    }
+    return this.writeJob({ ...job, ...changes });
+  }
+
+  async list({ statuses } = {}) {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+    const jobs = await Promise.all(fs.readdirSync(this.directory)
+      .filter(file => /^[\w-]+\.json$/.test(file))
+      .map(file => this.get(file.replace(/\.json$/, ''))));
+    return jobs.filter(job => job && (!statuses || statuses.includes(job.status)));
+  }
+
+  async appendResult(id, record) {
+    fs.appendFileSync(this.resultsPath(id), `${JSON.stringify(record)}\n`);
+  }
+
+  async readResults(id) {
+    if (!fs.existsSync(this.resultsPath(id))) {
+      return [];
+    }
+    // A crash mid-write can leave a partial last line. It is cut off so the
+    // next append starts on a fresh line, and that address is run again.
+    let content = fs.readFileSync(this.resultsPath(id), 'utf8');
+    if (content && !content.endsWith('\n')) {
+      content = content.slice(0, content.lastIndexOf('\n') + 1);
+      fs.truncateSync(this.resultsPath(id), Buffer.byteLength(content));
+    }
+    return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+}
@@ -0,0 +1,138 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_MODEL_FILE = fileURLToPath(new URL('../data/local-part-ngrams.json', import.meta.url));
+
+const ALPHABET = 'abcdefghijklmnopqrstuvwxyz';
+const START = '^';
+const END = '$';
+const VOWELS = new Set('aeiouy');
+
+// Domains whose mailboxes ignore dots in the local part and that are aliases
+// of one another.
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Average log-likelihood per character that maps to randomness 0 and 1.
+// Corpus words average around -2.3; keyboard mashing falls below -3.5.
+const NGRAM_SCORE_WORD = -2.3;
+const NGRAM_SCORE_RANDOM = -3.6;
+
+export const GIBBERISH_THRESHOLD = 0.6;
+
+const padded = (word, order) => `${START.repeat(order - 1)}${word}${END}`;
+
+const alphaRuns = (text) => text.toLowerCase().match(/[a-z]+/g) || [];
+
+// Builds a character n-gram model from a list of words. Counts are stored as
+// plain objects so the model can be written to JSON by the training script.
+export const trainNgramModel = (words, { order = 3 } = {}) => {
+  const counts = {};
+  const contexts = {};
+  for (const word of words.flatMap(alphaRuns)) {
+    const text = padded(word, order);
+    for (let i = order - 1; i < text.length; i++) {
+      const context = text.slice(i - order + 1, i);
+      const gram = context + text[i];
+      counts[gram] = (counts[gram] || 0) + 1;
+      contexts[context] = (contexts[context] || 0) + 1;
+    }
+  }
+  return { order, words: words.length, counts, contexts };
+};
+
+export const loadNgramModel = (filePath = process.env.LOCAL_PART_MODEL_FILE || DEFAULT_MODEL_FILE) =>
+  JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+let model = null;
+
+const getModel = () => model || (model = loadNgramModel());
+
+// Mean log-probability per character of the letters in `text` under the
+// model, with add-one smoothing. Null when there are no letters to score.
+export const ngramScore = (text, ngrams = getModel()) => {
+  const { order, counts, contexts } = ngrams;
+  const vocabulary = ALPHABET.length + 1;
+  let total = 0;
+  let steps = 0;
+  for (const run of alphaRuns(text)) {
+    const padText = padded(run, order);
+    for (let i = order - 1; i < padText.length; i++) {
+      const context = padText.slice(i - order + 1, i);
+      const count = counts[context + padText[i]] || 0;
+      total += Math.log((count + 1) / ((contexts[context] || 0) + vocabulary));
+      steps++;
+    }
+  }
+  return steps ? total / steps : null;
+};
+
+// Shannon entropy in bits per character.
+export const shannonEntropy = (text) => {
+  if (!text.length) return 0;
+  const frequencies = {};
+  for (const char of text) frequencies[char] = (frequencies[char] || 0) + 1;
+  return Object.values(frequencies)
+    .reduce((sum, count) => sum - (count / text.length) * Math.log2(count / text.length), 0);
+};
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+// Splits off a subaddress ("user+tag"). Gmail addresses also ignore dots and
+// googlemail.com is the same mailbox as gmail.com.
+const splitLocalPart = (localPart, domain) => {
+  const lower = localPart.toLowerCase();
+  const plus = lower.indexOf('+');
+  const tag = plus > 0 ? lower.slice(plus + 1) : null;
+  let base = plus > 0 ? lower.slice(0, plus) : lower;
+  const gmail = GMAIL_DOMAINS.includes(domain);
+  const dotVariant = gmail && base.includes('.');
+  if (gmail) base = base.replace(/\./g, '');
+  return { base, tag, dotVariant, canonicalDomain: gmail ? GMAIL_DOMAINS[0] : domain };
+};
+
+export const canonicalAddress = (localPart, domain) => {
+  const normalizedDomain = String(domain).toLowerCase().replace(/\.$/, '');
+  const { base, canonicalDomain } = splitLocalPart(localPart, normalizedDomain);
+  return `${base}@${canonicalDomain}`;
+};
+
+// Scores how likely a local part is machine-generated, such as
+// "xk7qpz93fa". Combines the n-gram likelihood of its letters against the
+// bundled name and word corpus, character entropy, the vowel ratio and runs
+// of digits into `randomness` between 0 and 1.
+export const analyzeLocalPart = (localPart, domain = '') => {
+  const normalizedDomain = String(domain).toLowerCase().replace(/\.$/, '');
+  const { base, tag, dotVariant } = splitLocalPart(localPart, normalizedDomain);
+  const letters = base.replace(/[^a-z]/g, '');
+  const digitRuns = base.match(/\d+/g) || [];
+  const longestDigitRun = Math.max(0, ...digitRuns.map(run => run.length));
+  const vowelRatio = letters.length ? [...letters].filter(char => VOWELS.has(char)).length / letters.length : 0;
+  const entropy = shannonEntropy(base);
+  const score = ngramScore(base);
+
+  const ngramComponent = score === null ? 1 : clamp((NGRAM_SCORE_WORD - score) / (NGRAM_SCORE_WORD - NGRAM_SCORE_RANDOM));
+  // English text sits around 40% vowels; far fewer is a strong sign of noise.
+  const vowelComponent = letters.length < 3 ? 0 : clamp(Math.abs(vowelRatio - 0.4) / 0.3);
+  const entropyComponent = base.length < 2 ? 0 : clamp(entropy / Math.log2(base.length));
+  // Digits scattered between letters are typical of generated names, while a
+  // year or a number at the end ("jsmith1985") is not.
+  const scatteredDigits = digitRuns.length > 1 || /\d[a-z]/.test(base);
+  const digitComponent = clamp((scatteredDigits ? 0.5 : 0) + Math.max(longestDigitRun - 4, 0) / 4);
+
+  const randomness = clamp(
+    0.5 * ngramComponent + 0.2 * vowelComponent + 0.1 * entropyComponent + 0.2 * digitComponent
+  );
+
+  return {
+    base,
+    plusAddressed: tag !== null,
+    tag,
+    dotVariant,
+    ngramScore: score,
+    entropy,
+    vowelRatio,
+    longestDigitRun,
+    randomness,
+    gibberish: randomness >= GIBBERISH_THRESHOLD
+  };
+};
@@ -0,0 +1,106 @@
+import { resolver as defaultResolver } from './dns-resolver.service.js';
+
+const MAX_CNAME_HOPS = 8;
+
+const normalizeName = (name) => String(name).trim().toLowerCase().replace(/\.$/, '');
+
+// Resolves to [] when the name has no records of the type, and to null when
+// the name does not exist at all. Other DNS failures are rethrown.
+const lookup = async (query) => {
+  try {
+    return await query();
+  } catch (err) {
+    if (err.code === 'ENODATA') return [];
+    if (err.code === 'ENOTFOUND') return null;
+    throw err;
+  }
+};
+
+// Follows a CNAME chain to the canonical name. The system resolver already
+// does this for MX and address queries, but zone files and some forwarders
+// do not.
+export const resolveCanonicalName = async (name, { resolver = defaultResolver } = {}) => {
+  const chain = [normalizeName(name)];
+  for (let hop = 0; hop < MAX_CNAME_HOPS; hop++) {
+    const targets = await lookup(() => resolver.resolveCname(chain[chain.length - 1]));
+    if (!targets || !targets.length) break;
+    const target = normalizeName(targets[0]);
+    if (chain.includes(target)) {
+      const error = new Error(`CNAME loop at ${target}`);
+      error.code = 'ECNAMELOOP';
+      throw error;
+    }
+    chain.push(target);
+  }
+  return { name: chain[chain.length - 1], chain };
+};
+
+export const resolveHostAddresses = async (host, { resolver = defaultResolver } = {}) => {
+  const [ipv4, ipv6] = await Promise.all([
+    lookup(() => resolver.resolve4(host)),
+    lookup(() => resolver.resolve6(host))
+  ]);
+  return { ipv4: ipv4 || [], ipv6: ipv6 || [], exists: ipv4 !== null || ipv6 !== null };
+};
+
+// Works out where mail for `domain` goes (RFC 5321 section 5.1, RFC 7505):
+// the MX hosts in preference order, or the domain itself as an implicit MX
+// when it publishes no MX records. A lone "0 ." record is a null MX, meaning
+// the domain accepts no mail. Every host carries its IPv4 and IPv6 addresses.
+export const resolveMailRoute = async (domain, { resolver = defaultResolver } = {}) => {
+  const { name, chain } = await resolveCanonicalName(domain, { resolver });
+  const route = {
+    domain: normalizeName(domain),
+    canonicalDomain: name,
+    cnameChain: chain.slice(1),
+    exists: true,
+    nullMx: false,
+    implicit: false,
+    hosts: []
+  };
+
+  const records = await lookup(() => resolver.resolveMx(name));
+  if (records === null) {
+    route.exists = false;
+    return route;
+  }
+
+  const exchanges = records.map(record => ({ priority: record.priority, exchange: normalizeName(record.exchange || '') }));
+  if (exchanges.length === 1 && !exchanges[0].exchange) {
+    route.nullMx = true;
+    return route;
+  }
+
+  let targets = exchanges.filter(record => record.exchange).sort((a, b) => a.priority - b.priority);
+  if (!targets.length) {
+    route.implicit = true;
+    targets = [{ priority: 0, exchange: name }];
+  }
+
+  route.hosts = await Promise.all(targets.map(async (target) => {
+    const { ipv4, ipv6 } = await resolveHostAddresses(target.exchange, { resolver });
+    return { ...target, ipv4, ipv6 };
+  }));
+  if (route.implicit && !route.hosts[0].ipv4.length && !route.hosts[0].ipv6.length) {
+    route.hosts = [];
+  }
+  return route;
+};
+
+export const routeAddresses = (route) => [...new Set(route.hosts.flatMap(host => [...host.ipv4, ...host.ipv6]))];
+
+const expandIPv6 = (ip) => {
+  const [head, tail = ''] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = ip.includes('::')
+    ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+    : headGroups;
+  return groups.map(group => group.padStart(4, '0')).join('');
+};
+
+// Reverse-order label form of an address, as used under in-addr.arpa,
+// ip6.arpa and DNS blocklist zones.
+export const reverseAddress = (ip) => (ip.includes(':')
+  ? expandIPv6(ip).split('').reverse().join('.')
+  : ip.split('.').reverse().join('.'));
@@ -0,0 +1,60 @@
+import Job from '../models/job.model.js';
+import JobResult from '../models/job-result.model.js';
+
+const TIMESTAMPS = ['createdAt', 'startedAt', 'finishedAt'];
+
+// Jobs leave the store in the same shape FileJobStore gives them, with
+// timestamps as ISO strings.
+const toJob = (doc) => {
+  if (!doc) return null;
+  const { _id, ...job } = doc;
+  TIMESTAMPS.forEach(field => {
+    if (job[field] instanceof Date) job[field] = job[field].toISOString();
+  });
+  return { id: _id, ...job };
+};
+
+// The MongoDB counterpart of FileJobStore, used when a database is connected.
+export class MongoJobStore {
+  async create(job, emails) {
+    const { id, ...fields } = job;
+    await Job.create({ _id: id, ...fields });
+    await JobResult.insertMany(emails.map((email, index) => ({ jobId: id, index, email })));
+    return job;
+  }
+
+  async get(id) {
+    return toJob(await Job.findById(id).lean());
+  }
+
+  async readEmails(id) {
+    const rows = await JobResult.find({ jobId: id }, { _id: 0, email: 1 }).sort({ index: 1 }).lean();
+    return rows.map(row => row.email);
+  }
+
+  async update(id, changes) {
+    const job = await Job.findByIdAndUpdate(id, { $set: changes }, { new: true }).lean();
+    if (!job) {
+      throw new Error(`Job ${id} does not exist.`);
+    }
+    return toJob(job);
+  }
+
+  async list({ statuses } = {}) {
+    const jobs = await Job.find(statuses ? { status: { $in: statuses } } : {}).lean();
+    return jobs.map(toJob);
+  }
+
+  async appendResult(id, { index, email, result, error }) {
+    await JobResult.updateOne(
+      { jobId: id, index },
+      { $set: { email, result, error, processedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  async readResults(id) {
+    return JobResult.find({ jobId: id, processedAt: { $ne: null } }, { _id: 0, jobId: 0, processedAt: 0 })
+      .sort({ index: 1 }).lean();
+  }
+}
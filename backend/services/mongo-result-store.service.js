@@ -0,0 +1,35 @@
+import ValidationResult from '../models/validation-result.model.js';
+import Domain from '../models/domain.model.js';
+import { isDatabaseConnected } from './database.service.js';
+
+// Keeps validation results and domain postures in MongoDB. It is the default
+// result store and is only used while a database is connected.
+export class MongoResultStore {
+  available() {
+    return isDatabaseConnected();
+  }
+
+  async insertResult(doc) {
+    return ValidationResult.create(doc);
+  }
+
+  // Newest first. `since` drops older results and `excludeVerdict` one verdict.
+  async findResults(filter, { since, excludeVerdict, limit } = {}) {
+    const query = { ...filter };
+    if (since) query.checkedAt = { $gte: since };
+    if (excludeVerdict) query.verdict = { $ne: excludeVerdict };
+    const cursor = ValidationResult.find(query).sort({ checkedAt: -1 });
+    return (limit ? cursor.limit(limit) : cursor).lean();
+  }
+
+  async findDomain(domain) {
+    return Domain.findOne({ domain }, { _id: 0, __v: 0 }).lean();
+  }
+
+  // Sets the posture fields, replaces the given checks and leaves the others.
+  async updateDomain(domain, fields, checks) {
+    const set = { ...fields };
+    Object.entries(checks).forEach(([name, check]) => { set[`checks.${name}`] = check; });
+    return Domain.updateOne({ domain }, { $set: set, $inc: { validations: 1 } }, { upsert: true });
+  }
+}
@@ -0,0 +1,86 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { CHECK_NAMES, VALIDATION_MODES } from '../controllers/email.controller.js';
+import { SYNTAX_MODES } from './address-parser.service.js';
+
+const DEFAULT_PROFILES_FILE = fileURLToPath(new URL('../config/profiles.json', import.meta.url));
+
+let profileConfig = null;
+
+const normalizeCheck = (name, settings = {}) => {
+  if (!CHECK_NAMES.includes(name)) {
+    throw new Error(`Unknown check "${name}". Known checks: ${CHECK_NAMES.join(', ')}.`);
+  }
+  if (settings.weight !== undefined && !(typeof settings.weight === 'number' && settings.weight >= 0)) {
+    throw new Error(`Check "${name}" must set "weight" to a non-negative number.`);
+  }
+  if (settings.blocking !== undefined && typeof settings.blocking !== 'boolean') {
+    throw new Error(`Check "${name}" must set "blocking" to true or false.`);
+  }
+  if (settings.timeoutMs !== undefined && !(Number(settings.timeoutMs) > 0)) {
+    throw new Error(`Check "${name}" has an invalid timeoutMs.`);
+  }
+  return {
+    name,
+    blocking: settings.blocking,
+    timeoutMs: settings.timeoutMs !== undefined ? Number(settings.timeoutMs) : undefined,
+    weight: settings.weight !== undefined ? Number(settings.weight) : 1
+  };
+};
+
+const normalizeProfiles = (config) => {
+  if (!config || typeof config.profiles !== 'object') {
+    throw new Error('Profile configuration must contain a "profiles" object.');
+  }
+  const profiles = {};
+  const modes = Object.values(VALIDATION_MODES);
+  const syntaxModes = Object.values(SYNTAX_MODES);
+  for (const [name, profile] of Object.entries(config.profiles)) {
+    if (profile.mode !== undefined && !modes.includes(profile.mode)) {
+      throw new Error(`Profile "${name}" has an unknown mode "${profile.mode}". Use one of: ${modes.join(', ')}.`);
+    }
+    if (profile.syntaxMode !== undefined && !syntaxModes.includes(profile.syntaxMode)) {
+      throw new Error(`Profile "${name}" has an unknown syntaxMode "${profile.syntaxMode}". Use one of: ${syntaxModes.join(', ')}.`);
+    }
+    let checks;
+    try {
+      checks = Object.entries(profile.checks || {}).map(([check, settings]) => normalizeCheck(check, settings));
+    } catch (err) {
+      throw new Error(`Profile "${name}": ${err.message}`);
+    }
+    profiles[name] = {
+      name,
+      description: profile.description || '',
+      mode: profile.mode,
+      syntaxMode: profile.syntaxMode,
+      checks
+    };
+  }
+  const defaultProfile = config.defaultProfile || Object.keys(profiles)[0];
+  if (!profiles[defaultProfile]) {
+    throw new Error(`Default profile "${defaultProfile}" is not defined.`);
+  }
+  return { defaultProfile, profiles };
+};
+
+// Profiles are validated as a whole when the file is loaded, so a typo in a
+// check name, mode or weight fails at startup instead of on the first request.
+export const loadProfiles = (filePath = process.env.VALIDATION_PROFILES_FILE || DEFAULT_PROFILES_FILE) => {
+  profileConfig = normalizeProfiles(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  return profileConfig;
+};
+
+const getProfileConfig = () => profileConfig || loadProfiles();
+
+export const listProfiles = () => Object.values(getProfileConfig().profiles);
+
+export const getProfile = (name = process.env.VALIDATION_PROFILE) => {
+  const config = getProfileConfig();
+  const profile = config.profiles[name || config.defaultProfile];
+  if (!profile) {
+    const error = new Error(`Unknown validation profile "${name}".`);
+    error.code = 'UNKNOWN_PROFILE';
+    throw error;
+  }
+  return profile;
+};
@@ -0,0 +1,53 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { getOrganizationalDomain } from './dmarc.service.js';
+
+const DEFAULT_PROVIDERS_FILE = fileURLToPath(new URL('../config/mail-providers.json', import.meta.url));
+
+export const SELF_HOSTED = 'self-hosted';
+export const OTHER_PROVIDER = 'other';
+
+export const loadProviders = (filePath = process.env.MAIL_PROVIDERS_FILE || DEFAULT_PROVIDERS_FILE) =>
+  JSON.parse(fs.readFileSync(filePath, 'utf8')).providers;
+
+const providers = loadProviders();
+
+// Every id fingerprintMx can return, in a stable order for feature encoding.
+export const PROVIDER_IDS = Object.freeze([...Object.keys(providers), SELF_HOSTED, OTHER_PROVIDER]);
+
+const normalizeHost = (host) => String(host).trim().toLowerCase().replace(/\.$/, '');
+
+const matchesSuffix = (host, suffix) => host === suffix || host.endsWith(`.${suffix}`);
+
+const describe = (id, { name, gateway = false, acceptsAllRecipients = false }, matchedHost) => ({
+  id,
+  name,
+  gateway,
+  acceptsAllRecipients,
+  matchedHost
+});
+
+// Maps a domain's MX hosts to the mailbox provider behind them. MX hosts under
+// the domain's own organizational domain count as self-hosted; returns null
+// when there are no MX hosts to go by.
+export const fingerprintMx = (domain, mxHosts) => {
+  const hosts = (mxHosts || []).map(normalizeHost).filter(Boolean);
+  if (!hosts.length) {
+    return null;
+  }
+
+  for (const host of hosts) {
+    const match = Object.entries(providers)
+      .find(([, provider]) => (provider.match || []).some(suffix => matchesSuffix(host, suffix)));
+    if (match) {
+      return describe(match[0], match[1], host);
+    }
+  }
+
+  const orgDomain = getOrganizationalDomain(domain);
+  const own = hosts.find(host => matchesSuffix(host, orgDomain));
+  if (own) {
+    return describe(SELF_HOSTED, { name: 'Self-hosted' }, own);
+  }
+  return describe(OTHER_PROVIDER, { name: 'Other' }, null);
+};
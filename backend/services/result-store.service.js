@@ -0,0 +1,240 @@
+import crypto from 'crypto';
+import { VERDICTS } from './verdict.service.js';
+import { MongoResultStore } from './mongo-result-store.service.js';
+
+// Domain-level checks whose outcome is part of a domain's stored posture.
+const DOMAIN_CHECKS = [
+  'dnsValidation', 'mxValidation', 'dnsblValidation', 'spfValidation',
+  'dkimValidation', 'dmarcValidation', 'disposableDomainValidation', 'catchAllValidation'
+];
+
+// The DNS checks whose stored outcome is reused for later addresses on the
+// same domain. Only conclusive outcomes are kept; lookup errors and timeouts
+// are retried.
+const POSTURE_CHECKS = ['dnsValidation', 'mxValidation', 'dnsblValidation', 'spfValidation', 'dkimValidation', 'dmarcValidation'];
+const CONCLUSIVE_STATUSES = ['pass', 'fail'];
+
+export const DEFAULT_RESULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_POSTURE_MAX_AGE_MS = 60 * 60 * 1000;
+
+const maxAgeFrom = (maxAgeMs, envName, fallback) => {
+  if (maxAgeMs !== undefined && maxAgeMs !== null) return Number(maxAgeMs);
+  const fromEnv = process.env[envName];
+  return fromEnv !== undefined && fromEnv !== '' ? Number(fromEnv) : fallback;
+};
+
+export const resultMaxAge = (maxAgeMs) => maxAgeFrom(maxAgeMs, 'RESULT_MAX_AGE_MS', DEFAULT_RESULT_MAX_AGE_MS);
+
+// DNS records change more often than mailboxes, so a stored posture goes
+// stale sooner than a stored result. A caller's maxAgeMs caps both.
+export const postureMaxAge = (maxAgeMs) => Math.min(
+  maxAgeFrom(undefined, 'DOMAIN_POSTURE_MAX_AGE_MS', DEFAULT_POSTURE_MAX_AGE_MS),
+  resultMaxAge(maxAgeMs)
+);
+
+// Keeps results and domain postures in the process, for running without a
+// database. Documents come back in the shape MongoResultStore reads them.
+export class MemoryResultStore {
+  constructor() {
+    this.results = [];
+    this.domains = new Map();
+  }
+
+  available() {
+    return true;
+  }
+
+  async insertResult(doc) {
+    const stored = structuredClone({ _id: crypto.randomUUID(), ...doc, createdAt: new Date() });
+    this.results.push(stored);
+    return structuredClone(stored);
+  }
+
+  async findResults(filter, { since, excludeVerdict, limit } = {}) {
+    const matches = this.results
+      .filter(doc => Object.entries(filter).every(([field, value]) => doc[field] === value))
+      .filter(doc => (!since || doc.checkedAt >= since) && (!excludeVerdict || doc.verdict !== excludeVerdict))
+      .sort((a, b) => b.checkedAt - a.checkedAt);
+    return structuredClone(limit ? matches.slice(0, limit) : matches);
+  }
+
+  async findDomain(domain) {
+    return this.domains.has(domain) ? structuredClone(this.domains.get(domain)) : null;
+  }
+
+  async updateDomain(domain, fields, checks) {
+    const now = new Date();
+    const current = this.domains.get(domain) || {
+      domain,
+      provider: null,
+      mxHosts: [],
+      nullMx: false,
+      dmarcPolicy: null,
+      dnsblListed: null,
+      catchAll: null,
+      checks: {},
+      validations: 0,
+      createdAt: now
+    };
+    this.domains.set(domain, structuredClone({
+      ...current,
+      ...fields,
+      checks: { ...current.checks, ...checks },
+      validations: current.validations + 1,
+      updatedAt: now
+    }));
+  }
+}
+
+let activeStore = new MongoResultStore();
+
+export const setResultStore = (store) => {
+  activeStore = store;
+  return activeStore;
+};
+
+export const isResultStoreAvailable = () => activeStore.available();
+
+const summarizeCheck = (outcome) => ({
+  name: outcome.name,
+  status: outcome.status,
+  reason: outcome.reason ? outcome.reason.code : null,
+  durationMs: outcome.durationMs
+});
+
+// Returns the newest stored result for the address that was produced with
+// the same settings and is at most `maxAgeMs` old. Unknown verdicts are
+// never reused since they usually come from temporary failures.
+export const findFreshResult = async (address, { profile, mode, syntaxMode, maxAgeMs } = {}) => {
+  const maxAge = resultMaxAge(maxAgeMs);
+  if (!isResultStoreAvailable() || !(maxAge > 0)) {
+    return null;
+  }
+  const [stored] = await activeStore.findResults(
+    { address: address.toLowerCase(), profile, mode, syntaxMode },
+    { since: new Date(Date.now() - maxAge), excludeVerdict: VERDICTS.UNKNOWN, limit: 1 }
+  );
+  return stored ? { ...stored.result, cached: true, cachedAt: stored.checkedAt.toISOString() } : null;
+};
+
+// Returns the stored outcomes of the domain's DNS checks that are at most
+// `maxAgeMs` old, keyed by check name. Reasons are stored without the verdict
+// a profile's policy gave them, so the caller can apply its own.
+export const findDomainPosture = async (domain, { maxAgeMs } = {}) => {
+  const maxAge = postureMaxAge(maxAgeMs);
+  if (!isResultStoreAvailable() || !(maxAge > 0)) {
+    return null;
+  }
+  const stored = await activeStore.findDomain(domain.toLowerCase());
+  const oldest = Date.now() - maxAge;
+  const fresh = Object.entries((stored && stored.checks) || {})
+    .filter(([name, check]) => POSTURE_CHECKS.includes(name) && check.checkedAt.getTime() >= oldest)
+    .map(([name, check]) => [name, { ...check, checkedAt: check.checkedAt.toISOString() }]);
+  return fresh.length ? Object.fromEntries(fresh) : null;
+};
+
+const postureCheck = ({ status, reason, data }, checkedAt) => ({
+  status,
+  reason: reason ? { code: reason.code, step: reason.step, message: reason.message } : null,
+  data: data === undefined ? null : data,
+  checkedAt
+});
+
+const updateDomainPosture = (domain, result, checkedAt) => {
+  const outcomes = result.checks.filter(outcome => DOMAIN_CHECKS.includes(outcome.name));
+  if (!outcomes.length) {
+    return null;
+  }
+  const mx = outcomes.find(outcome => outcome.name === 'mxValidation');
+  const dnsbl = outcomes.find(outcome => outcome.name === 'dnsblValidation');
+  const posture = { lastCheckedAt: checkedAt };
+  // Outcomes reused from the posture keep the time they were checked.
+  const checks = Object.fromEntries(outcomes
+    .filter(outcome => POSTURE_CHECKS.includes(outcome.name) && CONCLUSIVE_STATUSES.includes(outcome.status) && !outcome.cachedAt)
+    .map(outcome => [outcome.name, postureCheck(outcome, checkedAt)]));
+  if (result.provider) posture.provider = result.provider.id;
+  if (mx && mx.data) {
+    posture.mxHosts = mx.data.mxHosts || [];
+    posture.nullMx = Boolean(mx.data.nullMx);
+  }
+  if (result.dmarcPolicy) posture.dmarcPolicy = result.dmarcPolicy;
+  if (dnsbl && dnsbl.data) posture.dnsblListed = Boolean(dnsbl.data.listed);
+  if (typeof result.catchAll === 'boolean') posture.catchAll = result.catchAll;
+
+  return activeStore.updateDomain(domain, posture, checks);
+};
+
+// Stores a pipeline result under the address the checks ran on and refreshes
+// the domain's posture.
+export const saveResult = async (result, { address, domain, jobId = null }) => {
+  if (!isResultStoreAvailable()) {
+    return null;
+  }
+  const checkedAt = new Date(result.checkedAt);
+
+  const [stored] = await Promise.all([
+    activeStore.insertResult({
+      address: address.toLowerCase(),
+      domain: domain.toLowerCase(),
+      verdict: result.verdict,
+      status: result.status,
+      profile: result.profile,
+      mode: result.mode,
+      syntaxMode: result.syntaxMode,
+      provider: result.provider ? result.provider.id : null,
+      catchAll: typeof result.catchAll === 'boolean' ? result.catchAll : null,
+      score: result.score,
+      reasons: result.reasons.map(reason => reason.code),
+      checks: result.checks.map(summarizeCheck),
+      jobId,
+      result,
+      checkedAt
+    }),
+    updateDomainPosture(domain.toLowerCase(), result, checkedAt)
+  ]);
+  return stored;
+};
+
+const historyEntry = (doc) => ({
+  id: String(doc._id),
+  address: doc.address,
+  domain: doc.domain,
+  verdict: doc.verdict,
+  status: doc.status,
+  profile: doc.profile,
+  mode: doc.mode,
+  provider: doc.provider,
+  catchAll: doc.catchAll,
+  score: doc.score,
+  reasons: doc.reasons,
+  checks: doc.checks,
+  jobId: doc.jobId,
+  checkedAt: doc.checkedAt.toISOString()
+});
+
+export const getAddressHistory = async (address, { limit = 50 } = {}) => {
+  const results = await activeStore.findResults({ address: address.toLowerCase() }, { limit });
+  return { address: address.toLowerCase(), results: results.map(historyEntry) };
+};
+
+export const getDomainHistory = async (domain, { limit = 50 } = {}) => {
+  const name = domain.toLowerCase();
+  const [posture, results] = await Promise.all([
+    activeStore.findDomain(name),
+    activeStore.findResults({ domain: name }, { limit })
+  ]);
+  return {
+    domain: name,
+    posture: posture ? {
+      ...posture,
+      checks: Object.entries(posture.checks || {}).map(([check, { status, reason, checkedAt }]) => ({
+        name: check,
+        status,
+        reason: reason ? reason.code : null,
+        checkedAt: checkedAt.toISOString()
+      })),
+      lastCheckedAt: posture.lastCheckedAt.toISOString()
+    } : null,
+    results: results.map(historyEntry)
+  };
+};
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+
+export const RETRYABLE_REASONS = Object.freeze(['SMTP_GREYLISTED', 'SMTP_TEMPORARY_FAILURE']);
+
+export const isRetryableResult = (result) =>
+  Boolean(result && result.reasons && result.reasons.some(reason => RETRYABLE_REASONS.includes(reason.code)));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Persists temporarily failed addresses so greylisted mailboxes get retried
+// with backoff, including after a restart of the process that queued them.
+// Entries are keyed by a caller-supplied id (a row, a request), not by the
+// address, so the same address queued twice keeps two separate retry budgets.
+export class RetryQueue {
+  constructor({
+    filePath = process.env.RETRY_QUEUE_FILE || 'retry-queue.json',
+    initialDelayMs = Number(process.env.RETRY_INITIAL_DELAY_MS) || 5 * 60 * 1000,
+    backoffFactor = Number(process.env.RETRY_BACKOFF_FACTOR) || 2,
+    maxDelayMs = Number(process.env.RETRY_MAX_DELAY_MS) || 60 * 60 * 1000,
+    maxAttempts = Number(process.env.RETRY_MAX_ATTEMPTS) || 4,
+    isRetryable = isRetryableResult,
+    now = Date.now
+  } = {}) {
+    this.filePath = filePath;
+    this.initialDelayMs = initialDelayMs;
+    this.backoffFactor = backoffFactor;
+    this.maxDelayMs = maxDelayMs;
+    this.maxAttempts = maxAttempts;
+    this.isRetryable = isRetryable;
+    this.now = now;
+    this.entries = new Map();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return this;
+    }
+    const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.entries = new Map(stored.map(entry => [entry.id, entry]));
+    return this;
+  }
+
+  save() {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify([...this.entries.values()], null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  delayFor(attempts) {
+    return Math.min(this.initialDelayMs * this.backoffFactor ** Math.max(attempts - 1, 0), this.maxDelayMs);
+  }
+
+  schedule(id, email, result, context = {}) {
+    const existing = this.entries.get(id);
+    const attempts = existing ? existing.attempts + 1 : 1;
+    const entry = {
+      id,
+      email,
+      attempts,
+      firstQueuedAt: existing ? existing.firstQueuedAt : new Date(this.now()).toISOString(),
+      nextAttemptAt: this.now() + this.delayFor(attempts),
+      lastReasons: result.reasons.map(reason => reason.code),
+      context: existing ? existing.context : context
+    };
+    this.entries.set(id, entry);
+    this.save();
+    return entry;
+  }
+
+  remove(id) {
+    this.entries.delete(id);
+    this.save();
+  }
+
+  due() {
+    return [...this.entries.values()].filter(entry => entry.nextAttemptAt <= this.now());
+  }
+
+  nextDueAt() {
+    const times = [...this.entries.values()].map(entry => entry.nextAttemptAt);
+    return times.length ? Math.min(...times) : null;
+  }
+
+  // Retries every queued address until it resolves or runs out of attempts.
+  // `validate` re-runs the check; `onFinal` receives the result to record
+  // along with the entry's context and id.
+  async drain(validate, onFinal) {
+    while (this.entries.size) {
+      const waitMs = this.nextDueAt() - this.now();
+      if (waitMs > 0) {
+        await sleep(waitMs);
+      }
+      for (const entry of this.due()) {
+        const result = await validate(entry.email, entry.context);
+        if (this.isRetryable(result) && entry.attempts < this.maxAttempts) {
+          this.schedule(entry.id, entry.email, result);
+          continue;
+        }
+        await onFinal({ ...result, retryAttempts: entry.attempts }, entry.context, entry.id);
+        this.remove(entry.id);
+      }
+    }
+  }
+}
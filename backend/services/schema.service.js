@@ -0,0 +1,91 @@
+// A small subset of JSON Schema, enough for the API's request and response
+// bodies: type, required, properties, additionalProperties, items, enum,
+// minLength, maxLength, pattern, minItems, maxItems, minimum and maximum.
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+};
+
+export const validateSchema = (schema, value, path = '') => {
+  const at = path || 'body';
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${at} must be of type ${[].concat(schema.type).join(' or ')}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at} must be one of ${schema.enum.join(', ')}`];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} must have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} must have at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} must match ${schema.pattern}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be at most ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${at}[${index}]`)));
+    }
+  }
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path ? `${path}.` : ''}${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const child = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        if (item !== undefined) errors.push(...validateSchema(properties[key], item, child));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${child} is not allowed`);
+      }
+    }
+  }
+  return errors;
+};
+
+const validatePart = (part, schema) => (req, res, next) => {
+  const errors = validateSchema(schema, req[part] === undefined ? {} : req[part], part === 'body' ? '' : part);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Request failed schema validation', details: errors });
+  }
+  next();
+};
+
+// Express middleware that rejects a request whose JSON body (or query string)
+// does not match `schema` with a 400 listing every problem.
+export const validateBody = (schema) => validatePart('body', schema);
+
+export const validateQuery = (schema) => validatePart('query', schema);
+
+// Express middleware that checks successful JSON responses against `schema`.
+// A mismatch is a bug in the server, so it is answered with a 500 listing
+// every problem instead of sending the malformed body.
+export const validateResponse = (schema) => (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 300) {
+      return json(body);
+    }
+    const errors = validateSchema(schema, body);
+    if (errors.length) {
+      res.status(500);
+      return json({ error: 'Response failed schema validation', details: errors });
+    }
+    return json(body);
+  };
+  next();
+};
@@ -0,0 +1,230 @@
+import net from 'net';
+import tls from 'tls';
+
+const smtpError = (message, code, reply) => {
+  const error = new Error(message);
+  error.code = code;
+  if (reply) {
+    error.responseCode = reply.code;
+    error.response = reply.lines.join('\n');
+  }
+  return error;
+};
+
+const replyText = (reply) => reply.lines.map(line => line.slice(4)).join(' ');
+
+// A minimal SMTP client for mailbox probes. It speaks just enough of RFC 5321
+// to get to RCPT TO: greeting, EHLO with a HELO fallback, optional STARTTLS,
+// one command at a time and QUIT. Every line goes to `transcript`.
+export class SmtpClient {
+  constructor({
+    host,
+    address = host,
+    port = 25,
+    name = 'localhost',
+    startTls = 'opportunistic',
+    tlsOptions = {},
+    connectionTimeout = 10000,
+    greetingTimeout = connectionTimeout,
+    socketTimeout = 15000,
+    transcript = []
+  }) {
+    this.host = host;
+    this.address = address;
+    this.port = port;
+    this.name = name;
+    this.startTls = startTls;
+    this.tlsOptions = tlsOptions;
+    this.connectionTimeout = connectionTimeout;
+    this.greetingTimeout = greetingTimeout;
+    this.socketTimeout = socketTimeout;
+    this.transcript = transcript;
+    this.extensions = [];
+    this.secure = false;
+    this.closed = false;
+    this.socket = null;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+  }
+
+  log(direction, line) {
+    this.transcript.push({ at: new Date().toISOString(), host: this.host, direction, line });
+  }
+
+  async connect() {
+    this.attach(await this.openSocket());
+    this.log('I', `Connected to ${this.address}:${this.port}`);
+    try {
+      const greeting = await this.read(this.greetingTimeout);
+      if (greeting.code !== 220) {
+        throw smtpError(`Server rejected the connection: ${replyText(greeting)}`, 'EPROTOCOL', greeting);
+      }
+      await this.hello();
+      if (this.startTls !== 'never' && this.extensions.includes('STARTTLS')) {
+        await this.upgrade();
+      } else if (this.startTls === 'require') {
+        throw smtpError('Server does not offer STARTTLS.', 'ETLS');
+      }
+    } catch (err) {
+      this.close();
+      throw err;
+    }
+    return this;
+  }
+
+  openSocket() {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: this.address, port: this.port });
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(smtpError(`Connection to ${this.host} timed out.`, 'ETIMEDOUT'));
+      }, this.connectionTimeout);
+      socket.once('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        socket.removeAllListeners('error');
+        resolve(socket);
+      });
+    });
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.socketTimeout, () => this.fail(smtpError(`Connection to ${this.host} timed out.`, 'ETIMEDOUT')));
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('error', err => this.fail(err));
+    socket.on('close', () => this.fail(smtpError(`Connection to ${this.host} closed unexpectedly.`, 'ECONNECTION')));
+  }
+
+  detach() {
+    const socket = this.socket;
+    socket.removeAllListeners('data');
+    socket.removeAllListeners('error');
+    socket.removeAllListeners('close');
+    socket.setTimeout(0);
+    return socket;
+  }
+
+  receive(chunk) {
+    if (this.closed) return;
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.log('S', line);
+      this.lines.push(line);
+      // The last line of a reply has a space (or nothing) after the code.
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines: this.lines };
+        this.lines = [];
+        if (this.waiting) this.waiting.resolve(reply);
+        else this.replies.push(reply);
+      }
+    }
+  }
+
+  fail(err) {
+    if (this.error) return;
+    this.error = err;
+    this.socket.destroy();
+    if (this.waiting) this.waiting.reject(err);
+  }
+
+  read(timeoutMs) {
+    if (this.replies.length) return Promise.resolve(this.replies.shift());
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => {
+      const timer = timeoutMs
+        ? setTimeout(() => this.fail(smtpError(`No reply from ${this.host} within ${timeoutMs}ms.`, 'ETIMEDOUT')), timeoutMs)
+        : null;
+      const settle = (fn) => (value) => {
+        clearTimeout(timer);
+        this.waiting = null;
+        fn(value);
+      };
+      this.waiting = { resolve: settle(resolve), reject: settle(reject) };
+    });
+  }
+
+  // Sends one command line and resolves with its reply: the numeric code and
+  // every line of a multi-line response.
+  command(line) {
+    if (this.error) return Promise.reject(this.error);
+    this.log('C', line);
+    this.socket.write(`${line}\r\n`);
+    return this.read();
+  }
+
+  async hello() {
+    const ehlo = await this.command(`EHLO ${this.name}`);
+    if (ehlo.code === 250) {
+      this.extensions = ehlo.lines.slice(1).map(line => line.slice(4).split(' ')[0].toUpperCase());
+      return;
+    }
+    const helo = await this.command(`HELO ${this.name}`);
+    if (helo.code !== 250) {
+      throw smtpError(`Server rejected HELO: ${replyText(helo)}`, 'EPROTOCOL', helo);
+    }
+    this.extensions = [];
+  }
+
+  // A refused STARTTLS leaves the session usable in plain text, which is
+  // fine unless TLS is required. A failed handshake ruins the connection, so
+  // it surfaces as ETLS for the caller to reconnect without TLS.
+  async upgrade() {
+    const reply = await this.command('STARTTLS');
+    if (reply.code !== 220) {
+      if (this.startTls === 'require') {
+        throw smtpError(`Server refused STARTTLS: ${replyText(reply)}`, 'ETLS', reply);
+      }
+      return;
+    }
+    const plain = this.detach();
+    const socket = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        plain.destroy();
+        reject(smtpError(`TLS negotiation with ${this.host} timed out.`, 'ETLS'));
+      }, this.socketTimeout);
+      const secure = tls.connect({
+        socket: plain,
+        servername: net.isIP(this.host) ? undefined : this.host,
+        rejectUnauthorized: false,
+        ...this.tlsOptions
+      }, () => {
+        clearTimeout(timer);
+        secure.removeAllListeners('error');
+        resolve(secure);
+      });
+      secure.once('error', (err) => {
+        clearTimeout(timer);
+        reject(smtpError(`TLS negotiation with ${this.host} failed: ${err.message}`, 'ETLS'));
+      });
+    });
+    this.secure = true;
+    this.attach(socket);
+    this.log('I', 'Connection upgraded with STARTTLS');
+    await this.hello();
+  }
+
+  quit() {
+    if (this.closed) return;
+    if (!this.error) {
+      this.log('C', 'QUIT');
+      this.socket.end('QUIT\r\n');
+    }
+    this.closed = true;
+  }
+
+  close() {
+    this.closed = true;
+    if (this.socket) this.socket.destroy();
+  }
+}
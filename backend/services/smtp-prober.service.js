@@ -0,0 +1,262 @@
+import os from 'os';
+import net from 'net';
+import { resolver } from './dns-resolver.service.js';
+import { resolveMailRoute } from './mail-routing.service.js';
+import { SmtpClient } from './smtp-client.service.js';
+import { isInternational } from './idn.service.js';
+
+export const SMTP_OUTCOMES = Object.freeze({
+  ACCEPTED: 'accepted',
+  MAILBOX_NOT_FOUND: 'mailbox_not_found',
+  REJECTED: 'rejected',
+  GREYLISTED: 'greylisted',
+  TEMPORARY_FAILURE: 'temporary_failure',
+  CONNECTION_REFUSED: 'connection_refused',
+  TIMEOUT: 'timeout',
+  NO_HOSTS: 'no_hosts',
+  SMTPUTF8_UNSUPPORTED: 'smtputf8_unsupported',
+  ERROR: 'error'
+});
+
+// Outcomes that say nothing about the mailbox itself, so the next MX host is tried.
+const HOST_LEVEL_OUTCOMES = [
+  SMTP_OUTCOMES.CONNECTION_REFUSED,
+  SMTP_OUTCOMES.TIMEOUT,
+  SMTP_OUTCOMES.ERROR
+];
+
+const POLICY_TEXT = /block|spam|policy|blacklist|blocklist|denied|reputation|not permitted|relay/i;
+const GREYLIST_TEXT = /gr[ae]y ?list|try again later|temporarily deferred/i;
+
+const defaultOptions = () => ({
+  port: Number(process.env.SMTP_PROBE_PORT) || 25,
+  heloName: process.env.SMTP_HELO_NAME || os.hostname(),
+  mailFrom: process.env.SMTP_MAIL_FROM,
+  startTls: process.env.SMTP_STARTTLS || 'opportunistic',
+  connectionTimeout: Number(process.env.SMTP_CONNECTION_TIMEOUT_MS) || 10000,
+  socketTimeout: Number(process.env.SMTP_SOCKET_TIMEOUT_MS) || 15000,
+  maxHosts: 3
+});
+
+export const parseReply = (raw) => {
+  const lines = String(raw).split(/\r?\n/).filter(Boolean);
+  const code = Number((lines[0] || '').slice(0, 3)) || null;
+  const text = lines.map(line => line.slice(4)).join('\n');
+  const enhanced = text.match(/^([245]\.\d{1,3}\.\d{1,3})\b/);
+  return {
+    code,
+    enhancedStatus: enhanced ? enhanced[1] : null,
+    text,
+    raw: lines.join('\n')
+  };
+};
+
+export const classifyRcptReply = ({ code, enhancedStatus, text }) => {
+  if (code >= 200 && code < 300) {
+    return SMTP_OUTCOMES.ACCEPTED;
+  }
+  if (code >= 400 && code < 500) {
+    if (code === 450 || code === 451 || GREYLIST_TEXT.test(text) || enhancedStatus === '4.7.1') {
+      return SMTP_OUTCOMES.GREYLISTED;
+    }
+    return SMTP_OUTCOMES.TEMPORARY_FAILURE;
+  }
+  if (code >= 500) {
+    if (enhancedStatus) {
+      return enhancedStatus.startsWith('5.1.') ? SMTP_OUTCOMES.MAILBOX_NOT_FOUND : SMTP_OUTCOMES.REJECTED;
+    }
+    if ([550, 551, 553].includes(code) && !POLICY_TEXT.test(text)) {
+      return SMTP_OUTCOMES.MAILBOX_NOT_FOUND;
+    }
+    return SMTP_OUTCOMES.REJECTED;
+  }
+  return SMTP_OUTCOMES.ERROR;
+};
+
+const CONNECTION_REFUSED_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+const classifyConnectionError = (err) => {
+  if (err.code === 'ETIMEDOUT') {
+    return SMTP_OUTCOMES.TIMEOUT;
+  }
+  if (CONNECTION_REFUSED_CODES.includes(err.code)) {
+    return SMTP_OUTCOMES.CONNECTION_REFUSED;
+  }
+  if (err.responseCode) {
+    return err.responseCode >= 500 ? SMTP_OUTCOMES.REJECTED : SMTP_OUTCOMES.TEMPORARY_FAILURE;
+  }
+  return SMTP_OUTCOMES.ERROR;
+};
+
+const openConnection = (host, address, options, transcript) => new SmtpClient({
+  host,
+  address,
+  port: options.port,
+  name: options.heloName,
+  startTls: options.startTls,
+  connectionTimeout: options.connectionTimeout,
+  socketTimeout: options.socketTimeout,
+  transcript
+}).connect().catch((err) => {
+  transcript.push({ at: new Date().toISOString(), host, direction: 'I', line: err.message });
+  throw err;
+});
+
+export const sendCommand = async (client, command) => parseReply((await client.command(command)).lines.join('\n'));
+
+const resolveHostAddress = async (host) => {
+  if (net.isIP(host)) return host;
+  try {
+    return (await resolver.resolve4(host))[0];
+  } catch (err) {
+    return (await resolver.resolve6(host))[0];
+  }
+};
+
+// MX hosts in preference order, the domain itself when it relies on the
+// implicit MX, and none at all for a null MX.
+export const resolveMxHosts = async (domain) => {
+  const route = await resolveMailRoute(domain);
+  return route.hosts.map(host => host.exchange);
+};
+
+export const openSmtpSession = async (host, options = {}) => {
+  const settings = { ...defaultOptions(), ...options };
+  const transcript = settings.transcript || [];
+  const address = await resolveHostAddress(host);
+
+  let connection;
+  try {
+    connection = await openConnection(host, address, settings, transcript);
+  } catch (err) {
+    if (err.code !== 'ETLS' || settings.startTls !== 'opportunistic') throw err;
+    transcript.push({ at: new Date().toISOString(), host, direction: 'I', line: 'STARTTLS failed, retrying without TLS' });
+    connection = await openConnection(host, address, { ...settings, startTls: 'never' }, transcript);
+  }
+
+  const mailFrom = settings.mailFrom || `verify@${settings.heloName}`;
+  const smtpUtf8 = connection.extensions.includes('SMTPUTF8');
+  return {
+    host,
+    address,
+    port: settings.port,
+    transcript,
+    secure: Boolean(connection.secure),
+    smtpUtf8,
+    mailFrom: (utf8) => sendCommand(connection, `MAIL FROM:<${mailFrom}>${utf8 && smtpUtf8 ? ' SMTPUTF8' : ''}`),
+    rcptTo: (email) => sendCommand(connection, `RCPT TO:<${email}>`),
+    reset: () => sendCommand(connection, 'RSET'),
+    close: () => connection.quit()
+  };
+};
+
+const attemptFromReply = (base, outcome, reply, stage, secure) => ({
+  ...base,
+  outcome,
+  stage,
+  replyCode: reply.code,
+  enhancedStatus: reply.enhancedStatus,
+  replyText: reply.text,
+  secure
+});
+
+// Runs one session against `host` and issues a RCPT TO per address under a
+// single MAIL FROM. Returns one attempt per address, in input order. Each
+// attempt's transcript holds the shared part of the session and only its own
+// RCPT exchange, so one caller never sees another caller's addresses.
+const probeHost = async (host, emails, options) => {
+  const transcript = [];
+  const owners = [];
+  const base = { host, port: options.port };
+  const attempts = new Map();
+  const release = options.throttle ? await options.throttle.acquire(host) : null;
+  let session;
+  let stage = 'CONNECT';
+  let current = null;
+  const claimLines = (email, from) => {
+    for (let index = from; index < transcript.length; index++) owners[index] = email;
+  };
+  try {
+    session = await openSmtpSession(host, { ...options, transcript });
+    stage = 'MAIL';
+    const sender = await session.mailFrom(emails.some(isInternational));
+    if (sender.code >= 400) {
+      const outcome = sender.code >= 500 ? SMTP_OUTCOMES.REJECTED : SMTP_OUTCOMES.TEMPORARY_FAILURE;
+      emails.forEach(email => attempts.set(email, attemptFromReply(base, outcome, sender, stage, session.secure)));
+    } else {
+      stage = 'RCPT';
+      for (const email of emails) {
+        if (isInternational(email) && !session.smtpUtf8) {
+          const unsupported = { code: null, enhancedStatus: null, text: 'Server does not advertise SMTPUTF8' };
+          attempts.set(email, attemptFromReply(base, SMTP_OUTCOMES.SMTPUTF8_UNSUPPORTED, unsupported, stage, session.secure));
+          continue;
+        }
+        current = { email, from: transcript.length };
+        const reply = await session.rcptTo(email);
+        claimLines(email, current.from);
+        current = null;
+        attempts.set(email, attemptFromReply(base, classifyRcptReply(reply), reply, stage, session.secure));
+      }
+    }
+  } catch (err) {
+    if (current) claimLines(current.email, current.from);
+    const failure = {
+      ...base,
+      outcome: classifyConnectionError(err),
+      stage,
+      replyCode: err.responseCode || null,
+      enhancedStatus: null,
+      replyText: err.response || null,
+      error: err.message
+    };
+    emails.filter(email => !attempts.has(email)).forEach(email => attempts.set(email, failure));
+  } finally {
+    if (session) session.close();
+    if (release) release();
+  }
+  return emails.map(email => ({
+    ...attempts.get(email),
+    transcript: transcript.filter((entry, index) => !owners[index] || owners[index] === email)
+  }));
+};
+
+const summarize = (email, attempts) => {
+  const final = attempts[attempts.length - 1];
+  if (!final) {
+    return { email, outcome: SMTP_OUTCOMES.NO_HOSTS, attempts, transcript: [] };
+  }
+  return {
+    email,
+    outcome: final.outcome,
+    host: final.host,
+    port: final.port,
+    stage: final.stage,
+    replyCode: final.replyCode,
+    enhancedStatus: final.enhancedStatus,
+    replyText: final.replyText,
+    secure: final.secure,
+    error: final.error,
+    attempts: attempts.map(({ transcript, ...attempt }) => attempt),
+    transcript: attempts.flatMap(attempt => attempt.transcript)
+  };
+};
+
+// Probes several addresses on the same domain, reusing one session per MX host.
+export const probeMailboxes = async (emails, options = {}) => {
+  const settings = { ...defaultOptions(), ...options };
+  const domain = emails[0].slice(emails[0].lastIndexOf('@') + 1);
+  const hosts = settings.mxHosts || await resolveMxHosts(domain).catch(() => []);
+  const attempts = new Map(emails.map(email => [email, []]));
+  let pending = emails;
+
+  for (const host of hosts.slice(0, settings.maxHosts)) {
+    if (!pending.length) break;
+    const results = await probeHost(host, pending, settings);
+    results.forEach((attempt, index) => attempts.get(pending[index]).push(attempt));
+    pending = pending.filter((email, index) => HOST_LEVEL_OUTCOMES.includes(results[index].outcome));
+  }
+
+  return emails.map(email => summarize(email, attempts.get(email)));
+};
+
+export const probeMailbox = async (email, options = {}) => (await probeMailboxes([email], options))[0];
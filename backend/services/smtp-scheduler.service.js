@@ -0,0 +1,145 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { probeMailboxes, resolveMxHosts } from './smtp-prober.service.js';
+
+const DEFAULT_LIMITS_FILE = fileURLToPath(new URL('../config/smtp-limits.json', import.meta.url));
+const WINDOW_MS = 60 * 1000;
+
+export const loadSmtpLimits = (filePath = process.env.SMTP_LIMITS_FILE || DEFAULT_LIMITS_FILE) =>
+  JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+const matchesSuffix = (host, suffix) => host === suffix || host.endsWith(`.${suffix}`);
+
+// The options a session is opened with. Anything else a caller passes (an MX
+// host list, a provider hint) does not decide which session a probe joins.
+const SESSION_OPTIONS = ['port', 'heloName', 'mailFrom', 'startTls', 'connectionTimeout', 'socketTimeout', 'maxHosts'];
+
+// Caps concurrent SMTP sessions and new connections per minute for each MX
+// host and for each provider group, and coalesces probes for the same domain
+// into one session with several RCPT TO commands.
+export class SmtpScheduler {
+  constructor(limits = loadSmtpLimits(), { now = Date.now } = {}) {
+    this.limits = limits;
+    this.now = now;
+    this.buckets = new Map();
+    this.waiters = new Set();
+    this.batches = new Map();
+  }
+
+  groupFor(host) {
+    const name = host.toLowerCase();
+    const match = Object.entries(this.limits.groups || {})
+      .find(([, group]) => (group.match || []).some(suffix => matchesSuffix(name, suffix)));
+    return match ? match[0] : null;
+  }
+
+  bucketsFor(host) {
+    const keys = [{ key: `host:${host.toLowerCase()}`, limits: this.limits.host || {} }];
+    const group = this.groupFor(host);
+    if (group) {
+      keys.push({ key: `group:${group}`, limits: this.limits.groups[group] });
+    }
+    return keys.map(({ key, limits }) => {
+      if (!this.buckets.has(key)) {
+        this.buckets.set(key, { active: 0, connects: [], limits });
+      }
+      return this.buckets.get(key);
+    });
+  }
+
+  waitTime(buckets) {
+    const now = this.now();
+    let wait = 0;
+    for (const bucket of buckets) {
+      bucket.connects = bucket.connects.filter(at => at > now - WINDOW_MS);
+      const { maxConcurrent = Infinity, connectsPerMinute = Infinity } = bucket.limits;
+      if (bucket.active >= maxConcurrent) {
+        return Infinity;
+      }
+      if (bucket.connects.length >= connectsPerMinute) {
+        wait = Math.max(wait, bucket.connects[0] + WINDOW_MS - now);
+      }
+    }
+    return wait;
+  }
+
+  async acquire(host) {
+    const buckets = this.bucketsFor(host);
+    for (;;) {
+      const waitMs = this.waitTime(buckets);
+      if (waitMs === 0) {
+        buckets.forEach(bucket => {
+          bucket.active++;
+          bucket.connects.push(this.now());
+        });
+        let released = false;
+        return () => {
+          if (released) return;
+          released = true;
+          buckets.forEach(bucket => bucket.active--);
+          this.wake();
+        };
+      }
+      await new Promise(resolve => {
+        const waiter = () => {
+          clearTimeout(timer);
+          this.waiters.delete(waiter);
+          resolve();
+        };
+        const timer = Number.isFinite(waitMs) ? setTimeout(waiter, waitMs) : null;
+        this.waiters.add(waiter);
+      });
+    }
+  }
+
+  wake() {
+    const waiters = [...this.waiters];
+    this.waiters.clear();
+    waiters.forEach(waiter => waiter());
+  }
+
+  // Probes for the same domain and first MX host share a session as long as
+  // they open it with the same settings, so a catch-all probe that names its
+  // MX host joins the mailbox probes for that domain. The batch tries the
+  // union of its callers' MX hosts.
+  async probe(email, options = {}) {
+    const { maxRecipients = 20, batchWindowMs = 50 } = this.limits.session || {};
+    const domain = email.slice(email.lastIndexOf('@') + 1).toLowerCase();
+    const hosts = options.mxHosts || await resolveMxHosts(domain).catch(() => []);
+    const session = SESSION_OPTIONS.map(name => options[name] ?? null);
+    const key = `${domain}|${(hosts[0] || '').toLowerCase()}|${JSON.stringify(session)}`;
+
+    let batch = this.batches.get(key);
+    if (!batch) {
+      batch = { options, hosts: [], requests: [] };
+      batch.timer = setTimeout(() => this.flush(key), batchWindowMs);
+      this.batches.set(key, batch);
+    }
+    hosts.filter(host => !batch.hosts.includes(host)).forEach(host => batch.hosts.push(host));
+
+    return new Promise((resolve, reject) => {
+      batch.requests.push({ email, resolve, reject });
+      if (batch.requests.length >= maxRecipients) {
+        clearTimeout(batch.timer);
+        this.flush(key);
+      }
+    });
+  }
+
+  async flush(key) {
+    const batch = this.batches.get(key);
+    if (!batch) return;
+    this.batches.delete(key);
+
+    const emails = [...new Set(batch.requests.map(request => request.email))];
+    try {
+      const results = await probeMailboxes(emails, { ...batch.options, mxHosts: batch.hosts, throttle: this });
+      const byEmail = new Map(results.map(result => [result.email, result]));
+      batch.requests.forEach(request => request.resolve(byEmail.get(request.email)));
+    } catch (err) {
+      batch.requests.forEach(request => request.reject(err));
+    }
+  }
+}
+
+export const smtpScheduler = new SmtpScheduler();
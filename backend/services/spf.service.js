@@ -0,0 +1,398 @@
+import net from 'net';
+import { resolver as defaultResolver } from './dns-resolver.service.js';
+
+export const SPF_LOOKUP_LIMIT = 10;
+export const SPF_VOID_LOOKUP_LIMIT = 2;
+const MX_ADDRESS_LIMIT = 10;
+
+export const SPF_QUALIFIERS = Object.freeze({
+  '+': 'pass',
+  '-': 'fail',
+  '~': 'softfail',
+  '?': 'neutral'
+});
+
+export const SPF_RESULTS = Object.freeze({
+  PASS: 'pass',
+  FAIL: 'fail',
+  SOFTFAIL: 'softfail',
+  NEUTRAL: 'neutral',
+  NONE: 'none',
+  PERMERROR: 'permerror',
+  TEMPERROR: 'temperror'
+});
+
+const MECHANISMS = ['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists'];
+const LOOKUP_MECHANISMS = ['include', 'a', 'mx', 'ptr', 'exists'];
+const NOT_FOUND_CODES = ['ENOTFOUND', 'ENODATA'];
+
+const MACRO_PATTERN = /%\{([slodiphcrtv])(\d*)(r?)([.\-+,/_=]*)\}|%%|%_|%-/gi;
+
+const spfError = (code, message, domain) => ({ code, message, domain });
+
+const isSpfRecord = (text) => /^v=spf1(\s|$)/i.test(text);
+
+const isValidDomainSpec = (spec) => {
+  if (!spec || /\s/.test(spec)) return false;
+  return !spec.replace(MACRO_PATTERN, '').includes('%');
+};
+
+const parsePrefix = (value, max) => {
+  if (value === undefined) return max;
+  const bits = Number(value);
+  return Number.isInteger(bits) && bits >= 0 && bits <= max && !/^0\d/.test(value) ? bits : null;
+};
+
+const parseMechanism = (term) => {
+  const match = term.match(/^([+\-~?]?)([a-z][a-z0-9]*)(.*)$/i);
+  const name = match && match[2].toLowerCase();
+  if (!match || !MECHANISMS.includes(name)) {
+    throw new Error(`Unknown SPF mechanism "${term}".`);
+  }
+  const mechanism = { term, qualifier: match[1] || '+', name };
+  const rest = match[3];
+
+  if (name === 'all') {
+    if (rest) throw new Error(`SPF mechanism "${term}" takes no arguments.`);
+  } else if (name === 'include' || name === 'exists') {
+    const spec = rest.startsWith(':') ? rest.slice(1) : '';
+    if (!isValidDomainSpec(spec)) throw new Error(`SPF mechanism "${term}" needs a domain.`);
+    mechanism.domain = spec;
+  } else if (name === 'ptr') {
+    if (rest && !(rest.startsWith(':') && isValidDomainSpec(rest.slice(1)))) {
+      throw new Error(`Invalid SPF mechanism "${term}".`);
+    }
+    if (rest) mechanism.domain = rest.slice(1);
+  } else if (name === 'a' || name === 'mx') {
+    const parts = rest.match(/^(?::([^/]+))?(?:\/(\d+))?(?:\/\/(\d+))?$/);
+    const cidr4 = parts && parsePrefix(parts[2], 32);
+    const cidr6 = parts && parsePrefix(parts[3], 128);
+    if (!parts || cidr4 === null || cidr6 === null || (parts[1] !== undefined && !isValidDomainSpec(parts[1]))) {
+      throw new Error(`Invalid SPF mechanism "${term}".`);
+    }
+    if (parts[1] !== undefined) mechanism.domain = parts[1];
+    mechanism.cidr4 = cidr4;
+    mechanism.cidr6 = cidr6;
+  } else {
+    const family = name === 'ip4' ? 4 : 6;
+    const parts = rest.match(/^:([^/]+)(?:\/(\d+))?$/);
+    const prefix = parts && parsePrefix(parts[2], family === 4 ? 32 : 128);
+    if (!parts || prefix === null || net.isIP(parts[1]) !== family) {
+      throw new Error(`Invalid SPF mechanism "${term}".`);
+    }
+    mechanism.network = parts[1];
+    mechanism.prefix = prefix;
+  }
+  return mechanism;
+};
+
+// Splits a v=spf1 record into ordered mechanisms and modifiers (RFC 7208
+// section 4.6.1). Syntax problems are collected in `errors` instead of thrown
+// so callers can report all of them at once.
+export const parseSpfRecord = (record) => {
+  const [version, ...terms] = String(record).trim().split(/\s+/);
+  const parsed = { record, mechanisms: [], modifiers: {}, errors: [] };
+  if (!version || version.toLowerCase() !== 'v=spf1') {
+    parsed.errors.push('Record does not start with "v=spf1".');
+    return parsed;
+  }
+
+  for (const term of terms) {
+    const modifier = term.match(/^([a-z][a-z0-9_.-]*)=(.*)$/i);
+    if (modifier) {
+      const name = modifier[1].toLowerCase();
+      if ((name === 'redirect' || name === 'exp') && name in parsed.modifiers) {
+        parsed.errors.push(`Modifier "${name}" appears more than once.`);
+      } else if ((name === 'redirect' || name === 'exp') && !isValidDomainSpec(modifier[2])) {
+        parsed.errors.push(`Modifier "${name}" needs a domain.`);
+      } else {
+        parsed.modifiers[name] = modifier[2];
+      }
+      continue;
+    }
+    try {
+      parsed.mechanisms.push(parseMechanism(term));
+    } catch (err) {
+      parsed.errors.push(err.message);
+    }
+  }
+  return parsed;
+};
+
+const expandIp = (ip) => {
+  if (net.isIPv4(ip)) return ip;
+  const [head, tail = ''] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = ip.includes('::')
+    ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+    : headGroups;
+  return groups.map(group => group.padStart(4, '0')).join('').split('').join('.');
+};
+
+const macroValue = (letter, context) => {
+  const sender = context.sender || `postmaster@${context.domain}`;
+  switch (letter) {
+    case 's': return sender;
+    case 'l': return sender.slice(0, sender.lastIndexOf('@')) || 'postmaster';
+    case 'o': return sender.slice(sender.lastIndexOf('@') + 1);
+    case 'd': return context.domain;
+    case 'h': return context.helo || context.domain;
+    case 'p': return 'unknown';
+    case 'v': return context.ip && net.isIPv6(context.ip) ? 'ip6' : 'in-addr';
+    case 'i': return context.ip ? expandIp(context.ip) : null;
+    case 'c': return context.ip || null;
+    case 'r': return 'unknown';
+    case 't': return String(Math.floor(Date.now() / 1000));
+    default: return null;
+  }
+};
+
+// Expands SPF macros (RFC 7208 section 7). Returns null when the spec needs
+// the connecting IP and none was given.
+export const expandMacros = (spec, context) => {
+  let missing = false;
+  const expanded = spec.replace(MACRO_PATTERN, (token, letter, digits, reverse, delimiters) => {
+    if (token === '%%') return '%';
+    if (token === '%_') return ' ';
+    if (token === '%-') return '%20';
+    const value = macroValue(letter.toLowerCase(), context);
+    if (value === null) {
+      missing = true;
+      return '';
+    }
+    const separator = new RegExp(`[${(delimiters || '.').replace(/[-\\\]]/g, '\\$&')}]`);
+    let parts = value.split(separator);
+    if (reverse) parts.reverse();
+    if (digits) parts = parts.slice(-Number(digits));
+    const joined = parts.join('.');
+    return letter === letter.toUpperCase() ? encodeURIComponent(joined) : joined;
+  });
+  return missing ? null : expanded.replace(/\.$/, '');
+};
+
+const fetchSpfRecords = async (domain, dns) => {
+  try {
+    const txtRecords = await dns.resolveTxt(domain);
+    return txtRecords.map(chunks => chunks.join('')).filter(isSpfRecord);
+  } catch (err) {
+    if (NOT_FOUND_CODES.includes(err.code)) return [];
+    throw err;
+  }
+};
+
+const finalPolicy = (mechanisms) => {
+  const all = mechanisms.find(mechanism => mechanism.name === 'all');
+  return all ? SPF_QUALIFIERS[all.qualifier] : null;
+};
+
+// Walks the whole include/redirect tree of a domain's SPF policy without a
+// connecting IP: every DNS-querying term counts against the 10-lookup limit,
+// even the ones an evaluation could short-circuit past.
+export const analyzeSpf = async (domain, { resolver = defaultResolver } = {}) => {
+  const records = await fetchSpfRecords(domain, resolver);
+  const analysis = {
+    domain,
+    record: records[0] || null,
+    records,
+    mechanisms: [],
+    modifiers: {},
+    all: null,
+    lookups: 0,
+    includes: [],
+    errors: []
+  };
+  if (!records.length) {
+    return analysis;
+  }
+  if (records.length > 1) {
+    analysis.errors.push(spfError('SPF_MULTIPLE_RECORDS', `Domain ${domain} publishes ${records.length} SPF records.`, domain));
+  }
+
+  const walk = async (name, parsed, trail) => {
+    parsed.errors.forEach(message => analysis.errors.push(spfError('SPF_INVALID', message, name)));
+    const targets = [];
+    for (const mechanism of parsed.mechanisms) {
+      if (!LOOKUP_MECHANISMS.includes(mechanism.name)) continue;
+      analysis.lookups++;
+      if (mechanism.name === 'include') targets.push({ spec: mechanism.domain, isRedirect: false });
+    }
+    // redirect= is ignored when the record has its own "all" mechanism.
+    let policy = finalPolicy(parsed.mechanisms);
+    if (parsed.modifiers.redirect && !policy) {
+      analysis.lookups++;
+      targets.push({ spec: parsed.modifiers.redirect, isRedirect: true });
+    }
+
+    for (const { spec, isRedirect } of targets) {
+      if (analysis.lookups > SPF_LOOKUP_LIMIT) break;
+      const target = expandMacros(spec, { domain: name });
+      if (!target) continue;
+      if (trail.includes(target.toLowerCase())) {
+        analysis.errors.push(spfError('SPF_INVALID', `SPF policy for ${target} is referenced in a loop.`, name));
+        continue;
+      }
+      if (!isRedirect) analysis.includes.push(target);
+
+      let targetRecords;
+      try {
+        targetRecords = await fetchSpfRecords(target, resolver);
+      } catch (err) {
+        analysis.errors.push(spfError('SPF_LOOKUP_FAILED', `SPF lookup for ${target} failed: ${err.code || err.message}.`, target));
+        continue;
+      }
+      if (targetRecords.length !== 1) {
+        const problem = targetRecords.length ? `publishes ${targetRecords.length} SPF records` : 'has no SPF record';
+        analysis.errors.push(spfError(targetRecords.length ? 'SPF_MULTIPLE_RECORDS' : 'SPF_INVALID', `Referenced domain ${target} ${problem}.`, target));
+        continue;
+      }
+      const targetPolicy = await walk(target, parseSpfRecord(targetRecords[0]), [...trail, target.toLowerCase()]);
+      if (isRedirect) policy = targetPolicy;
+    }
+    return policy;
+  };
+
+  const parsed = parseSpfRecord(records[0]);
+  analysis.mechanisms = parsed.mechanisms;
+  analysis.modifiers = parsed.modifiers;
+  analysis.all = await walk(domain, parsed, [domain.toLowerCase()]);
+
+  if (analysis.lookups > SPF_LOOKUP_LIMIT) {
+    analysis.errors.push(spfError('SPF_LOOKUP_LIMIT', `SPF policy needs ${analysis.lookups} DNS lookups; the limit is ${SPF_LOOKUP_LIMIT}.`, domain));
+  }
+  return analysis;
+};
+
+const inNetwork = (ip, network, prefix) => {
+  const family = net.isIPv4(ip) ? 'ipv4' : 'ipv6';
+  if (family !== (net.isIPv4(network) ? 'ipv4' : 'ipv6')) return false;
+  const list = new net.BlockList();
+  list.addSubnet(network, prefix, family);
+  return list.check(ip, family);
+};
+
+class SpfEvaluationError extends Error {
+  constructor(result, message) {
+    super(message);
+    this.result = result;
+  }
+}
+
+// Evaluates check_host() (RFC 7208 section 4) for a connecting IP. The
+// result is one of SPF_RESULTS plus the mechanism that decided it.
+export const checkHost = async (ip, domain, { sender, helo, resolver = defaultResolver } = {}) => {
+  if (!net.isIP(ip)) {
+    throw new Error(`Invalid IP address "${ip}".`);
+  }
+  const state = { lookups: 0, voidLookups: 0 };
+  const ipv6 = net.isIPv6(ip);
+
+  const countLookup = () => {
+    state.lookups++;
+    if (state.lookups > SPF_LOOKUP_LIMIT) {
+      throw new SpfEvaluationError(SPF_RESULTS.PERMERROR, `More than ${SPF_LOOKUP_LIMIT} DNS lookups.`);
+    }
+  };
+
+  const query = async (method, name) => {
+    try {
+      const records = await resolver[method](name);
+      if (records.length) return records;
+    } catch (err) {
+      if (!NOT_FOUND_CODES.includes(err.code)) {
+        throw new SpfEvaluationError(SPF_RESULTS.TEMPERROR, `DNS lookup for ${name} failed: ${err.code || err.message}.`);
+      }
+    }
+    state.voidLookups++;
+    if (state.voidLookups > SPF_VOID_LOOKUP_LIMIT) {
+      throw new SpfEvaluationError(SPF_RESULTS.PERMERROR, `More than ${SPF_VOID_LOOKUP_LIMIT} void DNS lookups.`);
+    }
+    return [];
+  };
+
+  const addressesOf = (name) => query(ipv6 ? 'resolve6' : 'resolve4', name);
+
+  const target = (spec, current) => {
+    const expanded = expandMacros(spec || current, { ip, sender, helo, domain: current });
+    if (!expanded) {
+      throw new SpfEvaluationError(SPF_RESULTS.PERMERROR, `Cannot expand "${spec}".`);
+    }
+    return expanded;
+  };
+
+  const matches = async (mechanism, current) => {
+    const prefix = ipv6 ? mechanism.cidr6 : mechanism.cidr4;
+    switch (mechanism.name) {
+      case 'all':
+        return true;
+      case 'ip4':
+      case 'ip6':
+        return inNetwork(ip, mechanism.network, mechanism.prefix);
+      case 'a':
+        return (await addressesOf(target(mechanism.domain, current))).some(address => inNetwork(ip, address, prefix));
+      case 'mx': {
+        const exchanges = await query('resolveMx', target(mechanism.domain, current));
+        if (exchanges.length > MX_ADDRESS_LIMIT) {
+          throw new SpfEvaluationError(SPF_RESULTS.PERMERROR, `More than ${MX_ADDRESS_LIMIT} MX records for ${current}.`);
+        }
+        for (const { exchange } of exchanges) {
+          if ((await addressesOf(exchange)).some(address => inNetwork(ip, address, prefix))) return true;
+        }
+        return false;
+      }
+      case 'exists':
+        return (await query('resolve4', target(mechanism.domain, current))).length > 0;
+      case 'include': {
+        const included = await evaluate(target(mechanism.domain, current));
+        if (included.result === SPF_RESULTS.PASS) return true;
+        if (included.result === SPF_RESULTS.TEMPERROR) throw new SpfEvaluationError(SPF_RESULTS.TEMPERROR, included.explanation);
+        if ([SPF_RESULTS.PERMERROR, SPF_RESULTS.NONE].includes(included.result)) {
+          throw new SpfEvaluationError(SPF_RESULTS.PERMERROR, `Included domain returned ${included.result}.`);
+        }
+        return false;
+      }
+      default:
+        // ptr needs reverse DNS, which the resolver layer does not expose;
+        // RFC 7208 discourages it and allows treating it as a non-match.
+        return false;
+    }
+  };
+
+  const evaluate = async (current) => {
+    let records;
+    try {
+      records = await fetchSpfRecords(current, resolver);
+    } catch (err) {
+      return { result: SPF_RESULTS.TEMPERROR, domain: current, explanation: `SPF lookup for ${current} failed.` };
+    }
+    if (!records.length) return { result: SPF_RESULTS.NONE, domain: current };
+    if (records.length > 1) return { result: SPF_RESULTS.PERMERROR, domain: current, explanation: 'Multiple SPF records.' };
+
+    const parsed = parseSpfRecord(records[0]);
+    if (parsed.errors.length) {
+      return { result: SPF_RESULTS.PERMERROR, domain: current, explanation: parsed.errors[0] };
+    }
+
+    for (const mechanism of parsed.mechanisms) {
+      if (LOOKUP_MECHANISMS.includes(mechanism.name)) countLookup();
+      if (await matches(mechanism, current)) {
+        return { result: SPF_QUALIFIERS[mechanism.qualifier], domain: current, mechanism: mechanism.term };
+      }
+    }
+    if (parsed.modifiers.redirect) {
+      countLookup();
+      const redirected = await evaluate(target(parsed.modifiers.redirect, current));
+      return redirected.result === SPF_RESULTS.NONE
+        ? { ...redirected, result: SPF_RESULTS.PERMERROR, explanation: 'Redirect target has no SPF record.' }
+        : redirected;
+    }
+    return { result: SPF_RESULTS.NEUTRAL, domain: current };
+  };
+
+  try {
+    return { ...(await evaluate(domain)), lookups: state.lookups };
+  } catch (err) {
+    if (!(err instanceof SpfEvaluationError)) throw err;
+    return { result: err.result, domain, explanation: err.message, lookups: state.lookups };
+  }
+};
@@ -0,0 +1,125 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import psl from 'psl';
+
+const DEFAULT_TYPO_DOMAINS_FILE = fileURLToPath(new URL('../config/typo-domains.json', import.meta.url));
+
+// Hitting a neighbouring key or swapping two letters is a more likely slip
+// than an arbitrary edit, so those cost half as much.
+const EDIT_COST = 1;
+const SLIP_COST = 0.5;
+
+const KEYBOARD_ROWS = ['1234567890-', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+const buildAdjacency = () => {
+  const adjacency = {};
+  KEYBOARD_ROWS.forEach((row, r) => {
+    [...row].forEach((char, c) => {
+      adjacency[char] = new Set([
+        row[c - 1], row[c + 1],
+        (KEYBOARD_ROWS[r - 1] || '')[c], (KEYBOARD_ROWS[r - 1] || '')[c + 1],
+        (KEYBOARD_ROWS[r + 1] || '')[c - 1], (KEYBOARD_ROWS[r + 1] || '')[c]
+      ].filter(Boolean));
+    });
+  });
+  return adjacency;
+};
+
+const ADJACENT_KEYS = buildAdjacency();
+
+export const isAdjacentKey = (a, b) => Boolean(ADJACENT_KEYS[a] && ADJACENT_KEYS[a].has(b));
+
+export const loadTypoDomains = (filePath = process.env.TYPO_DOMAINS_FILE || DEFAULT_TYPO_DOMAINS_FILE) =>
+  JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+let typoConfig = null;
+
+const getTypoConfig = () => typoConfig || (typoConfig = loadTypoDomains());
+
+// Damerau-Levenshtein distance (optimal string alignment) with cheaper
+// substitutions between adjacent keys and cheaper transpositions.
+export const typoDistance = (source, target) => {
+  const rows = source.length + 1;
+  const cols = target.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i * EDIT_COST, ...new Array(cols - 1).fill(0)]);
+  for (let j = 1; j < cols; j++) d[0][j] = j * EDIT_COST;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const a = source[i - 1];
+      const b = target[j - 1];
+      const substitution = a === b ? 0 : isAdjacentKey(a, b) ? SLIP_COST : EDIT_COST;
+      d[i][j] = Math.min(
+        d[i - 1][j] + EDIT_COST,
+        d[i][j - 1] + EDIT_COST,
+        d[i - 1][j - 1] + substitution
+      );
+      if (i > 1 && j > 1 && a === target[j - 2] && source[i - 2] === b && a !== b) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + SLIP_COST);
+      }
+    }
+  }
+  return d[rows - 1][cols - 1];
+};
+
+// Edits allowed in the name part of a domain (the "gmail" of gmail.com).
+// Names under five letters get none: nearly every short name is a slip away
+// from another real domain (aon.com, ms.com, qa.com), so only their suffix
+// is corrected (aol.cmo). Longer names tolerate one edit, long ones two.
+const nameBudget = (name) => (name.length >= 9 ? 2 : name.length >= 5 ? 1 : 0);
+const SUFFIX_BUDGET = 1;
+
+const splitDomain = (domain) => {
+  const dot = domain.indexOf('.');
+  return dot === -1 ? [domain, ''] : [domain.slice(0, dot), domain.slice(dot + 1)];
+};
+
+const domainCost = (value, candidate) => {
+  const [name, suffix] = splitDomain(value);
+  const [candidateName, candidateSuffix] = splitDomain(candidate);
+  const nameCost = typoDistance(name, candidateName);
+  const suffixCost = typoDistance(suffix, candidateSuffix);
+  return nameCost <= nameBudget(candidateName) && suffixCost <= SUFFIX_BUDGET ? nameCost + suffixCost : null;
+};
+
+const closest = (value, candidates, costOf, weightOf) => candidates
+  .map(candidate => ({ candidate, cost: costOf(value, candidate), weight: weightOf(candidate) }))
+  .filter(({ cost }) => cost !== null && cost > 0)
+  .sort((a, b) => a.cost - b.cost || b.weight - a.weight)[0] || null;
+
+const tldCost = (value, candidate) => {
+  const cost = typoDistance(value, candidate);
+  return cost <= SUFFIX_BUDGET ? cost : null;
+};
+
+// Suggests the domain the user probably meant: a popular mailbox domain
+// within a couple of keystrokes (gmial.com, hotmail.con, yahoo.co), or failing
+// that the same name under a common TLD when the TLD does not exist
+// (example.cmo). Returns null when nothing is close enough, and when the
+// caller found that the domain resolves or has MX records: a domain that
+// exists was most likely typed on purpose.
+export const suggestDomain = (domain, { exists = false, config = getTypoConfig() } = {}) => {
+  const name = String(domain || '').trim().toLowerCase().replace(/\.$/, '');
+  const domains = config.domains || {};
+  if (!name || exists || domains[name] !== undefined) {
+    return null;
+  }
+
+  const match = closest(name, Object.keys(domains), domainCost, candidate => domains[candidate]);
+  if (match) {
+    return { domain: match.candidate, reason: 'domain', cost: match.cost };
+  }
+
+  const dot = name.lastIndexOf('.');
+  if (dot <= 0 || psl.parse(name).listed !== false) {
+    return null;
+  }
+  const tlds = config.tlds || [];
+  const tld = closest(name.slice(dot + 1), tlds, tldCost, candidate => tlds.length - tlds.indexOf(candidate));
+  return tld ? { domain: `${name.slice(0, dot)}.${tld.candidate}`, reason: 'tld', cost: tld.cost } : null;
+};
+
+export const suggestEmail = (localPart, domain, options) => {
+  const suggestion = suggestDomain(domain, options);
+  return suggestion ? { ...suggestion, email: `${localPart}@${suggestion.domain}` } : null;
+};
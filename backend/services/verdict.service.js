@@ -0,0 +1,98 @@
+export const VERDICTS = Object.freeze({
+  DELIVERABLE: 'deliverable',
+  UNDELIVERABLE: 'undeliverable',
+  RISKY: 'risky',
+  CATCH_ALL: 'catchAll',
+  UNKNOWN: 'unknown'
+});
+
+export const REASON_VERDICTS = Object.freeze({
+  INPUT_INVALID: VERDICTS.UNDELIVERABLE,
+  SYNTAX_INVALID: VERDICTS.UNDELIVERABLE,
+  DOMAIN_EXTRACTION_FAILED: VERDICTS.UNDELIVERABLE,
+  LITERAL_UNVERIFIED: VERDICTS.UNKNOWN,
+  DISPOSABLE: VERDICTS.RISKY,
+  HOMOGLYPH_SUSPECTED: VERDICTS.RISKY,
+  DOMAIN_NOT_FOUND: VERDICTS.UNDELIVERABLE,
+  DNS_NO_RECORDS: VERDICTS.UNDELIVERABLE,
+  DNS_LOOKUP_FAILED: VERDICTS.UNKNOWN,
+  MX_MISSING: VERDICTS.UNDELIVERABLE,
+  MX_LOOKUP_FAILED: VERDICTS.UNKNOWN,
+  NULL_MX: VERDICTS.UNDELIVERABLE,
+  MX_UNRESOLVABLE: VERDICTS.UNDELIVERABLE,
+  DNSBL_LISTED: VERDICTS.RISKY,
+  DOMAIN_BLOCKLISTED: VERDICTS.RISKY,
+  DNSBL_LOOKUP_FAILED: VERDICTS.RISKY,
+  SPF_MISSING: VERDICTS.RISKY,
+  SPF_LOOKUP_FAILED: VERDICTS.RISKY,
+  SPF_INVALID: VERDICTS.RISKY,
+  SPF_MULTIPLE_RECORDS: VERDICTS.RISKY,
+  SPF_LOOKUP_LIMIT: VERDICTS.RISKY,
+  DKIM_MISSING: VERDICTS.RISKY,
+  DKIM_LOOKUP_FAILED: VERDICTS.RISKY,
+  DKIM_REVOKED: VERDICTS.RISKY,
+  DKIM_WEAK_KEY: VERDICTS.RISKY,
+  DKIM_INVALID: VERDICTS.RISKY,
+  DMARC_MISSING: VERDICTS.RISKY,
+  DMARC_LOOKUP_FAILED: VERDICTS.RISKY,
+  DMARC_INVALID: VERDICTS.RISKY,
+  DMARC_MULTIPLE_RECORDS: VERDICTS.RISKY,
+  SMTP_MAILBOX_NOT_FOUND: VERDICTS.UNDELIVERABLE,
+  SMTP_REJECTED: VERDICTS.UNKNOWN,
+  SMTP_GREYLISTED: VERDICTS.UNKNOWN,
+  SMTP_TEMPORARY_FAILURE: VERDICTS.UNKNOWN,
+  SMTP_CONNECTION_REFUSED: VERDICTS.UNKNOWN,
+  SMTP_TIMEOUT: VERDICTS.UNKNOWN,
+  SMTP_NO_HOSTS: VERDICTS.UNKNOWN,
+  SMTP_UTF8_UNSUPPORTED: VERDICTS.UNDELIVERABLE,
+  SMTP_FAILED: VERDICTS.UNKNOWN,
+  SMTP_ACCEPTS_ALL: VERDICTS.CATCH_ALL,
+  CATCH_ALL: VERDICTS.CATCH_ALL,
+  CHECK_TIMEOUT: VERDICTS.UNKNOWN,
+  CHECK_ERROR: VERDICTS.UNKNOWN
+});
+
+const VERDICT_PRECEDENCE = [
+  VERDICTS.UNDELIVERABLE,
+  VERDICTS.UNKNOWN,
+  VERDICTS.CATCH_ALL,
+  VERDICTS.RISKY,
+  VERDICTS.DELIVERABLE
+];
+
+const SOFT_VERDICTS = [VERDICTS.RISKY, VERDICTS.CATCH_ALL];
+
+export const verdictForReason = (code) => REASON_VERDICTS[code] || VERDICTS.UNKNOWN;
+
+export const isSoftReason = (code) => SOFT_VERDICTS.includes(verdictForReason(code));
+
+export const reasonFromError = (err, step) => {
+  const code = err.reason || 'CHECK_ERROR';
+  return {
+    code,
+    step: err.step || step,
+    verdict: verdictForReason(code),
+    message: err.message
+  };
+};
+
+// Blocking checks reject on any definite failure; advisory checks can at most
+// make an address risky. Checks without a policy keep their reason's verdict.
+// Catch-all answers stay catchAll either way: they leave the mailbox
+// unconfirmed rather than show that it does not exist.
+export const applyCheckPolicy = (reason, blocking) => {
+  if (blocking === true && reason.verdict === VERDICTS.RISKY) {
+    return { ...reason, verdict: VERDICTS.UNDELIVERABLE, blocking: true };
+  }
+  if (blocking === false && !SOFT_VERDICTS.includes(reason.verdict)) {
+    return { ...reason, verdict: VERDICTS.RISKY, advisory: true };
+  }
+  return reason;
+};
+
+export const resolveVerdict = (reasons) => {
+  const verdicts = new Set(reasons.map(reason => reason.verdict || verdictForReason(reason.code)));
+  return VERDICT_PRECEDENCE.find(verdict => verdicts.has(verdict)) || VERDICTS.DELIVERABLE;
+};
+
+export const isAcceptedVerdict = (verdict) => verdict === VERDICTS.DELIVERABLE || SOFT_VERDICTS.includes(verdict);
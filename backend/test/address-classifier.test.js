@@ -0,0 +1,61 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  classifyAddress,
+  isFreeProvider,
+  isNoReplyAddress,
+  isRoleAccount,
+  loadAddressClasses
+} from '../services/address-classifier.service.js';
+import { checkEmailValidation } from '../controllers/email.controller.js';
+
+after(() => {
+  delete process.env.ROLE_ACCOUNTS;
+  loadAddressClasses();
+});
+
+test('shared mailboxes are role accounts, with or without a tag or number', () => {
+  for (const localPart of ['info', 'Sales', 'support+eu', 'info2', 'sales-01', 'postmaster']) {
+    assert.equal(isRoleAccount(localPart), true, localPart);
+  }
+  for (const localPart of ['jane', 'information.desk', 'infor', 'j.sales']) {
+    assert.equal(isRoleAccount(localPart), false, localPart);
+  }
+});
+
+test('no-reply and system senders are recognised', () => {
+  for (const localPart of ['noreply', 'no-reply', 'No_Reply.billing', 'donotreply', 'do.not.reply', 'mailer-daemon', 'bounce', 'bounces+123', 'notifications']) {
+    assert.equal(isNoReplyAddress(localPart), true, localPart);
+  }
+  for (const localPart of ['jane', 'bouncer', 'alerting', 'replyto']) {
+    assert.equal(isNoReplyAddress(localPart), false, localPart);
+  }
+});
+
+test('free webmail domains are matched exactly', () => {
+  assert.equal(isFreeProvider('gmail.com'), true);
+  assert.equal(isFreeProvider('GMAIL.com.'), true);
+  assert.equal(isFreeProvider('proton.me'), true);
+  assert.equal(isFreeProvider('mail.gmail.com'), false);
+  assert.equal(isFreeProvider('example.com'), false);
+});
+
+test('an address gets every flag that applies', () => {
+  assert.deepEqual(classifyAddress('info', 'gmail.com'), { role: true, freeProvider: true, noReply: false });
+  assert.deepEqual(classifyAddress('noreply', 'example.com'), { role: false, freeProvider: false, noReply: true });
+  assert.deepEqual(classifyAddress('jane.doe', 'example.com'), { role: false, freeProvider: false, noReply: false });
+});
+
+test('extra role accounts can be added through the environment', () => {
+  assert.equal(isRoleAccount('dispatch'), false);
+  process.env.ROLE_ACCOUNTS = 'dispatch, Frontdesk';
+  loadAddressClasses();
+  assert.equal(isRoleAccount('dispatch'), true);
+  assert.equal(isRoleAccount('frontdesk'), true);
+  assert.equal(isRoleAccount('info'), true);
+});
+
+test('results carry the classification', async () => {
+  const result = await checkEmailValidation('support@gmail.com', { profile: 'syntax-only' });
+  assert.deepEqual(result.classification, { role: true, freeProvider: true, noReply: false });
+});
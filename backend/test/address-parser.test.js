@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAddress, SYNTAX_MODES } from '../services/address-parser.service.js';
+
+const codes = (result) => result.diagnostics.map(item => `${item.code}:${item.severity}`);
+
+test('a plain address parses without diagnostics', () => {
+  const result = parseAddress('john.smith@example.com');
+  assert.equal(result.valid, true);
+  assert.equal(result.localPart, 'john.smith');
+  assert.equal(result.domain, 'example.com');
+  assert.deepEqual(result.diagnostics, []);
+});
+
+test('malformed addresses report what is wrong and where', () => {
+  const cases = [
+    ['', ['EMPTY:error']],
+    ['john.example.com', ['NO_AT_SIGN:error']],
+    ['a@b@example.com', ['MULTIPLE_AT_SIGNS:error']],
+    ['"john@example.com', ['UNTERMINATED_QUOTE:error']],
+    ['john@', ['DOMAIN_EMPTY:error']],
+    ['.john@example.com', ['LOCAL_LEADING_DOT:error']],
+    ['john..smith@example.com', ['CONSECUTIVE_DOTS:error']],
+    ['john@example.com.', ['DOMAIN_TRAILING_DOT:error']],
+    ['john@-example.com', ['LABEL_HYPHEN:error']],
+    ['john@example.123', ['INVALID_TLD:error']],
+    [`${'x'.repeat(65)}@example.com`, ['LOCAL_TOO_LONG:error']],
+    ['jo hn@example.com', ['UNEXPECTED_WHITESPACE:error', 'MISSING_DOT:error']]
+  ];
+  for (const [input, expected] of cases) {
+    const result = parseAddress(input, { mode: SYNTAX_MODES.LENIENT });
+    assert.equal(result.valid, false, input);
+    assert.deepEqual(codes(result), expected, input);
+  }
+});
+
+test('diagnostics carry a readable message', () => {
+  const [diagnostic] = parseAddress('john,doe@example.com').diagnostics;
+  assert.deepEqual(diagnostic, { code: 'INVALID_CHARACTER', severity: 'error', message: 'invalid character "," at position 4' });
+  assert.equal(parseAddress(`${'x'.repeat(65)}@example.com`).diagnostics[0].message, 'local part exceeds 64 chars (65)');
+});
+
+test('unusual but valid syntax is an error in strict mode and a warning in lenient mode', () => {
+  const cases = [
+    ['"john smith"@example.com', 'QUOTED_LOCAL_PART'],
+    ['john(work)@example.com', 'COMMENT'],
+    ['john@example', 'SINGLE_LABEL_DOMAIN'],
+    ['john@[192.0.2.1]', 'IP_LITERAL']
+  ];
+  for (const [input, code] of cases) {
+    const strict = parseAddress(input, { mode: SYNTAX_MODES.STRICT });
+    const lenient = parseAddress(input, { mode: SYNTAX_MODES.LENIENT });
+    assert.equal(strict.valid, false, input);
+    assert.deepEqual(codes(strict), [`${code}:error`], input);
+    assert.equal(lenient.valid, true, input);
+    assert.deepEqual(codes(lenient), [`${code}:warning`], input);
+  }
+});
+
+test('comments are collected and removed from the address', () => {
+  const result = parseAddress('john(work)@example.com', { mode: SYNTAX_MODES.LENIENT });
+  assert.equal(result.address, 'john@example.com');
+  assert.deepEqual(result.comments, ['work']);
+});
+
+test('domain literals must hold an IP address of the right family', () => {
+  const ipv6 = parseAddress('john@[IPv6:2001:db8::1]', { mode: SYNTAX_MODES.LENIENT });
+  assert.equal(ipv6.valid, true);
+  assert.equal(ipv6.domainLiteral, true);
+  const invalid = parseAddress('john@[999.0.2.1]', { mode: SYNTAX_MODES.LENIENT });
+  assert.equal(invalid.valid, false);
+  assert.deepEqual(codes(invalid), ['IP_LITERAL:warning', 'INVALID_IP_LITERAL:error']);
+});
+
+test('a TLD missing from the public suffix list is only a warning', () => {
+  const result = parseAddress('john@example.notatld');
+  assert.equal(result.valid, true);
+  assert.deepEqual(codes(result), ['UNKNOWN_TLD:warning']);
+});
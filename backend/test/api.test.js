@@ -0,0 +1,167 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { startFakeSmtpServer } from '../fixtures/fake-smtp-server.js';
+import { useOfflineZones } from './helpers.js';
+
+// The prober and the job store read their settings when they load, so the
+// app is imported once the fake server and the jobs directory exist.
+const smtp = await startFakeSmtpServer({
+  mailboxes: {
+    'alice@smtp.test': 'accept',
+    'grey@smtp.test': 'greylist'
+  }
+});
+const jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catchall-jobs-'));
+process.env.NODE_ENV = 'test';
+process.env.SMTP_PROBE_PORT = String(smtp.port);
+process.env.JOBS_DIR = jobsDir;
+useOfflineZones();
+const { default: app } = await import('../app.js');
+
+const server = await new Promise(resolve => {
+  const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+});
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await smtp.close();
+  fs.rmSync(jobsDir, { recursive: true, force: true });
+});
+
+const request = async (method, route, body, headers = {}) => {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const type = response.headers.get('content-type') || '';
+  return { status: response.status, headers: response.headers, body: type.includes('json') ? await response.json() : await response.text() };
+};
+
+const verify = (email, options = {}) => request('POST', '/v1/verify-email', { email, ...options });
+
+const hasTensorFlow = (() => {
+  try {
+    createRequire(import.meta.url).resolve('@tensorflow/tfjs-node');
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+test('GET /health answers ok', async () => {
+  const { status, body } = await request('GET', '/health');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'ok');
+});
+
+test('an accepted mailbox is deliverable', async () => {
+  const { status, body } = await verify('alice@smtp.test');
+  assert.equal(status, 200);
+  assert.equal(body.verdict, 'deliverable');
+  assert.equal(body.status, true);
+  assert.equal(body.catchAll, false);
+  assert.equal(body.profile, 'full-smtp');
+});
+
+test('a 550 for the mailbox is undeliverable', async () => {
+  const { body } = await verify('nobody@smtp.test');
+  assert.equal(body.verdict, 'undeliverable');
+  assert.deepEqual(body.reasons.map(reason => reason.code), ['SMTP_MAILBOX_NOT_FOUND']);
+});
+
+test('a greylisted mailbox is unknown', async () => {
+  const { body } = await verify('grey@smtp.test');
+  assert.equal(body.verdict, 'unknown');
+  assert.deepEqual(body.reasons.map(reason => reason.code), ['SMTP_GREYLISTED']);
+});
+
+test('the dns profile reports missing authentication and typo suggestions', async () => {
+  const nodmarc = await verify('someone@nodmarc.test', { profile: 'dns' });
+  assert.equal(nodmarc.body.verdict, 'risky');
+  assert.equal(nodmarc.body.verification, 'dmarcValidation');
+
+  const typo = await verify('someone@gmial.com', { profile: 'dns' });
+  assert.equal(typo.body.verdict, 'undeliverable');
+  assert.equal(typo.body.suggestion.email, 'someone@gmail.com');
+});
+
+test('bad requests are answered with 400', async () => {
+  const missing = await request('POST', '/v1/verify-email', {});
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.body.details, ['email is required']);
+
+  const unknownProfile = await verify('alice@smtp.test', { profile: 'nope' });
+  assert.equal(unknownProfile.status, 400);
+
+  const malformed = await request('POST', '/v1/verify-email', '{"email":', { 'content-type': 'application/json' });
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.error, 'Request body is not valid JSON');
+});
+
+test('unknown routes are answered with 404', async () => {
+  const { status, body } = await request('GET', '/v1/nothing-here');
+  assert.equal(status, 404);
+  assert.equal(body.error, 'Cannot GET /v1/nothing-here');
+});
+
+test('the ML endpoints answer 503 without TensorFlow', { skip: hasTensorFlow && 'TensorFlow is installed' }, async () => {
+  const { status, body } = await request('POST', '/v1/validate', { email: 'alice@smtp.test' });
+  assert.equal(status, 503);
+  assert.equal(body.error, 'ML validation is not available on this server');
+});
+
+test('history answers 503 without a database', async () => {
+  const { status } = await request('GET', '/v1/history/addresses/alice@smtp.test');
+  assert.equal(status, 503);
+});
+
+const waitForJob = async (id) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const { body } = await request('GET', `/v1/jobs/${id}`);
+    if (body.status === 'completed' || body.status === 'failed') return body;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Job ${id} did not finish.`);
+};
+
+test('a bulk job validates every address and serves the results', async () => {
+  const created = await request('POST', '/v1/jobs', { emails: ['alice@smtp.test', 'nobody@smtp.test'], profile: 'full-smtp' });
+  assert.equal(created.status, 202);
+  assert.equal(created.headers.get('location'), `/v1/jobs/${created.body.id}`);
+  assert.equal(created.body.total, 2);
+
+  const job = await waitForJob(created.body.id);
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.counts, { processed: 2, valid: 1, invalid: 1, unknown: 0, failed: 0, retrying: 0 });
+
+  const json = await request('GET', `/v1/jobs/${job.id}/results`);
+  assert.deepEqual(json.body.results.map(({ email, result }) => [email, result.verdict]), [
+    ['alice@smtp.test', 'deliverable'],
+    ['nobody@smtp.test', 'undeliverable']
+  ]);
+
+  const csv = await request('GET', `/v1/jobs/${job.id}/results?format=csv`);
+  assert.equal(csv.headers.get('x-job-status'), 'completed');
+  assert.equal(csv.body.trim().split('\n').length, 3);
+});
+
+test('a CSV upload becomes a job', async () => {
+  const created = await request('POST', '/v1/jobs?profile=dns', 'email\nsomeone@deliverable.test\n', { 'content-type': 'text/csv' });
+  assert.equal(created.status, 202);
+  const job = await waitForJob(created.body.id);
+  assert.equal(job.counts.valid, 1);
+});
+
+test('an empty job or an unknown profile is rejected', async () => {
+  assert.equal((await request('POST', '/v1/jobs', { emails: [] })).status, 400);
+
+  const unknownProfile = await request('POST', '/v1/jobs', { emails: ['alice@smtp.test'], profile: 'nope' });
+  assert.equal(unknownProfile.status, 400);
+  assert.equal(unknownProfile.body.error, 'Unknown validation profile "nope".');
+});
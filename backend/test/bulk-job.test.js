@@ -0,0 +1,147 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BulkJobManager, JOB_STATUS } from '../services/bulk-job.service.js';
+import { FileJobStore } from '../services/job-store.service.js';
+import { RetryQueue } from '../services/retry-queue.service.js';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'catchall-bulk-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+// Records a copy of every job update so tests can see what each write carried.
+class RecordingStore extends FileJobStore {
+  constructor(options) {
+    super(options);
+    this.updates = [];
+  }
+
+  async update(id, changes) {
+    this.updates.push(structuredClone(changes));
+    return super.update(id, changes);
+  }
+}
+
+// Retries come due almost at once so the queue drains within the test.
+const retryQueueFor = (id) => new RetryQueue({ filePath: path.join(directory, `${id}.retries.json`), initialDelayMs: 5, maxDelayMs: 5 });
+
+const fakeValidate = async (email) => ({
+  email,
+  status: email.startsWith('good'),
+  verdict: email.startsWith('good') ? 'deliverable' : 'undeliverable'
+});
+
+test('the addresses are stored once, apart from the job document', async () => {
+  const store = new RecordingStore({ directory });
+  const manager = new BulkJobManager({ store, validate: fakeValidate, concurrency: 2, createRetryQueue: retryQueueFor });
+  const emails = ['good1@example.test', 'bad@example.test', 'good2@example.test'];
+
+  const job = await manager.createJob(emails);
+  assert.equal(job.emails, undefined);
+  await manager.start(job.id);
+
+  assert.deepEqual(await store.readEmails(job.id), emails);
+  assert.ok(store.updates.length > emails.length);
+  assert.ok(store.updates.every(changes => !('emails' in changes)));
+
+  const stored = JSON.parse(fs.readFileSync(store.jobPath(job.id), 'utf8'));
+  assert.equal(stored.emails, undefined);
+  assert.equal(stored.status, JOB_STATUS.COMPLETED);
+  assert.deepEqual(stored.counts, { processed: 3, valid: 2, invalid: 1, unknown: 0, failed: 0, retrying: 0 });
+  assert.deepEqual((await store.list()).map(item => item.id), [job.id]);
+});
+
+test('a job that was interrupted resumes with the addresses it had not finished', async () => {
+  const store = new FileJobStore({ directory });
+  const seen = [];
+  const manager = new BulkJobManager({ store, validate: async (email) => { seen.push(email); return fakeValidate(email); }, createRetryQueue: retryQueueFor });
+  const job = await store.create({ id: 'interrupted', status: JOB_STATUS.RUNNING, options: {}, concurrency: 1, total: 2, counts: {}, createdAt: new Date().toISOString() },
+    ['good@example.test', 'bad@example.test']);
+  await store.appendResult(job.id, { index: 0, email: 'good@example.test', result: await fakeValidate('good@example.test'), error: null });
+
+  await manager.resume();
+  await manager.running.get(job.id);
+  assert.deepEqual(seen, ['bad@example.test']);
+  assert.equal((await store.get(job.id)).counts.processed, 2);
+});
+
+test('an unknown profile is rejected when the job is created', async () => {
+  const manager = new BulkJobManager({ store: new FileJobStore({ directory }), validate: fakeValidate });
+  await assert.rejects(manager.createJob(['good@example.test'], { profile: 'nope' }), { code: 'UNKNOWN_PROFILE' });
+});
+
+const greylisted = (email) => ({ email, status: false, verdict: 'unknown', reasons: [{ code: 'SMTP_GREYLISTED' }] });
+
+test('greylisted addresses are retried and the job completes once they settle', async () => {
+  const store = new RecordingStore({ directory });
+  const attempts = new Map();
+  const validate = async (email) => {
+    const attempt = (attempts.get(email) || 0) + 1;
+    attempts.set(email, attempt);
+    return email.includes('grey') && attempt < 3 ? greylisted(email) : fakeValidate(email);
+  };
+  const manager = new BulkJobManager({ store, validate, createRetryQueue: retryQueueFor });
+
+  const job = await manager.createJob(['good-grey@example.test', 'bad@example.test']);
+  await manager.start(job.id);
+
+  const results = await manager.getResults(job.id);
+  assert.deepEqual(results.map(({ index, result }) => [index, result.verdict]), [[0, 'deliverable'], [1, 'undeliverable']]);
+  assert.equal(results[0].result.retryAttempts, 2);
+  assert.equal(attempts.get('good-grey@example.test'), 3);
+
+  // No provisional greylisted result was stored, and the job only completed
+  // after the retry came back.
+  assert.ok(results.every(({ result }) => result.verdict !== 'unknown'));
+  const waiting = store.updates.find(changes => changes.counts && changes.counts.retrying === 1);
+  assert.ok(waiting);
+  assert.ok(store.updates.indexOf(waiting) < store.updates.findIndex(changes => changes.status === JOB_STATUS.COMPLETED));
+  assert.deepEqual((await store.get(job.id)).counts, { processed: 2, valid: 1, invalid: 1, unknown: 0, failed: 0, retrying: 0 });
+});
+
+test('the same address twice in one job keeps two retries', async () => {
+  const store = new FileJobStore({ directory });
+  let calls = 0;
+  const validate = async (email) => (++calls <= 2 ? greylisted(email) : fakeValidate(email));
+  const manager = new BulkJobManager({ store, validate, concurrency: 1, createRetryQueue: retryQueueFor });
+
+  const job = await manager.createJob(['grey@example.test', 'grey@example.test']);
+  await manager.start(job.id);
+
+  const results = await manager.getResults(job.id);
+  assert.deepEqual(results.map(({ index, result }) => [index, result.retryAttempts]), [[0, 1], [1, 1]]);
+});
+
+test('a resumed job does not start queued retries over', async () => {
+  const store = new FileJobStore({ directory });
+  const seen = [];
+  const manager = new BulkJobManager({
+    store,
+    validate: async (email) => { seen.push(email); return fakeValidate(email); },
+    createRetryQueue: retryQueueFor
+  });
+  const job = await store.create({ id: 'retrying', status: JOB_STATUS.RUNNING, options: {}, concurrency: 1, total: 2, counts: {}, createdAt: new Date().toISOString() },
+    ['good-grey@example.test', 'bad@example.test']);
+  retryQueueFor(job.id).schedule(0, 'good-grey@example.test', greylisted('good-grey@example.test'), {});
+
+  await manager.resume();
+  await manager.running.get(job.id);
+  assert.deepEqual(seen, ['bad@example.test', 'good-grey@example.test']);
+  const stored = await store.get(job.id);
+  assert.equal(stored.status, JOB_STATUS.COMPLETED);
+  assert.equal(stored.counts.valid, 1);
+  assert.equal(stored.counts.retrying, 0);
+});
+
+test('a job failure that cannot be recorded is logged instead of left unhandled', async (t) => {
+  const store = new FileJobStore({ directory });
+  store.update = async () => { throw new Error('disk full'); };
+  const logged = t.mock.method(console, 'error', () => {});
+  const manager = new BulkJobManager({ store, validate: fakeValidate, createRetryQueue: retryQueueFor });
+
+  const job = await manager.createJob(['good@example.test']);
+  await manager.start(job.id);
+  assert.equal(logged.mock.callCount(), 1);
+  assert.match(logged.mock.calls[0].arguments[0], new RegExp(`Job ${job.id} failed \\(disk full\\)`));
+});
@@ -0,0 +1,185 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import ExcelJS from 'exceljs';
+import { startFakeSmtpServer } from '../fixtures/fake-smtp-server.js';
+import { ZONE_FILE } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../bin/catchall.js', import.meta.url));
+const ADDRESSES = fileURLToPath(new URL('../fixtures/addresses.csv', import.meta.url));
+
+// The server reads `mailboxes` on every RCPT, so tests can change a reply
+// between runs. grey-once@ is greylisted on its first RCPT only.
+let greyOnceProbes = 0;
+const mailboxes = {
+  'alice@smtp.test': 'accept',
+  'grey@smtp.test': 'greylist',
+  get 'grey-once@smtp.test'() {
+    return greyOnceProbes++ ? 'accept' : 'greylist';
+  }
+};
+let server;
+let directory;
+
+before(async () => {
+  server = await startFakeSmtpServer({ mailboxes });
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'catchall-cli-'));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const run = (...args) => new Promise(resolve => {
+  const env = {
+    ...process.env,
+    NODE_ENV: 'test',
+    DNS_ZONE_FILE: ZONE_FILE,
+    SMTP_PROBE_PORT: String(server.port),
+    RETRY_INITIAL_DELAY_MS: '1',
+    RETRY_MAX_ATTEMPTS: '2'
+  };
+  execFile(process.execPath, [CLI, ...args], { env, timeout: 60000 }, (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, stdout, stderr });
+  });
+});
+
+const copyAddresses = (name) => {
+  const file = path.join(directory, name);
+  fs.copyFileSync(ADDRESSES, file);
+  return file;
+};
+
+const writeInput = (name, text) => {
+  const file = path.join(directory, name);
+  fs.writeFileSync(file, text);
+  return file;
+};
+
+const readOutput = (file) => fs.readFileSync(file, 'utf8').trim().split('\r\n').map(line => line.split(','));
+
+test('validate writes every row in input order with its verdict', async () => {
+  const input = copyAddresses('order.csv');
+  const { code, stderr } = await run('validate', input, '--no-retry');
+  assert.equal(code, 0, stderr);
+
+  const [header, ...rows] = readOutput(path.join(directory, 'order.results.csv'));
+  assert.deepEqual(header, ['name', 'email', 'MethodUsed', 'Status', 'Verdict', 'Reasons', 'Suggestion']);
+  assert.deepEqual(rows.map(row => [row[0], row[4], row[5]]), [
+    ['Alice', 'deliverable', ''],
+    ['Nobody', 'undeliverable', 'SMTP_MAILBOX_NOT_FOUND'],
+    ['Grey', 'unknown', 'SMTP_GREYLISTED'],
+    ['Typo', 'undeliverable', 'DOMAIN_NOT_FOUND']
+  ]);
+  assert.equal(rows[3][6], 'someone@gmail.com');
+  assert.ok(!fs.existsSync(path.join(directory, 'order.results.csv.retry.json')));
+});
+
+test('greylisted rows are held back until their retries settle', async () => {
+  const input = writeInput('retry.csv', 'name,email\nGrey once,grey-once@smtp.test\nAlice,alice@smtp.test\nGrey,grey@smtp.test\n');
+  const output = path.join(directory, 'retry.results.csv');
+  greyOnceProbes = 0;
+
+  const { code, stderr } = await run('validate', input);
+  assert.equal(code, 0, stderr);
+  assert.match(stderr, /Retrying 2 temporarily rejected addresses/);
+  assert.deepEqual(readOutput(output).slice(1).map(row => [row[0], row[4], row[5]]), [
+    ['Grey once', 'deliverable', ''],
+    ['Alice', 'deliverable', ''],
+    ['Grey', 'unknown', 'SMTP_GREYLISTED']
+  ]);
+  assert.ok(!fs.existsSync(`${output}.retry.json`));
+});
+
+test('the same address on two rows is retried for each row', async () => {
+  const input = writeInput('twice.csv', 'email\ngrey@smtp.test\ngrey@smtp.test\n');
+  const { code, stderr } = await run('validate', input);
+  assert.equal(code, 0, stderr);
+  assert.match(stderr, /Retrying 2 temporarily rejected addresses/);
+  assert.deepEqual(readOutput(path.join(directory, 'twice.results.csv')).slice(1).map(row => row[3]), ['unknown', 'unknown']);
+});
+
+test('--resume settles the rows an interrupted run left queued', async () => {
+  const input = copyAddresses('resume.csv');
+  const output = path.join(directory, 'resume.results.csv');
+  const queueFile = `${output}.retry.json`;
+  const done = await run('validate', input, '--no-retry');
+  assert.equal(done.code, 0, done.stderr);
+
+  // Keep Alice and Nobody, as if the run stopped while Grey was queued.
+  const [header, alice, nobody] = fs.readFileSync(output, 'utf8').split('\r\n');
+  fs.writeFileSync(output, `${[header, alice, nobody].join('\r\n')}\r\n`);
+  fs.writeFileSync(queueFile, JSON.stringify([{
+    id: 2,
+    email: 'grey@smtp.test',
+    attempts: 1,
+    firstQueuedAt: new Date().toISOString(),
+    nextAttemptAt: Date.now(),
+    lastReasons: ['SMTP_GREYLISTED'],
+    context: {}
+  }]));
+
+  mailboxes['grey@smtp.test'] = 'accept';
+  try {
+    const resumed = await run('validate', input, '--resume');
+    assert.equal(resumed.code, 0, resumed.stderr);
+    assert.match(resumed.stderr, /Resuming: 2 of 4 rows/);
+    assert.match(resumed.stderr, /Retrying 1 temporarily rejected addresses/);
+  } finally {
+    mailboxes['grey@smtp.test'] = 'greylist';
+  }
+  assert.deepEqual(readOutput(output).slice(1).map(row => [row[0], row[4]]), [
+    ['Alice', 'deliverable'],
+    ['Nobody', 'undeliverable'],
+    ['Grey', 'deliverable'],
+    ['Typo', 'undeliverable']
+  ]);
+  assert.ok(!fs.existsSync(queueFile));
+});
+
+test('result columns that clash with input columns are renamed', async () => {
+  const input = writeInput('clash.csv', 'email,status,Status_2\nalice@smtp.test,customer,kept\n');
+  const { code, stderr } = await run('validate', input);
+  assert.equal(code, 0, stderr);
+  assert.match(stderr, /already has a "Status" column; the result column is written as "Status_3"/);
+
+  const [header, row] = readOutput(path.join(directory, 'clash.results.csv'));
+  assert.deepEqual(header, ['email', 'status', 'Status_2', 'MethodUsed', 'Status_3', 'Verdict', 'Reasons', 'Suggestion']);
+  assert.deepEqual(row.slice(0, 6), ['alice@smtp.test', 'customer', 'kept', 'all', 'true', 'deliverable']);
+});
+
+test('xlsx output holds one row per address', async () => {
+  const input = copyAddresses('sheet.csv');
+  const { code, stderr } = await run('validate', input, '--format', 'xlsx', '--no-retry');
+  assert.equal(code, 0, stderr);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(path.join(directory, 'sheet.results.xlsx'));
+  const sheet = workbook.getWorksheet('Results');
+  assert.equal(sheet.rowCount, 5);
+  assert.deepEqual(sheet.getRow(2).values.slice(1, 6), ['Alice', 'alice@smtp.test', 'all', true, 'deliverable']);
+  assert.ok(!fs.existsSync(path.join(directory, 'sheet.results.xlsx.partial.jsonl')));
+});
+
+test('an unknown --profile is rejected before anything is processed', async () => {
+  const input = copyAddresses('profile.csv');
+  const { code, stderr } = await run('validate', input, '--profile', 'nope');
+  assert.equal(code, 1);
+  assert.match(stderr, /Unknown profile "nope"\. Use one of: syntax-only, dns, full-smtp, marketing-strict\./);
+  assert.ok(!fs.existsSync(path.join(directory, 'profile.results.csv')));
+});
+
+test('check prints the verdict and exits non-zero for rejected addresses', async () => {
+  const accepted = await run('check', 'alice@smtp.test');
+  assert.equal(accepted.code, 0);
+  assert.equal(accepted.stdout.trim(), 'alice@smtp.test: deliverable');
+
+  const typo = await run('check', 'someone@gmial.com', '--profile', 'dns');
+  assert.equal(typo.code, 2);
+  assert.match(typo.stdout, /Did you mean someone@gmail\.com\?/);
+});
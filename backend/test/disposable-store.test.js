@@ -0,0 +1,81 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getDisposableStoreStats,
+  importDisposableDomains,
+  isDisposableDomain,
+  loadDisposableStore,
+  lookupDisposableDomain,
+  parseDomainList
+} from '../services/disposable-store.service.js';
+import { checkDisposableDomain } from '../controllers/validator.controller.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'disposable-'));
+const file = (name) => path.join(dir, name);
+const ENV = ['DISPOSABLE_DATA_FILE', 'DISPOSABLE_ALLOW_FILE', 'DISPOSABLE_DENY_FILE'];
+const saved = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+
+before(() => {
+  fs.writeFileSync(file('allow.txt'), '# trusted\nmailinator.com\n*.partner.test\n');
+  fs.writeFileSync(file('deny.txt'), 'burner.test # seen in signups\n*.throwaway.test\nnotreally.partner.test\n');
+  fs.writeFileSync(file('imported.txt'), '# imported\n');
+  process.env.DISPOSABLE_DATA_FILE = file('imported.txt');
+  process.env.DISPOSABLE_ALLOW_FILE = file('allow.txt');
+  process.env.DISPOSABLE_DENY_FILE = file('deny.txt');
+  loadDisposableStore();
+});
+
+after(() => {
+  for (const name of ENV) {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  }
+  loadDisposableStore();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('domain lists accept comments, blank lines and JSON arrays', () => {
+  assert.deepEqual(parseDomainList('# header\nA.test.\n\nb.test # note\nnot a domain\n'), ['a.test', 'b.test']);
+  assert.deepEqual(parseDomainList('["X.test", "*.y.test"]'), ['x.test', '*.y.test']);
+});
+
+test('plain entries match exactly, wildcards match the domain and its subdomains', () => {
+  assert.deepEqual(lookupDisposableDomain('Burner.Test.'), { domain: 'burner.test', disposable: true, source: 'deny', matched: 'burner.test' });
+  assert.equal(isDisposableDomain('mail.burner.test'), false);
+  assert.equal(lookupDisposableDomain('throwaway.test').matched, '*.throwaway.test');
+  assert.equal(lookupDisposableDomain('a.b.throwaway.test').matched, '*.throwaway.test');
+  assert.equal(isDisposableDomain('nothrowaway.test'), false);
+});
+
+test('the bundled list covers known disposable providers and their wildcard entries', () => {
+  assert.equal(lookupDisposableDomain('guerrillamail.com').source, 'bundled');
+  assert.equal(lookupDisposableDomain('any.0x01.gq').matched, '*.0x01.gq');
+  assert.equal(isDisposableDomain('deliverable.test'), false);
+});
+
+test('the allow list wins over the deny list and the bundled list', () => {
+  assert.deepEqual(lookupDisposableDomain('mailinator.com'), { domain: 'mailinator.com', disposable: false, source: 'allow', matched: 'mailinator.com' });
+  assert.equal(lookupDisposableDomain('notreally.partner.test').source, 'allow');
+  assert.doesNotThrow(() => checkDisposableDomain('mailinator.com'));
+  assert.throws(() => checkDisposableDomain('burner.test'), { reason: 'DISPOSABLE', step: 'disposableDomainValidation' });
+});
+
+test('imported domains are merged, deduplicated and picked up at once', () => {
+  fs.writeFileSync(file('source.json'), JSON.stringify(['fresh.test', '*.rotating.test', 'fresh.test']));
+  const first = importDisposableDomains(file('source.json'));
+  assert.deepEqual(first, { file: file('imported.txt'), added: 2, total: 2 });
+  assert.equal(lookupDisposableDomain('fresh.test').source, 'imported');
+  assert.equal(lookupDisposableDomain('x.rotating.test').source, 'imported');
+
+  fs.writeFileSync(file('more.txt'), 'fresh.test\nlater.test\n');
+  assert.equal(importDisposableDomains(file('more.txt')).added, 1);
+  assert.equal(fs.readFileSync(file('imported.txt'), 'utf8'), '# imported\n*.rotating.test\nfresh.test\nlater.test\n');
+
+  const replaced = importDisposableDomains(file('more.txt'), { replace: true });
+  assert.equal(replaced.total, 2);
+  assert.equal(isDisposableDomain('x.rotating.test'), false);
+  assert.equal(getDisposableStoreStats().imported, 2);
+});
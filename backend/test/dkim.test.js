@@ -0,0 +1,109 @@
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { DKIM_KEY_STATUS, discoverDkim, parseDkimKey, selectorsFor } from '../services/dkim.service.js';
+import { createZoneResolver } from '../services/dns-resolver.service.js';
+import { validateDkimRecord } from '../controllers/validator.controller.js';
+import { useOfflineZones } from './helpers.js';
+
+before(() => useOfflineZones());
+
+const publicKey = (modulusLength) => crypto.generateKeyPairSync('rsa', { modulusLength })
+  .publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+
+const strongKey = publicKey(2048);
+const weakKey = publicKey(512);
+
+// fastmail.test is hosted by Fastmail and signs with "fm1", a selector only
+// the Fastmail entry lists.
+const zones = {
+  'esp.test': { MX: [{ priority: 10, exchange: 'mail.esp.test' }] },
+  'mandrill._domainkey.esp.test': { TXT: [`v=DKIM1; k=rsa; p=${strongKey}`] },
+  'smtpapi._domainkey.esp.test': { TXT: ['v=DKIM1; p='] },
+  'hosted.test': { MX: [{ priority: 1, exchange: 'ASPMX.L.GOOGLE.COM.' }] },
+  'google._domainkey.hosted.test': { TXT: [`v=DKIM1; k=rsa; p=${weakKey}`] },
+  'fastmail.test': { MX: [{ priority: 10, exchange: 'in1-smtp.messagingengine.com' }] },
+  'fm1._domainkey.fastmail.test': { TXT: [`v=DKIM1; k=rsa; p=${strongKey}`] }
+};
+
+const countingResolver = () => {
+  const resolver = createZoneResolver(zones);
+  const counting = { ...resolver, mxLookups: 0 };
+  counting.resolveMx = (hostname) => {
+    counting.mxLookups++;
+    return resolver.resolveMx(hostname);
+  };
+  return counting;
+};
+
+test('parseDkimKey reports the key size and status', () => {
+  const strong = parseDkimKey(`v=DKIM1; k=rsa; t=y; p=${strongKey}`);
+  assert.equal(strong.status, DKIM_KEY_STATUS.VALID);
+  assert.equal(strong.bits, 2048);
+  assert.equal(strong.testing, true);
+
+  assert.equal(parseDkimKey(`v=DKIM1; p=${weakKey}`).status, DKIM_KEY_STATUS.WEAK);
+  assert.equal(parseDkimKey('v=DKIM1; p=').status, DKIM_KEY_STATUS.REVOKED);
+  assert.equal(parseDkimKey('v=DKIM1; p=not*base64').status, DKIM_KEY_STATUS.INVALID);
+  assert.deepEqual(parseDkimKey('v=DKIM1; k=dsa; p=AAAA').errors, ['Unsupported key type "dsa".']);
+});
+
+test('selectors are keyed by the provider ids fingerprintMx returns', () => {
+  assert.deepEqual(selectorsFor('fastmail').slice(0, 4), ['fm1', 'fm2', 'fm3', 'mesmtp']);
+  assert.deepEqual(selectorsFor('self-hosted'), selectorsFor(null));
+  assert.ok(!selectorsFor(null).includes('fm1'));
+  assert.equal(selectorsFor(null, ['Custom1']).at(-1), 'custom1');
+});
+
+test('email service provider selectors are tried whatever the MX points at', () => {
+  for (const provider of [null, 'self-hosted', 'google']) {
+    const selectors = selectorsFor(provider);
+    for (const selector of ['mandrill', 'smtpapi', 'mailo', 'amazonses']) {
+      assert.ok(selectors.includes(selector), `${selector} is tried for provider ${provider}`);
+    }
+  }
+});
+
+test('discoverDkim finds keys published for a sending service on a self-hosted domain', async () => {
+  const dkim = await discoverDkim('esp.test', { resolver: countingResolver() });
+  assert.equal(dkim.provider, 'self-hosted');
+  assert.deepEqual(dkim.keys.map(key => [key.selector, key.status]), [
+    ['mandrill', DKIM_KEY_STATUS.VALID],
+    ['smtpapi', DKIM_KEY_STATUS.REVOKED]
+  ]);
+  assert.deepEqual(dkim.lookupErrors, []);
+});
+
+test('the provider is fingerprinted from the MX hosts when none is passed', async () => {
+  const resolver = countingResolver();
+  const dkim = await discoverDkim('fastmail.test', { resolver });
+  assert.equal(resolver.mxLookups, 1);
+  assert.equal(dkim.provider, 'fastmail');
+  assert.deepEqual(dkim.keys.map(key => [key.selector, key.status]), [['fm1', DKIM_KEY_STATUS.VALID]]);
+
+  const hosted = await discoverDkim('hosted.test', { resolver });
+  assert.equal(hosted.provider, 'google');
+  assert.deepEqual(hosted.keys.map(key => [key.selector, key.status]), [['google', DKIM_KEY_STATUS.WEAK]]);
+});
+
+test('a provider fingerprint from mxValidation is used without another MX lookup', async () => {
+  const resolver = countingResolver();
+  const provider = { id: 'fastmail', name: 'Fastmail', gateway: false, acceptsAllRecipients: false };
+  const dkim = await discoverDkim('fastmail.test', { provider, resolver });
+  assert.equal(resolver.mxLookups, 0);
+  assert.equal(dkim.provider, 'fastmail');
+  assert.equal(dkim.keys.length, 1);
+});
+
+test('MX hosts passed in are fingerprinted without a lookup', async () => {
+  const resolver = countingResolver();
+  const dkim = await discoverDkim('fastmail.test', { mxHosts: ['in2-smtp.messagingengine.com'], resolver });
+  assert.equal(resolver.mxLookups, 0);
+  assert.equal(dkim.provider, 'fastmail');
+});
+
+test('the DKIM check passes with a valid key and fails without one', async () => {
+  const dkim = await validateDkimRecord('deliverable.test');
+  assert.equal(dkim.keys[0].selector, 'default');
+  await assert.rejects(validateDkimRecord('nodmarc.test'), { reason: 'DKIM_MISSING' });
+});
@@ -0,0 +1,38 @@
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lookupDmarc, parseDmarcRecord } from '../services/dmarc.service.js';
+import { createZoneResolver } from '../services/dns-resolver.service.js';
+import { useOfflineZones } from './helpers.js';
+
+before(() => useOfflineZones());
+
+test('parseDmarcRecord reads the policy, reporting and alignment tags', () => {
+  const parsed = parseDmarcRecord('v=DMARC1; p=quarantine; sp=reject; pct=50; adkim=s; rua=mailto:agg@example.test; fo=1');
+  assert.deepEqual(parsed.errors, []);
+  assert.equal(parsed.tags.p, 'quarantine');
+  assert.equal(parsed.tags.sp, 'reject');
+  assert.equal(parsed.tags.pct, 50);
+  assert.equal(parsed.tags.adkim, 's');
+});
+
+test('the version tag is matched case-insensitively, as record detection does', async () => {
+  assert.deepEqual(parseDmarcRecord('v=dmarc1; p=reject').errors, []);
+
+  const resolver = createZoneResolver({ '_dmarc.lower.test': { TXT: ['v=dmarc1; p=reject'] } });
+  const dmarc = await lookupDmarc('lower.test', { resolver });
+  assert.equal(dmarc.record, 'v=dmarc1; p=reject');
+  assert.deepEqual(dmarc.errors, []);
+  assert.equal(dmarc.strength, 'reject');
+});
+
+test('malformed and invalid tags are reported', () => {
+  const parsed = parseDmarcRecord('v=DMARC1; p=block; pct=150; junk');
+  assert.equal(parsed.errors.length, 4);
+});
+
+test('a subdomain without a record inherits the organizational domain policy', async () => {
+  const dmarc = await lookupDmarc('mail.deliverable.test');
+  assert.equal(dmarc.policyDomain, 'deliverable.test');
+  assert.equal(dmarc.inherited, true);
+  assert.equal(dmarc.strength, 'reject');
+});
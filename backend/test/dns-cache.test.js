@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCachingResolver } from '../services/dns-cache.service.js';
+import { createZoneResolver } from '../services/dns-resolver.service.js';
+
+const zones = {
+  'short.test': { ttl: 60, A: ['192.0.2.1'], MX: [{ priority: 10, exchange: 'mx.short.test' }] },
+  'long.test': { ttl: 7200, A: ['192.0.2.2'] }
+};
+
+// A zone resolver that counts the queries reaching it and can hold them back
+// until `release` is called.
+const countingUpstream = () => {
+  const upstream = createZoneResolver(zones);
+  const counting = { ...upstream, queries: 0, gate: null };
+  counting.queryWithTtl = async (hostname, type) => {
+    counting.queries++;
+    if (counting.gate) await counting.gate;
+    return upstream.queryWithTtl(hostname, type);
+  };
+  return counting;
+};
+
+const clock = () => {
+  let now = 0;
+  return { now: () => now, advance: (seconds) => { now += seconds * 1000; } };
+};
+
+test('answers are cached until their TTL runs out', async () => {
+  const upstream = countingUpstream();
+  const time = clock();
+  const cached = createCachingResolver(upstream, { now: time.now });
+
+  assert.deepEqual(await cached.resolve4('short.test'), ['192.0.2.1']);
+  time.advance(59);
+  assert.deepEqual(await cached.resolve4('short.test', { ttl: true }), [{ address: '192.0.2.1', ttl: 1 }]);
+  assert.equal(upstream.queries, 1);
+
+  time.advance(1);
+  await cached.resolve4('short.test');
+  assert.equal(upstream.queries, 2);
+});
+
+test('TTLs are capped at maxTtl', async () => {
+  const upstream = countingUpstream();
+  const time = clock();
+  const cached = createCachingResolver(upstream, { maxTtl: 600, now: time.now });
+
+  await cached.resolve4('long.test');
+  time.advance(600);
+  await cached.resolve4('long.test');
+  assert.equal(upstream.queries, 2);
+});
+
+test('a missing record type is cached for that type only', async () => {
+  const upstream = countingUpstream();
+  const time = clock();
+  const cached = createCachingResolver(upstream, { negativeTtl: 30, now: time.now });
+
+  await assert.rejects(cached.resolveTxt('short.test'), { code: 'ENODATA' });
+  await assert.rejects(cached.resolveTxt('short.test'), { code: 'ENODATA' });
+  await cached.resolveMx('short.test');
+  assert.equal(upstream.queries, 2);
+
+  time.advance(30);
+  await assert.rejects(cached.resolveTxt('short.test'), { code: 'ENODATA' });
+  assert.equal(upstream.queries, 3);
+});
+
+test('a name that does not exist is cached for every record type', async () => {
+  const upstream = countingUpstream();
+  const cached = createCachingResolver(upstream);
+
+  await assert.rejects(cached.resolve4('missing.test'), { code: 'ENOTFOUND', syscall: 'queryA' });
+  await assert.rejects(cached.resolveMx('missing.test'), { code: 'ENOTFOUND', syscall: 'queryMx', hostname: 'missing.test' });
+  await assert.rejects(cached.resolveTxt('MISSING.test.'), { code: 'ENOTFOUND', syscall: 'queryTxt' });
+  assert.equal(upstream.queries, 1);
+  assert.equal(cached.stats().negativeHits, 2);
+});
+
+test('concurrent lookups of the same record share one query', async () => {
+  const upstream = countingUpstream();
+  let release;
+  upstream.gate = new Promise(resolve => { release = resolve; });
+  const cached = createCachingResolver(upstream);
+
+  const lookups = Promise.all([cached.resolveMx('short.test'), cached.resolveMx('short.test'), cached.resolveMx('Short.Test')]);
+  release();
+  const answers = await lookups;
+
+  assert.equal(upstream.queries, 1);
+  assert.deepEqual(answers[2], [{ priority: 10, exchange: 'mx.short.test' }]);
+  assert.equal(cached.stats().coalesced, 2);
+});
+
+test('stats count hits, misses and cache entries', async () => {
+  const cached = createCachingResolver(countingUpstream());
+  await cached.resolve4('short.test');
+  await cached.resolve4('short.test');
+  await cached.resolve4('short.test');
+  await assert.rejects(cached.resolve4('missing.test'));
+
+  assert.deepEqual(cached.stats(), {
+    hits: 2,
+    negativeHits: 0,
+    misses: 2,
+    coalesced: 0,
+    errors: 0,
+    lookups: 4,
+    hitRate: 0.5,
+    positiveEntries: 1,
+    negativeEntries: 1
+  });
+
+  cached.clear();
+  assert.equal(cached.stats().positiveEntries, 0);
+});
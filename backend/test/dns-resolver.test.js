@@ -0,0 +1,64 @@
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createZoneResolver, loadZoneFile, parseZoneText } from '../services/dns-resolver.service.js';
+import {
+  validateDmarcRecord,
+  validateDnsRecords,
+  validateMxRecords,
+  validateSpfRecord
+} from '../controllers/validator.controller.js';
+import { useOfflineZones, ZONE_FILE } from './helpers.js';
+
+const zones = createZoneResolver(loadZoneFile(ZONE_FILE));
+
+before(() => useOfflineZones());
+
+test('zone resolver answers A, MX and TXT queries from the fixture', async () => {
+  assert.deepEqual(await zones.resolve4('deliverable.test'), ['192.0.2.10']);
+  assert.deepEqual(await zones.resolveMx('deliverable.test'), [
+    { priority: 10, exchange: 'mx1.deliverable.test' },
+    { priority: 20, exchange: 'mx2.deliverable.test' }
+  ]);
+  assert.deepEqual(await zones.resolveTxt('_dmarc.deliverable.test'), [['v=DMARC1; p=reject; rua=mailto:dmarc@deliverable.test']]);
+  assert.deepEqual(await zones.resolve('MX1.DELIVERABLE.TEST.', 'a'), ['192.0.2.11']);
+});
+
+test('zone resolver fails like the system resolver for missing names and records', async () => {
+  await assert.rejects(zones.resolve4('missing.test'), { code: 'ENOTFOUND', syscall: 'queryA' });
+  await assert.rejects(zones.resolveMx('nomx.test'), { code: 'ENODATA', syscall: 'queryMx' });
+});
+
+test('zone resolver returns TTLs when asked', async () => {
+  assert.deepEqual(await zones.resolve4('deliverable.test', { ttl: true }), [{ address: '192.0.2.10', ttl: 3600 }]);
+});
+
+test('parseZoneText reads origins, TTLs, owner continuation and quoted TXT strings', () => {
+  const parsed = parseZoneText([
+    '$ORIGIN example.test.',
+    '$TTL 600',
+    '@       IN MX 10 mail',
+    '        IN TXT "v=spf1 mx -all" ; trailing comment',
+    'mail 120 IN A 192.0.2.1',
+    'alias   IN CNAME mail.example.test.'
+  ].join('\n'));
+
+  assert.deepEqual(parsed['example.test'], {
+    ttl: 600,
+    MX: [{ priority: 10, exchange: 'mail.example.test' }],
+    TXT: [['v=spf1 mx -all']]
+  });
+  assert.deepEqual(parsed['mail.example.test'], { ttl: 120, A: ['192.0.2.1'] });
+  assert.deepEqual(parsed['alias.example.test'].CNAME, ['mail.example.test']);
+});
+
+test('the DNS checks resolve through the active resolver', async () => {
+  await validateDnsRecords('deliverable.test');
+  await validateMxRecords('deliverable.test');
+  await validateSpfRecord('deliverable.test');
+  await validateDmarcRecord('deliverable.test');
+
+  await assert.rejects(validateDnsRecords('missing.test'), { step: 'dnsValidation' });
+  await assert.rejects(validateMxRecords('missing.test'), { step: 'mxValidation' });
+  await assert.rejects(validateSpfRecord('nomx.test'), { step: 'spfValidation' });
+  await assert.rejects(validateDmarcRecord('nodmarc.test'), { step: 'dmarcValidation' });
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkDnsbl, DNSBL_STATUS, interpretResponse, loadDnsblZones } from '../services/dnsbl.service.js';
+import { createZoneResolver } from '../services/dns-resolver.service.js';
+import { reverseAddress } from '../services/mail-routing.service.js';
+
+const zones = Object.fromEntries(loadDnsblZones().map(zone => [zone.zone, zone]));
+
+test('return codes are read from the zone table', () => {
+  const cases = [
+    ['zen.spamhaus.org', ['127.0.0.2'], DNSBL_STATUS.LISTED, ['SBL: spam source']],
+    ['zen.spamhaus.org', ['127.0.0.4', '127.0.0.10'], DNSBL_STATUS.LISTED, ['XBL: exploited or infected host', 'PBL: dynamic address (ISP maintained)']],
+    ['zen.spamhaus.org', ['127.0.0.200'], DNSBL_STATUS.LISTED, ['unknown return code']],
+    ['zen.spamhaus.org', ['127.255.255.254'], DNSBL_STATUS.ERROR, []],
+    ['zen.spamhaus.org', ['192.0.2.1'], DNSBL_STATUS.ERROR, []],
+    ['dbl.spamhaus.org', ['127.0.1.4'], DNSBL_STATUS.LISTED, ['DBL: phishing domain']],
+    ['dbl.spamhaus.org', ['127.0.1.255'], DNSBL_STATUS.ERROR, []],
+    ['multi.uribl.com', ['127.0.0.2'], DNSBL_STATUS.LISTED, ['URIBL black']],
+    ['multi.uribl.com', ['127.0.0.14'], DNSBL_STATUS.LISTED, ['URIBL black', 'URIBL grey', 'URIBL red']],
+    ['multi.uribl.com', ['127.0.0.1'], DNSBL_STATUS.ERROR, []],
+    ['multi.uribl.com', ['127.0.0.16'], DNSBL_STATUS.CLEAN, []]
+  ];
+  for (const [zone, answers, status, meanings] of cases) {
+    const result = interpretResponse(zones[zone], answers);
+    const label = `${zone} ${answers.join(',')}`;
+    assert.equal(result.status, status, label);
+    assert.deepEqual((result.listings || []).map(listing => listing.meaning), meanings, label);
+  }
+});
+
+test('error answers say why the zone could not answer', () => {
+  assert.equal(interpretResponse(zones['zen.spamhaus.org'], ['127.255.255.255']).error, 'query rate limit exceeded');
+  assert.equal(interpretResponse(zones['zen.spamhaus.org'], ['192.0.2.1']).error, 'unexpected answer 192.0.2.1');
+});
+
+const ipZone = { zone: 'ip.bl.test', type: 'ip', ipv6: false, codes: { '127.0.0.2': 'listed ip' }, bitmask: null, errors: {} };
+const ip6Zone = { ...ipZone, zone: 'ip6.bl.test', ipv6: true };
+const domainZone = { zone: 'dom.bl.test', type: 'domain', ipv6: false, codes: { '127.0.1.2': 'listed domain' }, bitmask: null, errors: {} };
+
+const resolver = createZoneResolver({
+  'mail.example.co.uk': { MX: [{ priority: 10, exchange: 'mx.example.co.uk' }] },
+  'mx.example.co.uk': { A: ['192.0.2.10'], AAAA: ['2001:db8::10'] },
+  '10.2.0.192.ip.bl.test': { A: ['127.0.0.2'], TXT: ['see https://bl.test/192.0.2.10'] },
+  [`${reverseAddress('2001:db8::10')}.ip6.bl.test`]: { A: ['127.0.0.2'] },
+  'example.co.uk.dom.bl.test': { A: ['127.0.1.2'] }
+});
+
+test('mail server addresses are checked against IP zones, IPv6 only where supported', async () => {
+  const report = await checkDnsbl('mail.example.co.uk', { resolver, zones: [ipZone, ip6Zone] });
+  assert.deepEqual(report.addresses, ['192.0.2.10', '2001:db8::10']);
+  assert.deepEqual(report.results.map(result => [result.zone, result.target, result.status]), [
+    ['ip.bl.test', '192.0.2.10', DNSBL_STATUS.LISTED],
+    ['ip6.bl.test', '192.0.2.10', DNSBL_STATUS.CLEAN],
+    ['ip6.bl.test', '2001:db8::10', DNSBL_STATUS.LISTED]
+  ]);
+  assert.equal(report.listings[0].text, 'see https://bl.test/192.0.2.10');
+});
+
+test('domain zones are queried for the domain and its organizational domain', async () => {
+  const report = await checkDnsbl('mail.example.co.uk', { resolver, zones: [domainZone] });
+  assert.deepEqual(report.results.map(result => [result.query, result.status]), [
+    ['mail.example.co.uk.dom.bl.test', DNSBL_STATUS.CLEAN],
+    ['example.co.uk.dom.bl.test', DNSBL_STATUS.LISTED]
+  ]);
+  assert.equal(report.listed, true);
+  assert.equal(report.listings[0].listings[0].meaning, 'listed domain');
+});
+
+test('a route resolved earlier is reused', async () => {
+  const route = { hosts: [{ priority: 10, exchange: 'mx.other.test', ipv4: ['192.0.2.10'], ipv6: [] }] };
+  const report = await checkDnsbl('other.test', { route, resolver, zones: [ipZone] });
+  assert.deepEqual(report.addresses, ['192.0.2.10']);
+  assert.equal(report.listed, true);
+});
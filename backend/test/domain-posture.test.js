@@ -0,0 +1,86 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectDatabase, disconnectDatabase } from '../services/database.service.js';
+import { createZoneResolver, setResolver } from '../services/dns-resolver.service.js';
+import { MemoryResultStore, getAddressHistory, getDomainHistory, setResultStore } from '../services/result-store.service.js';
+import { MongoResultStore } from '../services/mongo-result-store.service.js';
+import { checkEmailValidation } from '../controllers/email.controller.js';
+import { startMemoryMongo, useOfflineZones } from './helpers.js';
+
+const { server, skip } = await startMemoryMongo();
+
+before(async () => {
+  if (server) await connectDatabase(server.getUri());
+});
+
+after(async () => {
+  if (!server) return;
+  await disconnectDatabase();
+  await server.stop();
+});
+
+const validate = (email, options = {}) => checkEmailValidation(email, { profile: 'dns', ...options });
+const checkNamed = (result, name) => result.checks.find(check => check.name === name);
+
+// Every test runs against the in-memory store, and against MongoDB when a
+// throwaway server could be started.
+const stores = [
+  { label: 'in memory', store: new MemoryResultStore() },
+  { label: 'on MongoDB', store: new MongoResultStore(), skip }
+];
+
+for (const { label, store, skip } of stores) {
+  test(`DNS outcomes are stored on the domain and reused for its next address (${label})`, { skip }, async () => {
+    setResultStore(store);
+    useOfflineZones();
+    const first = await validate('first@deliverable.test');
+    assert.equal(first.verdict, 'deliverable');
+
+    const stored = await store.findDomain('deliverable.test');
+    assert.deepEqual(Object.keys(stored.checks).sort(), ['dmarcValidation', 'dnsValidation', 'dnsblValidation', 'mxValidation', 'spfValidation']);
+    assert.equal(stored.checks.mxValidation.data.mxHosts[0], 'mx1.deliverable.test');
+
+    // With every zone gone, only the stored posture can make this deliverable.
+    setResolver(createZoneResolver({}));
+    const second = await validate('second@deliverable.test');
+    assert.equal(second.verdict, 'deliverable');
+    assert.equal(checkNamed(second, 'mxValidation').cachedAt, stored.checks.mxValidation.checkedAt.toISOString());
+    assert.equal(second.provider.id, 'self-hosted');
+
+    const fresh = await validate('third@deliverable.test', { maxAgeMs: 0 });
+    assert.deepEqual(fresh.reasons.map(reason => reason.code), ['DOMAIN_NOT_FOUND']);
+  });
+
+  test(`stored failures keep their reason and are judged by the current profile (${label})`, { skip }, async () => {
+    setResultStore(store);
+    useOfflineZones();
+    await validate('first@nodmarc.test');
+
+    setResolver(createZoneResolver({}));
+    const advisory = await validate('second@nodmarc.test', { mode: 'all' });
+    const dmarc = checkNamed(advisory, 'dmarcValidation');
+    assert.ok(dmarc.cachedAt);
+    assert.equal(dmarc.reason.code, 'DMARC_MISSING');
+    assert.equal(advisory.verdict, 'risky');
+  });
+
+  test(`results are reused and listed in the address and domain history (${label})`, { skip }, async () => {
+    setResultStore(store);
+    useOfflineZones();
+    const first = await validate('Fourth@NoDmarc.test');
+    const again = await validate('fourth@nodmarc.test');
+    assert.equal(again.cached, true);
+    assert.equal(again.cachedAt, first.checkedAt);
+
+    const addressHistory = await getAddressHistory('fourth@nodmarc.test');
+    assert.equal(addressHistory.results[0].verdict, 'risky');
+    assert.equal(addressHistory.results[0].checkedAt, first.checkedAt);
+
+    const history = await getDomainHistory('deliverable.test');
+    const mx = history.posture.checks.find(check => check.name === 'mxValidation');
+    assert.equal(mx.status, 'pass');
+    assert.equal(mx.reason, null);
+    assert.equal(typeof mx.checkedAt, 'string');
+    assert.ok(history.results.length >= 2);
+  });
+}
@@ -0,0 +1,19 @@
+import { fileURLToPath } from 'url';
+import { useZoneFile } from '../services/dns-resolver.service.js';
+
+export const ZONE_FILE = fileURLToPath(new URL('../fixtures/offline-zones.json', import.meta.url));
+
+// Routes every DNS query of the process to the bundled fixture zones.
+export const useOfflineZones = (options) => useZoneFile(ZONE_FILE, options);
+
+// Starts a throwaway MongoDB for the persistence tests. Resolves with
+// `{ server }`, or `{ skip }` naming why it is unavailable (the mongod binary
+// is downloaded on first use) so those tests can be skipped.
+export const startMemoryMongo = async () => {
+  try {
+    const { MongoMemoryServer } = await import('mongodb-memory-server');
+    return { server: await MongoMemoryServer.create() };
+  } catch (error) {
+    return { skip: `MongoDB is not available: ${error.message.split('\n')[0]}` };
+  }
+};
@@ -0,0 +1,90 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inspectHomoglyphs, inspectLabel, normalizeAddress } from '../services/idn.service.js';
+import { probeMailbox, SMTP_OUTCOMES } from '../services/smtp-prober.service.js';
+import { checkEmailValidation } from '../controllers/email.controller.js';
+import { startFakeSmtpServer } from '../fixtures/fake-smtp-server.js';
+import { useOfflineZones } from './helpers.js';
+
+let utf8Server;
+let asciiServer;
+const options = (server) => ({ port: server.port, connectionTimeout: 2000, socketTimeout: 2000 });
+
+before(async () => {
+  useOfflineZones();
+  utf8Server = await startFakeSmtpServer({ mailboxes: { 'josé@smtp.test': 'accept' } });
+  asciiServer = await startFakeSmtpServer({ extensions: ['PIPELINING', '8BITMIME'], mailboxes: { 'josé@smtp.test': 'accept' } });
+});
+
+after(async () => {
+  await utf8Server.close();
+  await asciiServer.close();
+});
+
+test('Unicode and Punycode domains normalize to the same pair of forms', () => {
+  const unicode = normalizeAddress('user@Bücher.example');
+  const punycode = normalizeAddress('user@xn--bcher-kva.example');
+  const decomposed = normalizeAddress('user@bücher.example');
+  for (const address of [unicode, punycode, decomposed]) {
+    assert.equal(address.asciiDomain, 'xn--bcher-kva.example');
+    assert.equal(address.unicodeDomain, 'bücher.example');
+    assert.equal(address.ascii, 'user@xn--bcher-kva.example');
+    assert.equal(address.unicode, 'user@bücher.example');
+    assert.equal(address.smtpUtf8Required, false);
+  }
+});
+
+test('a non-ASCII local part requires SMTPUTF8 and has no ASCII form', () => {
+  const address = normalizeAddress('José@bücher.example');
+  assert.equal(address.smtpUtf8Required, true);
+  assert.equal(address.ascii, null);
+  assert.equal(address.unicode, 'José@bücher.example');
+  assert.equal(normalizeAddress('user@').asciiDomain, '');
+});
+
+test('labels mixing scripts or imitating Latin letters are flagged', () => {
+  assert.deepEqual(inspectLabel('pаypal'), { label: 'pаypal', scripts: ['Latin', 'Cyrillic'], mixedScript: true, confusableWith: 'paypal' });
+  const wholeScript = inspectLabel('ѕсоре');
+  assert.equal(wholeScript.mixedScript, false);
+  assert.equal(wholeScript.confusableWith, 'scope');
+});
+
+test('single-script and customary script mixes are not flagged', () => {
+  for (const label of ['paypal', 'bücher', 'παράδειγμα', '東京とうきょう', 'sony東京']) {
+    const result = inspectLabel(label);
+    assert.equal(result.mixedScript, false, label);
+    assert.equal(result.confusableWith, null, label);
+  }
+});
+
+test('homoglyph findings name the part of the address they were found in', () => {
+  assert.deepEqual(inspectHomoglyphs('john', 'bücher.example'), { suspicious: false, findings: [] });
+  const { suspicious, findings } = inspectHomoglyphs('jоhn.smith', 'pаypal.com');
+  assert.equal(suspicious, true);
+  assert.deepEqual(findings.map(finding => [finding.part, finding.confusableWith]), [['localPart', 'john'], ['domain', 'paypal']]);
+});
+
+test('a UTF-8 mailbox is probed with SMTPUTF8 when the server offers it', async () => {
+  const result = await probeMailbox('josé@smtp.test', options(utf8Server));
+  assert.equal(result.outcome, SMTP_OUTCOMES.ACCEPTED);
+  assert.ok(result.transcript.some(entry => entry.direction === 'C' && /^MAIL FROM:<[^>]+> SMTPUTF8$/.test(entry.line)));
+});
+
+test('a UTF-8 mailbox is not sent to a server without SMTPUTF8', async () => {
+  const result = await probeMailbox('josé@smtp.test', options(asciiServer));
+  assert.equal(result.outcome, SMTP_OUTCOMES.SMTPUTF8_UNSUPPORTED);
+  assert.ok(!result.transcript.some(entry => entry.line.startsWith('RCPT TO:')));
+  assert.ok(!result.transcript.some(entry => entry.line.endsWith(' SMTPUTF8')));
+});
+
+test('the pipeline reports both forms of the address and flags look-alikes', async () => {
+  const clean = await checkEmailValidation('José@Bücher.example', { profile: 'syntax-only' });
+  assert.equal(clean.verdict, 'deliverable');
+  assert.equal(clean.unicodeEmail, 'José@bücher.example');
+  assert.equal(clean.asciiEmail, null);
+
+  const lookalike = await checkEmailValidation('billing@pаypal.com', { profile: 'syntax-only' });
+  assert.equal(lookalike.verdict, 'risky');
+  assert.deepEqual(lookalike.reasons.map(reason => reason.code), ['HOMOGLYPH_SUSPECTED']);
+  assert.equal(lookalike.asciiEmail, 'billing@xn--pypal-4ve.com');
+});
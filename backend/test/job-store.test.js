@@ -0,0 +1,109 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { connectDatabase, disconnectDatabase } from '../services/database.service.js';
+import { FileJobStore } from '../services/job-store.service.js';
+import { MongoJobStore } from '../services/mongo-job-store.service.js';
+import { BulkJobManager, JOB_STATUS } from '../services/bulk-job.service.js';
+import { RetryQueue } from '../services/retry-queue.service.js';
+import Job from '../models/job.model.js';
+import JobResult from '../models/job-result.model.js';
+import { startMemoryMongo } from './helpers.js';
+
+const { server, skip } = await startMemoryMongo();
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'catchall-job-store-'));
+
+before(async () => {
+  if (server) await connectDatabase(server.getUri());
+});
+
+after(async () => {
+  fs.rmSync(directory, { recursive: true, force: true });
+  if (!server) return;
+  await disconnectDatabase();
+  await server.stop();
+});
+
+const fakeValidate = async (email) => ({
+  email,
+  status: email.startsWith('good'),
+  verdict: email.startsWith('good') ? 'deliverable' : 'undeliverable'
+});
+
+const retryQueueFor = (id) => new RetryQueue({ filePath: path.join(directory, `${id}.retries.json`) });
+
+const newJob = (id) => ({
+  id,
+  status: JOB_STATUS.QUEUED,
+  options: {},
+  concurrency: 1,
+  total: 2,
+  counts: {},
+  createdAt: new Date().toISOString(),
+  startedAt: null,
+  finishedAt: null,
+  error: null
+});
+
+// Both stores hand jobs to the manager in the same shape, so every store runs
+// the same tests; MongoDB only when a throwaway server could be started.
+const stores = [
+  { label: 'on disk', create: () => new FileJobStore({ directory }) },
+  { label: 'on MongoDB', create: () => new MongoJobStore(), skip }
+];
+
+for (const { label, create, skip } of stores) {
+  test(`jobs round-trip with their addresses and results (${label})`, { skip }, async () => {
+    const store = create();
+    const job = newJob(`roundtrip-${label.replace(/\W/g, '')}`);
+    await store.create(job, ['a@example.test', 'b@example.test']);
+
+    assert.deepEqual(await store.get(job.id), job);
+    assert.deepEqual(await store.readEmails(job.id), ['a@example.test', 'b@example.test']);
+    assert.deepEqual(await store.readResults(job.id), []);
+
+    await store.appendResult(job.id, { index: 1, email: 'b@example.test', result: null, error: 'boom' });
+    assert.deepEqual(await store.readResults(job.id), [{ index: 1, email: 'b@example.test', result: null, error: 'boom' }]);
+
+    const finishedAt = new Date().toISOString();
+    const updated = await store.update(job.id, { status: JOB_STATUS.COMPLETED, finishedAt });
+    assert.equal(updated.finishedAt, finishedAt);
+    assert.deepEqual((await store.list({ statuses: [JOB_STATUS.COMPLETED] })).map(({ id }) => id), [job.id]);
+    assert.deepEqual(await store.list({ statuses: [JOB_STATUS.RUNNING] }), []);
+    await assert.rejects(store.update('missing', {}), /Job missing does not exist/);
+  });
+
+  test(`a bulk job runs to completion (${label})`, { skip }, async () => {
+    const store = create();
+    const manager = new BulkJobManager({ store, validate: fakeValidate, createRetryQueue: retryQueueFor });
+    const job = await manager.createJob(['good@example.test', 'bad@example.test', 'good2@example.test']);
+    await manager.start(job.id);
+
+    const finished = await store.get(job.id);
+    assert.equal(finished.status, JOB_STATUS.COMPLETED);
+    assert.equal(typeof finished.finishedAt, 'string');
+    assert.deepEqual(finished.counts, { processed: 3, valid: 2, invalid: 1, unknown: 0, failed: 0, retrying: 0 });
+    assert.deepEqual((await manager.getResults(job.id)).map(record => record.result.verdict), ['deliverable', 'undeliverable', 'deliverable']);
+  });
+}
+
+test('MongoDB keeps Date timestamps and one row per address', { skip }, async () => {
+  const store = new MongoJobStore();
+  await store.create(newJob('dates'), ['a@example.test', 'b@example.test']);
+
+  const doc = await Job.findById('dates').lean();
+  assert.ok(doc.createdAt instanceof Date);
+  assert.equal(doc.emails, undefined);
+  assert.equal(await JobResult.countDocuments({ jobId: 'dates' }), 2);
+
+  // A retried address replaces its row instead of adding one.
+  await store.appendResult('dates', { index: 1, email: 'b@example.test', result: null, error: 'boom' });
+  await store.appendResult('dates', { index: 1, email: 'b@example.test', result: null, error: 'again' });
+  assert.equal(await JobResult.countDocuments({ jobId: 'dates' }), 2);
+  assert.deepEqual((await store.readResults('dates')).map(record => record.error), ['again']);
+
+  await store.update('dates', { finishedAt: new Date().toISOString() });
+  assert.ok((await Job.findById('dates').lean()).finishedAt instanceof Date);
+});
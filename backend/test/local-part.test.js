@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  GIBBERISH_THRESHOLD,
+  analyzeLocalPart,
+  canonicalAddress,
+  ngramScore,
+  shannonEntropy,
+  trainNgramModel
+} from '../services/local-part.service.js';
+
+test('names and words score as natural local parts', () => {
+  for (const localPart of ['john.smith', 'maria', 'michael.johnson', 'sarah_connor', 'jsmith1985']) {
+    const result = analyzeLocalPart(localPart, 'example.com');
+    assert.ok(result.randomness < GIBBERISH_THRESHOLD, `${localPart}: ${result.randomness}`);
+    assert.equal(result.gibberish, false, localPart);
+  }
+});
+
+test('keyboard mashing and generated strings score as random', () => {
+  for (const localPart of ['xk7qpz93fa', 'qwzxkvbnm', 'zzxqjkwpt', 'a8f3k2l9q1', 'h4x0r99z']) {
+    const result = analyzeLocalPart(localPart, 'example.com');
+    assert.ok(result.randomness >= GIBBERISH_THRESHOLD, `${localPart}: ${result.randomness}`);
+    assert.equal(result.gibberish, true, localPart);
+  }
+});
+
+test('corpus words are more likely under the bundled model than noise', () => {
+  assert.ok(ngramScore('michael') > ngramScore('xqzvkw'));
+  assert.equal(ngramScore('1234'), null);
+});
+
+test('the model counts padded character n-grams', () => {
+  const model = trainNgramModel(['abc', 'abd'], { order: 2 });
+  assert.equal(model.order, 2);
+  assert.deepEqual(model.counts, { '^a': 2, ab: 2, bc: 1, 'c$': 1, bd: 1, 'd$': 1 });
+  assert.equal(model.contexts.b, 2);
+  assert.ok(ngramScore('abc', model) > ngramScore('cba', model));
+});
+
+test('entropy is measured in bits per character', () => {
+  assert.equal(shannonEntropy(''), 0);
+  assert.equal(shannonEntropy('aaaa'), 0);
+  assert.equal(shannonEntropy('abcd'), 2);
+});
+
+test('the subaddress tag and Gmail dots are reported and left out of the score', () => {
+  const result = analyzeLocalPart('J.Smith+promo', 'gmail.com');
+  assert.equal(result.base, 'jsmith');
+  assert.equal(result.plusAddressed, true);
+  assert.equal(result.tag, 'promo');
+  assert.equal(result.dotVariant, true);
+  assert.equal(analyzeLocalPart('j.smith', 'example.com').dotVariant, false);
+});
+
+test('canonical addresses drop tags, and dots only at Gmail', () => {
+  assert.equal(canonicalAddress('John.Smith+news', 'GoogleMail.com.'), 'johnsmith@gmail.com');
+  assert.equal(canonicalAddress('john.smith', 'gmail.com'), 'johnsmith@gmail.com');
+  assert.equal(canonicalAddress('John.Smith+news', 'example.com'), 'john.smith@example.com');
+  assert.equal(canonicalAddress('+leading', 'example.com'), '+leading@example.com');
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolveCanonicalName,
+  resolveMailRoute,
+  reverseAddress,
+  routeAddresses
+} from '../services/mail-routing.service.js';
+import { createZoneResolver } from '../services/dns-resolver.service.js';
+
+const resolver = createZoneResolver({
+  'nullmx.test': { A: ['192.0.2.70'], MX: [{ priority: 0, exchange: '.' }] },
+  'implicit.test': { A: ['192.0.2.71'], AAAA: ['2001:db8::71'] },
+  'noaddress.test': { TXT: ['v=spf1 -all'] },
+  'sorted.test': {
+    MX: [{ priority: 20, exchange: 'backup.sorted.test' }, { priority: 5, exchange: 'Primary.Sorted.Test.' }]
+  },
+  'primary.sorted.test': { A: ['192.0.2.72'] },
+  'backup.sorted.test': { A: ['192.0.2.73'] },
+  'alias.test': { CNAME: ['middle.test'] },
+  'middle.test': { CNAME: ['target.test'] },
+  'target.test': { MX: [{ priority: 10, exchange: 'mx.target.test' }] },
+  'mx.target.test': { A: ['192.0.2.74'] },
+  'loop-a.test': { CNAME: ['loop-b.test'] },
+  'loop-b.test': { CNAME: ['loop-a.test'] },
+  'v6only.test': { MX: [{ priority: 10, exchange: 'mx.v6only.test' }] },
+  'mx.v6only.test': { AAAA: ['2001:db8::25'] },
+  'dangling.test': { MX: [{ priority: 10, exchange: 'gone.dangling.test' }] }
+});
+
+const route = (domain) => resolveMailRoute(domain, { resolver });
+
+test('a lone "0 ." MX record is a null MX with no hosts', async () => {
+  const result = await route('nullmx.test');
+  assert.equal(result.nullMx, true);
+  assert.deepEqual(result.hosts, []);
+});
+
+test('a domain without MX records is its own implicit MX', async () => {
+  const result = await route('implicit.test');
+  assert.equal(result.implicit, true);
+  assert.deepEqual(result.hosts, [{ priority: 0, exchange: 'implicit.test', ipv4: ['192.0.2.71'], ipv6: ['2001:db8::71'] }]);
+});
+
+test('an implicit MX without addresses leaves no route', async () => {
+  const result = await route('noaddress.test');
+  assert.equal(result.implicit, true);
+  assert.equal(result.exists, true);
+  assert.deepEqual(result.hosts, []);
+});
+
+test('a domain that does not exist has no route', async () => {
+  const result = await route('missing.test');
+  assert.equal(result.exists, false);
+  assert.deepEqual(result.hosts, []);
+});
+
+test('MX hosts are normalized and tried in preference order', async () => {
+  const result = await route('sorted.test');
+  assert.deepEqual(result.hosts.map(host => host.exchange), ['primary.sorted.test', 'backup.sorted.test']);
+  assert.deepEqual(routeAddresses(result), ['192.0.2.72', '192.0.2.73']);
+});
+
+test('CNAME chains are followed to the canonical domain', async () => {
+  assert.deepEqual(await resolveCanonicalName('Alias.Test.', { resolver }), { name: 'target.test', chain: ['alias.test', 'middle.test', 'target.test'] });
+  const result = await route('alias.test');
+  assert.equal(result.canonicalDomain, 'target.test');
+  assert.deepEqual(result.cnameChain, ['middle.test', 'target.test']);
+  assert.deepEqual(result.hosts.map(host => host.exchange), ['mx.target.test']);
+});
+
+test('a CNAME loop is an error', async () => {
+  await assert.rejects(route('loop-a.test'), { code: 'ECNAMELOOP' });
+});
+
+test('an MX host reachable over IPv6 only still routes mail', async () => {
+  const result = await route('v6only.test');
+  assert.deepEqual(result.hosts[0].ipv4, []);
+  assert.deepEqual(result.hosts[0].ipv6, ['2001:db8::25']);
+  assert.deepEqual(routeAddresses(result), ['2001:db8::25']);
+});
+
+test('an MX host without addresses stays in the route with none', async () => {
+  const result = await route('dangling.test');
+  assert.deepEqual(result.hosts, [{ priority: 10, exchange: 'gone.dangling.test', ipv4: [], ipv6: [] }]);
+  assert.deepEqual(routeAddresses(result), []);
+});
+
+test('addresses are reversed for in-addr.arpa, ip6.arpa and blocklist zones', () => {
+  assert.equal(reverseAddress('192.0.2.25'), '25.2.0.192');
+  assert.equal(reverseAddress('2001:db8::25'), '5.2.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2');
+});
@@ -0,0 +1,68 @@
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkEmailValidation } from '../controllers/email.controller.js';
+import { useOfflineZones } from './helpers.js';
+
+before(() => useOfflineZones());
+
+const validate = (email) => checkEmailValidation(email, { profile: 'dns' });
+const reasonCodes = (result) => result.reasons.map(reason => reason.code);
+
+test('a domain with routing and sender authentication is deliverable', async () => {
+  const result = await validate('someone@deliverable.test');
+  assert.equal(result.verdict, 'deliverable');
+  assert.equal(result.status, true);
+  assert.equal(result.dmarcPolicy, 'reject');
+  assert.equal(result.provider.id, 'self-hosted');
+});
+
+test('a domain that does not exist is undeliverable', async () => {
+  const result = await validate('someone@missing.test');
+  assert.equal(result.verdict, 'undeliverable');
+  assert.deepEqual(reasonCodes(result), ['DOMAIN_NOT_FOUND']);
+});
+
+test('missing sender authentication makes an address risky', async () => {
+  const result = await validate('someone@nodmarc.test');
+  assert.equal(result.verdict, 'risky');
+  assert.deepEqual(reasonCodes(result), ['DMARC_MISSING']);
+});
+
+test('a mail server on a blocklist makes an address risky', async () => {
+  const result = await validate('someone@listed.test');
+  assert.equal(result.verdict, 'risky');
+  assert.deepEqual(reasonCodes(result), ['DNSBL_LISTED']);
+  assert.match(result.reasons[0].message, /198\.51\.100\.99 is listed in zen\.spamhaus\.org \(SBL: spam source\)/);
+});
+
+test('a domain without MX records receives mail at its own address', async () => {
+  const result = await validate('someone@nomx.test');
+  assert.equal(result.verdict, 'risky');
+  assert.deepEqual(reasonCodes(result), ['SPF_MISSING', 'DMARC_MISSING']);
+});
+
+test('runs are deterministic', async () => {
+  const strip = ({ checks, durationMs, checkedAt, ...result }) => ({
+    ...result,
+    checks: checks.map(({ durationMs: _, ...check }) => check)
+  });
+  assert.deepEqual(strip(await validate('someone@nodmarc.test')), strip(await validate('someone@nodmarc.test')));
+});
+
+test('an address literal that nothing could verify is unknown', async () => {
+  const result = await checkEmailValidation('someone@[192.0.2.1]', { profile: 'dns', syntaxMode: 'lenient' });
+  assert.equal(result.verdict, 'unknown');
+  assert.deepEqual(reasonCodes(result), ['LITERAL_UNVERIFIED']);
+  assert.ok(result.checks.filter(check => check.skippedBecause === 'addressLiteral').length > 0);
+});
+
+test('strict syntax rejects an address literal', async () => {
+  const result = await validate('someone@[192.0.2.1]');
+  assert.equal(result.verdict, 'undeliverable');
+  assert.deepEqual(reasonCodes(result), ['SYNTAX_INVALID']);
+});
+
+test('a typo is suggested only when the typed domain does not exist', async () => {
+  assert.equal((await validate('someone@gmial.com')).suggestion.email, 'someone@gmail.com');
+  assert.equal((await validate('someone@mail.co')).suggestion, null);
+});
@@ -0,0 +1,47 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getProfile, listProfiles, loadProfiles } from '../services/profile.service.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  loadProfiles();
+});
+
+const writeProfiles = (profiles) => {
+  const file = path.join(dir, `${Object.keys(profiles)[0]}.json`);
+  fs.writeFileSync(file, JSON.stringify({ profiles }));
+  return file;
+};
+
+test('the bundled profiles load and name their checks', () => {
+  loadProfiles();
+  assert.ok(listProfiles().some(profile => profile.name === 'dns'));
+  assert.equal(getProfile().name, 'full-smtp');
+  const mx = getProfile('dns').checks.find(check => check.name === 'mxValidation');
+  assert.deepEqual(mx, { name: 'mxValidation', blocking: true, timeoutMs: 5000, weight: 3 });
+  assert.throws(() => getProfile('nope'), { code: 'UNKNOWN_PROFILE' });
+});
+
+test('an unknown mode fails when the file is loaded', () => {
+  const file = writeProfiles({ fast: { mode: 'run-all', checks: {} } });
+  assert.throws(() => loadProfiles(file), /Profile "fast" has an unknown mode "run-all"/);
+});
+
+test('an unknown check name fails when the file is loaded', () => {
+  const file = writeProfiles({ typo: { checks: { mxValidaton: {} } } });
+  assert.throws(() => loadProfiles(file), /Profile "typo": Unknown check "mxValidaton"/);
+});
+
+test('weights must be non-negative numbers', () => {
+  for (const weight of [-1, '3', null]) {
+    const file = writeProfiles({ weighted: { checks: { dnsValidation: { weight } } } });
+    assert.throws(() => loadProfiles(file), /"weight" to a non-negative number/);
+  }
+  const file = writeProfiles({ weighted: { mode: 'all', checks: { dnsValidation: { weight: 0 } } } });
+  assert.equal(loadProfiles(file).profiles.weighted.checks[0].weight, 0);
+});
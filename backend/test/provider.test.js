@@ -0,0 +1,54 @@
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fingerprintMx, OTHER_PROVIDER, PROVIDER_IDS, SELF_HOSTED } from '../services/provider.service.js';
+import { applyCheckPolicy, verdictForReason, VERDICTS } from '../services/verdict.service.js';
+import { checkEmailValidation } from '../controllers/email.controller.js';
+import { useOfflineZones } from './helpers.js';
+
+before(() => useOfflineZones());
+
+const idFor = (domain, hosts) => fingerprintMx(domain, hosts).id;
+
+test('well-known MX hosts identify the mailbox provider', () => {
+  assert.deepEqual(fingerprintMx('example.com', ['ASPMX.L.GOOGLE.COM.', 'alt1.aspmx.l.google.com']), {
+    id: 'google',
+    name: 'Google Workspace',
+    gateway: false,
+    acceptsAllRecipients: false,
+    matchedHost: 'aspmx.l.google.com'
+  });
+  assert.equal(idFor('example.com', ['example-com.mail.protection.outlook.com']), 'microsoft');
+  assert.equal(idFor('example.com', ['in1-smtp.messagingengine.com']), 'fastmail');
+  assert.equal(fingerprintMx('example.com', ['mta6.am0.yahoodns.net']).acceptsAllRecipients, true);
+});
+
+test('filtering gateways are flagged as gateways', () => {
+  const gateway = fingerprintMx('example.com', ['mx0a-001.pphosted.com']);
+  assert.equal(gateway.id, 'proofpoint');
+  assert.equal(gateway.gateway, true);
+});
+
+test('suffixes match whole labels only', () => {
+  assert.equal(idFor('example.com', ['mail.notgoogle.com']), OTHER_PROVIDER);
+});
+
+test('MX hosts under the domain itself are self-hosted', () => {
+  assert.equal(idFor('deliverable.test', ['mx1.deliverable.test']), SELF_HOSTED);
+  assert.equal(idFor('shop.example.co.uk', ['mail.example.co.uk']), SELF_HOSTED);
+  assert.equal(idFor('example.com', ['mx.hosting-company.net']), OTHER_PROVIDER);
+  assert.equal(fingerprintMx('example.com', []), null);
+  assert.ok(PROVIDER_IDS.includes(SELF_HOSTED) && PROVIDER_IDS.includes(OTHER_PROVIDER));
+});
+
+test('accept-all answers stay catchAll even when the check is blocking', () => {
+  const reason = { code: 'SMTP_ACCEPTS_ALL', verdict: verdictForReason('SMTP_ACCEPTS_ALL') };
+  assert.equal(applyCheckPolicy(reason, true).verdict, VERDICTS.CATCH_ALL);
+});
+
+test('a Yahoo-hosted address is catchAll, not undeliverable, under marketing-strict', async () => {
+  const result = await checkEmailValidation('someone@yahoo-hosted.test', { profile: 'marketing-strict' });
+  assert.equal(result.provider.id, 'yahoo');
+  assert.equal(result.verdict, VERDICTS.CATCH_ALL);
+  assert.equal(result.status, true);
+  assert.ok(result.reasons.some(item => item.code === 'SMTP_ACCEPTS_ALL'));
+});
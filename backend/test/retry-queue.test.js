@@ -0,0 +1,90 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RetryQueue, isRetryableResult } from '../services/retry-queue.service.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'retry-queue-'));
+let files = 0;
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const greylisted = (email) => ({ email, verdict: 'unknown', reasons: [{ code: 'SMTP_GREYLISTED' }] });
+const accepted = (email) => ({ email, verdict: 'deliverable', reasons: [] });
+
+const createQueue = (options = {}) => new RetryQueue({
+  filePath: path.join(dir, `queue-${files++}.json`),
+  initialDelayMs: 1,
+  maxDelayMs: 4,
+  ...options
+});
+
+test('only temporary SMTP failures are retryable', () => {
+  assert.equal(isRetryableResult(greylisted('a@x.test')), true);
+  assert.equal(isRetryableResult({ reasons: [{ code: 'SMTP_TEMPORARY_FAILURE' }] }), true);
+  assert.equal(isRetryableResult({ reasons: [{ code: 'SMTP_MAILBOX_NOT_FOUND' }] }), false);
+  assert.equal(isRetryableResult(accepted('a@x.test')), false);
+});
+
+test('entries back off exponentially up to the maximum delay', () => {
+  const queue = createQueue({ initialDelayMs: 1000, backoffFactor: 2, maxDelayMs: 5000, now: () => 0 });
+  assert.equal(queue.schedule(1, 'a@x.test', greylisted('a@x.test')).nextAttemptAt, 1000);
+  assert.equal(queue.schedule(1, 'a@x.test', greylisted('a@x.test')).nextAttemptAt, 2000);
+  assert.equal(queue.schedule(1, 'a@x.test', greylisted('a@x.test')).nextAttemptAt, 4000);
+  assert.equal(queue.schedule(1, 'a@x.test', greylisted('a@x.test')).nextAttemptAt, 5000);
+});
+
+test('a reloaded queue keeps its entries, ids and contexts', () => {
+  const queue = createQueue();
+  queue.schedule(7, 'a@x.test', greylisted('a@x.test'), { row: 7 });
+
+  const reloaded = new RetryQueue({ filePath: queue.filePath }).load();
+  assert.equal(reloaded.size, 1);
+  assert.ok(reloaded.has(7));
+  assert.deepEqual(reloaded.entries.get(7).context, { row: 7 });
+  assert.deepEqual(reloaded.entries.get(7).lastReasons, ['SMTP_GREYLISTED']);
+});
+
+test('the same address queued under two ids keeps two retry budgets', () => {
+  const queue = createQueue();
+  queue.schedule('first', 'dup@x.test', greylisted('dup@x.test'), { row: 1 });
+  queue.schedule('second', 'dup@x.test', greylisted('dup@x.test'), { row: 4 });
+  queue.schedule('second', 'dup@x.test', greylisted('dup@x.test'), { row: 4 });
+
+  assert.equal(queue.size, 2);
+  assert.equal(queue.entries.get('first').attempts, 1);
+  assert.equal(queue.entries.get('second').attempts, 2);
+  assert.deepEqual(queue.entries.get('first').context, { row: 1 });
+  assert.deepEqual(queue.entries.get('second').context, { row: 4 });
+
+  queue.remove('first');
+  assert.ok(!queue.has('first'));
+  assert.ok(queue.has('second'));
+});
+
+test('drain reports every queued entry once, with its own context', async () => {
+  const queue = createQueue();
+  queue.schedule(1, 'dup@x.test', greylisted('dup@x.test'), { row: 1 });
+  queue.schedule(4, 'dup@x.test', greylisted('dup@x.test'), { row: 4 });
+  queue.schedule(9, 'grey@x.test', greylisted('grey@x.test'), { row: 9 });
+
+  const calls = [];
+  const finals = [];
+  await queue.drain(
+    async (email, context) => {
+      calls.push(context.row);
+      return email === 'grey@x.test' ? greylisted(email) : accepted(email);
+    },
+    (result, context, id) => finals.push({ id, row: context.row, verdict: result.verdict, attempts: result.retryAttempts })
+  );
+
+  assert.equal(queue.size, 0);
+  assert.deepEqual(finals.sort((a, b) => a.id - b.id), [
+    { id: 1, row: 1, verdict: 'deliverable', attempts: 1 },
+    { id: 4, row: 4, verdict: 'deliverable', attempts: 1 },
+    { id: 9, row: 9, verdict: 'unknown', attempts: 4 }
+  ]);
+  assert.equal(calls.filter(row => row === 9).length, 4);
+  assert.equal(calls.filter(row => row === 4).length, 1);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateBody, validateResponse, validateSchema } from '../services/schema.service.js';
+
+const schema = {
+  type: 'object',
+  required: ['email'],
+  additionalProperties: false,
+  properties: {
+    email: { type: 'string', minLength: 1 },
+    tags: { type: 'array', maxItems: 2, items: { enum: ['a', 'b'] } },
+    limit: { type: 'integer', minimum: 1 }
+  }
+};
+
+// Just enough of Express' response object for the middleware.
+const fakeResponse = () => {
+  const res = { statusCode: 200, sent: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.sent = body; return res; };
+  return res;
+};
+
+test('every problem in a value is listed with its path', () => {
+  assert.deepEqual(validateSchema(schema, { email: 'a@b.test', tags: ['a'], limit: 3 }), []);
+  assert.deepEqual(validateSchema(schema, { tags: ['a', 'c', 'b'], limit: 0.5, extra: true }), [
+    'email is required',
+    'tags must have at most 2 items',
+    'tags[1] must be one of a, b',
+    'limit must be of type integer',
+    'extra is not allowed'
+  ]);
+  assert.deepEqual(validateSchema(schema, []), ['body must be of type object']);
+});
+
+test('a request body that does not match is answered with 400', () => {
+  const res = fakeResponse();
+  let called = false;
+  validateBody(schema)({ body: { email: '' } }, res, () => { called = true; });
+  assert.equal(called, false);
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.sent, { error: 'Request failed schema validation', details: ['email must have at least 1 characters'] });
+});
+
+test('a response that does not match is replaced by a 500 listing the problems', () => {
+  const res = fakeResponse();
+  validateResponse(schema)({ method: 'GET', originalUrl: '/x' }, res, () => {});
+  res.json({ email: 42 });
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.sent, { error: 'Response failed schema validation', details: ['email must be of type string'] });
+});
+
+test('error responses are sent without checking them', () => {
+  const res = fakeResponse();
+  validateResponse(schema)({}, res, () => {});
+  res.status(404).json({ error: 'missing' });
+  assert.equal(res.statusCode, 404);
+  assert.deepEqual(res.sent, { error: 'missing' });
+});
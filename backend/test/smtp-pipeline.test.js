@@ -0,0 +1,49 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSmtpServer } from '../fixtures/fake-smtp-server.js';
+import { useOfflineZones } from './helpers.js';
+
+// The prober reads its port when it loads, so the pipeline is imported once
+// the fake server is listening.
+const server = await startFakeSmtpServer({
+  mailboxes: {
+    'alice@smtp.test': 'accept',
+    'alice@[127.0.0.1]': 'accept'
+  }
+});
+process.env.SMTP_PROBE_PORT = String(server.port);
+useOfflineZones();
+const { checkEmailValidation } = await import('../controllers/email.controller.js');
+
+after(() => server.close());
+
+const checkNamed = (result, name) => result.checks.find(check => check.name === name);
+
+test('an accepted mailbox on a domain without catch-all is deliverable', async () => {
+  const result = await checkEmailValidation('alice@smtp.test', { profile: 'full-smtp' });
+  assert.equal(result.verdict, 'deliverable');
+  assert.equal(result.catchAll, false);
+  assert.equal(checkNamed(result, 'smtpValidation').data.host, 'mx.smtp.test');
+});
+
+test('an address literal is probed on its IP without domain record checks', async () => {
+  const result = await checkEmailValidation('alice@[127.0.0.1]', { profile: 'marketing-strict', syntaxMode: 'lenient' });
+  assert.equal(result.verdict, 'deliverable');
+
+  const domainChecks = ['disposableDomainValidation', 'dnsValidation', 'mxValidation', 'dnsblValidation', 'spfValidation', 'dkimValidation', 'dmarcValidation'];
+  domainChecks.forEach(name => {
+    assert.equal(checkNamed(result, name).status, 'skipped', name);
+    assert.equal(checkNamed(result, name).skippedBecause, 'addressLiteral');
+  });
+
+  const smtp = checkNamed(result, 'smtpValidation');
+  assert.equal(smtp.status, 'pass');
+  assert.equal(smtp.data.host, '127.0.0.1');
+  assert.equal(checkNamed(result, 'catchAllValidation').data.catchAll, false);
+});
+
+test('an unknown mailbox behind an address literal is undeliverable', async () => {
+  const result = await checkEmailValidation('nobody@[127.0.0.1]', { profile: 'full-smtp', syntaxMode: 'lenient' });
+  assert.equal(result.verdict, 'undeliverable');
+  assert.deepEqual(result.reasons.map(reason => reason.code), ['SMTP_MAILBOX_NOT_FOUND']);
+});
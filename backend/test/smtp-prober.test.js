@@ -0,0 +1,105 @@
+import { after, before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { probeMailbox, probeMailboxes, SMTP_OUTCOMES } from '../services/smtp-prober.service.js';
+import { detectCatchAll, clearCatchAllCache } from '../services/catch-all.service.js';
+import { startFakeSmtpServer } from '../fixtures/fake-smtp-server.js';
+import { useOfflineZones } from './helpers.js';
+
+// smtp.test routes to mx.smtp.test, which the fixture zones point at 127.0.0.1.
+let server;
+let catchAllServer;
+const options = (target = server) => ({ port: target.port, connectionTimeout: 2000, socketTimeout: 2000 });
+
+before(async () => {
+  useOfflineZones();
+  server = await startFakeSmtpServer({
+    mailboxes: {
+      'alice@smtp.test': 'accept',
+      'grey@smtp.test': 'greylist',
+      'full@smtp.test': 'busy'
+    }
+  });
+  catchAllServer = await startFakeSmtpServer({ defaultReply: 'accept' });
+});
+
+after(async () => {
+  await server.close();
+  await catchAllServer.close();
+});
+
+beforeEach(() => clearCatchAllCache());
+
+test('an existing mailbox is accepted', async () => {
+  const result = await probeMailbox('alice@smtp.test', options());
+  assert.equal(result.outcome, SMTP_OUTCOMES.ACCEPTED);
+  assert.equal(result.host, 'mx.smtp.test');
+  assert.equal(result.replyCode, 250);
+  assert.equal(result.enhancedStatus, '2.1.5');
+});
+
+test('a 550 reply means the mailbox does not exist', async () => {
+  const result = await probeMailbox('nobody@smtp.test', options());
+  assert.equal(result.outcome, SMTP_OUTCOMES.MAILBOX_NOT_FOUND);
+  assert.equal(result.replyCode, 550);
+  assert.equal(result.enhancedStatus, '5.1.1');
+});
+
+test('a 451 reply is greylisting and other 4xx replies are temporary failures', async () => {
+  const [grey, full] = await probeMailboxes(['grey@smtp.test', 'full@smtp.test'], options());
+  assert.equal(grey.outcome, SMTP_OUTCOMES.GREYLISTED);
+  assert.equal(grey.replyCode, 451);
+  assert.equal(full.outcome, SMTP_OUTCOMES.TEMPORARY_FAILURE);
+  assert.equal(full.replyCode, 452);
+});
+
+test('a closed port is reported as connection refused', async () => {
+  const closed = await startFakeSmtpServer();
+  await closed.close();
+  const result = await probeMailbox('alice@smtp.test', options(closed));
+  assert.equal(result.outcome, SMTP_OUTCOMES.CONNECTION_REFUSED);
+});
+
+test('the transcript records the whole conversation', async () => {
+  const { transcript } = await probeMailbox('alice@smtp.test', options());
+  const lines = transcript.map(entry => `${entry.direction} ${entry.line}`);
+  assert.ok(lines.some(line => line.startsWith('S 220 ')));
+  assert.ok(lines.some(line => /^C EHLO /.test(line)));
+  assert.ok(lines.includes('C RCPT TO:<alice@smtp.test>'));
+  assert.ok(lines.includes('S 250 2.1.5 Recipient OK'));
+});
+
+test('a domain that accepts a random address is catch-all', async () => {
+  const result = await detectCatchAll('smtp.test', options(catchAllServer));
+  assert.equal(result.catchAll, true);
+  assert.match(result.probedAddress, /^nx-[0-9a-f]+@smtp\.test$/);
+});
+
+test('a domain that rejects a random address is not catch-all', async () => {
+  const result = await detectCatchAll('smtp.test', options());
+  assert.equal(result.catchAll, false);
+  assert.equal(result.outcome, SMTP_OUTCOMES.MAILBOX_NOT_FOUND);
+});
+
+test('a refused STARTTLS carries on in plain text', async () => {
+  const plain = await startFakeSmtpServer({ extensions: ['STARTTLS'], mailboxes: { 'alice@smtp.test': 'accept' } });
+  try {
+    const result = await probeMailbox('alice@smtp.test', options(plain));
+    assert.equal(result.outcome, SMTP_OUTCOMES.ACCEPTED);
+    assert.equal(result.secure, false);
+    assert.ok(result.transcript.some(entry => entry.direction === 'C' && entry.line === 'STARTTLS'));
+  } finally {
+    await plain.close();
+  }
+});
+
+test('recipients probed in one session only see their own RCPT exchange', async () => {
+  const [alice, grey] = await probeMailboxes(['alice@smtp.test', 'grey@smtp.test'], options());
+  const commands = (result) => result.transcript.filter(entry => entry.direction === 'C').map(entry => entry.line);
+
+  assert.ok(commands(alice).includes('RCPT TO:<alice@smtp.test>'));
+  assert.ok(!commands(alice).includes('RCPT TO:<grey@smtp.test>'));
+  assert.ok(!alice.transcript.some(entry => entry.line.startsWith('451')));
+  assert.ok(commands(grey).includes('RCPT TO:<grey@smtp.test>'));
+  assert.ok(!commands(grey).includes('RCPT TO:<alice@smtp.test>'));
+  assert.ok(commands(grey).some(line => line.startsWith('MAIL FROM:')));
+});
@@ -0,0 +1,82 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SmtpScheduler } from '../services/smtp-scheduler.service.js';
+import { SMTP_OUTCOMES } from '../services/smtp-prober.service.js';
+import { startFakeSmtpServer } from '../fixtures/fake-smtp-server.js';
+import { useOfflineZones } from './helpers.js';
+
+let acceptAll;
+let rejectAll;
+
+before(async () => {
+  useOfflineZones();
+  acceptAll = await startFakeSmtpServer({ defaultReply: 'accept' });
+  rejectAll = await startFakeSmtpServer({ defaultReply: 'unknown' });
+});
+
+after(async () => {
+  await acceptAll.close();
+  await rejectAll.close();
+});
+
+const limits = { host: { maxConcurrent: 2 }, session: { maxRecipients: 20, batchWindowMs: 20 } };
+
+test('probes for one domain and MX host share a session', async () => {
+  const scheduler = new SmtpScheduler(limits);
+  const before = acceptAll.sessions();
+  const results = await Promise.all(['a@smtp.test', 'b@smtp.test', 'c@smtp.test']
+    .map(email => scheduler.probe(email, { port: acceptAll.port })));
+
+  assert.deepEqual(results.map(result => result.outcome), Array(3).fill(SMTP_OUTCOMES.ACCEPTED));
+  assert.equal(acceptAll.sessions() - before, 1);
+});
+
+test('probes with different options are not batched together', async () => {
+  const scheduler = new SmtpScheduler(limits);
+  const [accepted, rejected] = await Promise.all([
+    scheduler.probe('a@smtp.test', { port: acceptAll.port }),
+    scheduler.probe('b@smtp.test', { port: rejectAll.port })
+  ]);
+
+  assert.equal(accepted.outcome, SMTP_OUTCOMES.ACCEPTED);
+  assert.equal(rejected.outcome, SMTP_OUTCOMES.MAILBOX_NOT_FOUND);
+});
+
+test('a catch-all probe naming its MX host joins the mailbox probes of its domain', async () => {
+  const scheduler = new SmtpScheduler(limits);
+  const before = acceptAll.sessions();
+  const [mailbox, catchAll] = await Promise.all([
+    scheduler.probe('a@smtp.test', { port: acceptAll.port }),
+    scheduler.probe('nx-random@smtp.test', { port: acceptAll.port, mxHosts: ['mx.smtp.test'], provider: 'test' })
+  ]);
+
+  assert.equal(mailbox.outcome, SMTP_OUTCOMES.ACCEPTED);
+  assert.equal(catchAll.outcome, SMTP_OUTCOMES.ACCEPTED);
+  assert.equal(catchAll.host, 'mx.smtp.test');
+  assert.equal(acceptAll.sessions() - before, 1);
+});
+
+test('waiters woken by their timer are removed', async () => {
+  let now = 0;
+  const scheduler = new SmtpScheduler({ host: { connectsPerMinute: 1 } }, { now: () => now });
+  const release = await scheduler.acquire('mx.example.test');
+  release();
+
+  now = 59990;
+  const waiting = scheduler.acquire('mx.example.test');
+  assert.equal(scheduler.waiters.size, 1);
+  now = 60000;
+  const next = await waiting;
+  assert.equal(scheduler.waiters.size, 0);
+  next();
+});
+
+test('waiters woken by a release are removed', async () => {
+  const scheduler = new SmtpScheduler({ host: { maxConcurrent: 1 } });
+  const release = await scheduler.acquire('mx.example.test');
+  const waiting = scheduler.acquire('mx.example.test');
+  assert.equal(scheduler.waiters.size, 1);
+  release();
+  (await waiting)();
+  assert.equal(scheduler.waiters.size, 0);
+});
@@ -0,0 +1,93 @@
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSpf, checkHost, parseSpfRecord, SPF_RESULTS } from '../services/spf.service.js';
+import { createZoneResolver } from '../services/dns-resolver.service.js';
+import { useOfflineZones } from './helpers.js';
+
+before(() => useOfflineZones());
+
+const manyMx = (count) => Array.from({ length: count }, (_, index) => ({ priority: index, exchange: `mx${index}.many.test` }));
+
+const zones = createZoneResolver({
+  'sender.test': {
+    MX: [{ priority: 10, exchange: 'mx.sender.test' }],
+    TXT: ['v=spf1 ip4:203.0.113.0/24 mx include:_spf.sender.test -all']
+  },
+  'mx.sender.test': { A: ['198.51.100.25'] },
+  '_spf.sender.test': { TXT: ['v=spf1 ip4:192.0.2.128/25 ~all'] },
+  'redirected.test': { TXT: ['v=spf1 redirect=sender.test'] },
+  'tenmx.test': { MX: manyMx(10), TXT: ['v=spf1 mx -all'] },
+  'elevenmx.test': { MX: manyMx(11), TXT: ['v=spf1 mx -all'] },
+  ...Object.fromEntries(manyMx(11).map(({ exchange }, index) => [exchange, { A: [`192.0.2.${index + 1}`] }])),
+  'twovoid.test': { TXT: ['v=spf1 a:gone1.test exists:gone2.test ip4:192.0.2.1 -all'] },
+  'threevoid.test': { TXT: ['v=spf1 a:gone1.test a:gone2.test mx:gone3.test ip4:192.0.2.1 -all'] },
+  'chain0.test': { TXT: ['v=spf1 include:chain1.test -all'] },
+  ...Object.fromEntries(Array.from({ length: 11 }, (_, index) => [
+    `chain${index + 1}.test`,
+    { TXT: [index < 10 ? `v=spf1 include:chain${index + 2}.test -all` : 'v=spf1 ip4:192.0.2.1 -all'] }
+  ]))
+});
+
+const check = (ip, domain) => checkHost(ip, domain, { resolver: zones });
+
+test('parseSpfRecord splits mechanisms, qualifiers and modifiers', () => {
+  const parsed = parseSpfRecord('v=spf1 ip4:192.0.2.0/24 -mx:mail.example.test include:_spf.example.test redirect=example.net exp=explain.example.test');
+  assert.deepEqual(parsed.errors, []);
+  assert.deepEqual(parsed.mechanisms.map(({ qualifier, name }) => `${qualifier}${name}`), ['+ip4', '-mx', '+include']);
+  assert.equal(parsed.mechanisms[0].prefix, 24);
+  assert.deepEqual(parsed.modifiers, { redirect: 'example.net', exp: 'explain.example.test' });
+});
+
+test('parseSpfRecord reports syntax errors', () => {
+  const parsed = parseSpfRecord('v=spf1 ip4:300.1.1.1 foo include: ~all');
+  assert.equal(parsed.errors.length, 3);
+  assert.equal(parsed.mechanisms.length, 1);
+});
+
+test('analyzeSpf follows includes and reports the final policy', async () => {
+  const spf = await analyzeSpf('sender.test', { resolver: zones });
+  assert.equal(spf.all, 'fail');
+  assert.deepEqual(spf.includes, ['_spf.sender.test']);
+  assert.equal(spf.lookups, 2);
+  assert.deepEqual(spf.errors, []);
+  assert.equal((await analyzeSpf('redirected.test', { resolver: zones })).all, 'fail');
+});
+
+test('analyzeSpf reads the fixture zones and returns no record for a domain without SPF', async () => {
+  assert.equal((await analyzeSpf('deliverable.test')).all, 'fail');
+  assert.equal((await analyzeSpf('nomx.test')).record, null);
+});
+
+test('analyzeSpf flags policies over the lookup limit', async () => {
+  const spf = await analyzeSpf('chain0.test', { resolver: zones });
+  assert.ok(spf.errors.some(error => error.code === 'SPF_LOOKUP_LIMIT'));
+});
+
+test('checkHost matches ip4, mx and include mechanisms', async () => {
+  assert.deepEqual(await check('203.0.113.9', 'sender.test'), { result: SPF_RESULTS.PASS, domain: 'sender.test', mechanism: 'ip4:203.0.113.0/24', lookups: 0 });
+  assert.equal((await check('198.51.100.25', 'sender.test')).mechanism, 'mx');
+  assert.equal((await check('192.0.2.200', 'sender.test')).mechanism, 'include:_spf.sender.test');
+  assert.deepEqual(await check('192.0.2.9', 'sender.test'), { result: SPF_RESULTS.FAIL, domain: 'sender.test', mechanism: '-all', lookups: 2 });
+  assert.equal((await check('203.0.113.9', 'redirected.test')).result, SPF_RESULTS.PASS);
+  assert.equal((await check('192.0.2.1', 'missing.test')).result, SPF_RESULTS.NONE);
+});
+
+test('checkHost allows ten MX hosts per mx mechanism and fails on the eleventh', async () => {
+  assert.equal((await check('192.0.2.10', 'tenmx.test')).result, SPF_RESULTS.PASS);
+  const result = await check('192.0.2.11', 'elevenmx.test');
+  assert.equal(result.result, SPF_RESULTS.PERMERROR);
+  assert.match(result.explanation, /More than 10 MX records/);
+});
+
+test('checkHost allows two void lookups and fails on the third', async () => {
+  assert.equal((await check('192.0.2.1', 'twovoid.test')).result, SPF_RESULTS.PASS);
+  const result = await check('192.0.2.1', 'threevoid.test');
+  assert.equal(result.result, SPF_RESULTS.PERMERROR);
+  assert.match(result.explanation, /More than 2 void DNS lookups/);
+});
+
+test('checkHost fails once the lookup limit is exceeded', async () => {
+  const result = await check('192.0.2.1', 'chain0.test');
+  assert.equal(result.result, SPF_RESULTS.PERMERROR);
+  assert.equal(result.lookups, 11);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { suggestDomain, suggestEmail } from '../services/typo-suggestion.service.js';
+
+const suggested = (domain, options) => (suggestDomain(domain, options) || {}).domain || null;
+
+test('slips in popular mailbox domains are corrected', () => {
+  assert.equal(suggested('gmial.com'), 'gmail.com');
+  assert.equal(suggested('hotmail.con'), 'hotmail.com');
+  assert.equal(suggested('yahoo.co'), 'yahoo.com');
+  assert.equal(suggested('outlok.com'), 'outlook.com');
+  assert.equal(suggested('aol.cmo'), 'aol.com');
+  assert.deepEqual(suggestEmail('jane', 'gmial.com'), { domain: 'gmail.com', reason: 'domain', cost: 0.5, email: 'jane@gmail.com' });
+});
+
+test('short names are not rewritten into other short names', () => {
+  ['aon.com', 'ms.com', 'gmc.com', 'man.com', 'love.com', 'qa.com'].forEach(domain => {
+    assert.equal(suggested(domain), null, domain);
+  });
+});
+
+test('a domain that resolves or has MX records gets no suggestion', () => {
+  assert.equal(suggested('mail.co'), 'mail.com');
+  assert.equal(suggested('mail.co', { exists: true }), null);
+  assert.equal(suggested('gmial.com', { exists: true }), null);
+});
+
+test('an unknown TLD is corrected to a common one', () => {
+  assert.deepEqual(suggestDomain('example.cmo'), { domain: 'example.com', reason: 'tld', cost: 0.5 });
+  assert.equal(suggested('example.org'), null);
+});
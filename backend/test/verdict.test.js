@@ -0,0 +1,93 @@
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  VERDICTS,
+  applyCheckPolicy,
+  isAcceptedVerdict,
+  isSoftReason,
+  reasonFromError,
+  resolveVerdict,
+  verdictForReason
+} from '../services/verdict.service.js';
+import {
+  sanitizeEmail,
+  validateDmarcRecord,
+  validateDnsRecords,
+  validateMxRecords,
+  validateSpfRecord
+} from '../controllers/validator.controller.js';
+import { useOfflineZones } from './helpers.js';
+
+before(() => useOfflineZones());
+
+const reason = (code) => ({ code, verdict: verdictForReason(code) });
+
+test('reason codes map to verdicts, unknown codes to unknown', () => {
+  assert.equal(verdictForReason('MX_MISSING'), VERDICTS.UNDELIVERABLE);
+  assert.equal(verdictForReason('DMARC_MISSING'), VERDICTS.RISKY);
+  assert.equal(verdictForReason('SMTP_TIMEOUT'), VERDICTS.UNKNOWN);
+  assert.equal(verdictForReason('NOT_A_REASON'), VERDICTS.UNKNOWN);
+  assert.equal(isSoftReason('SPF_MISSING'), true);
+  assert.equal(isSoftReason('DOMAIN_NOT_FOUND'), false);
+});
+
+test('the most severe reason decides the verdict', () => {
+  assert.equal(resolveVerdict([]), VERDICTS.DELIVERABLE);
+  assert.equal(resolveVerdict([reason('SPF_MISSING')]), VERDICTS.RISKY);
+  assert.equal(resolveVerdict([reason('SPF_MISSING'), reason('SMTP_TIMEOUT')]), VERDICTS.UNKNOWN);
+  assert.equal(resolveVerdict([reason('SMTP_TIMEOUT'), reason('MX_MISSING'), reason('DISPOSABLE')]), VERDICTS.UNDELIVERABLE);
+  assert.equal(resolveVerdict([{ code: 'DKIM_MISSING' }]), VERDICTS.RISKY);
+});
+
+test('errors become reasons with a code, step and verdict', () => {
+  const error = new Error('Email failed to pass mx record validation test.');
+  error.reason = 'MX_MISSING';
+  error.step = 'mxValidation';
+  assert.deepEqual(reasonFromError(error, 'other'), {
+    code: 'MX_MISSING',
+    step: 'mxValidation',
+    verdict: VERDICTS.UNDELIVERABLE,
+    message: error.message
+  });
+
+  const unexpected = reasonFromError(new TypeError('boom'), 'spfValidation');
+  assert.equal(unexpected.code, 'CHECK_ERROR');
+  assert.equal(unexpected.step, 'spfValidation');
+  assert.equal(unexpected.verdict, VERDICTS.UNKNOWN);
+});
+
+test('deliverable and risky verdicts are accepted', () => {
+  assert.equal(isAcceptedVerdict(VERDICTS.DELIVERABLE), true);
+  assert.equal(isAcceptedVerdict(VERDICTS.RISKY), true);
+  assert.equal(isAcceptedVerdict(VERDICTS.UNKNOWN), false);
+  assert.equal(isAcceptedVerdict(VERDICTS.UNDELIVERABLE), false);
+});
+
+test('blocking checks turn risky reasons into rejections', () => {
+  assert.equal(applyCheckPolicy(reason('SPF_MISSING'), true).verdict, VERDICTS.UNDELIVERABLE);
+  assert.equal(applyCheckPolicy(reason('SPF_MISSING'), undefined).verdict, VERDICTS.RISKY);
+  assert.equal(applyCheckPolicy(reason('SMTP_TIMEOUT'), true).verdict, VERDICTS.UNKNOWN);
+});
+
+test('advisory checks cap any failure at risky', () => {
+  const capped = applyCheckPolicy(reason('MX_MISSING'), false);
+  assert.equal(capped.verdict, VERDICTS.RISKY);
+  assert.equal(capped.advisory, true);
+});
+
+test('catch-all stays catchAll even when the check is blocking', () => {
+  assert.equal(applyCheckPolicy(reason('CATCH_ALL'), true).verdict, VERDICTS.CATCH_ALL);
+  assert.equal(applyCheckPolicy(reason('CATCH_ALL'), false).verdict, VERDICTS.CATCH_ALL);
+  assert.equal(resolveVerdict([reason('CATCH_ALL'), reason('DKIM_MISSING')]), VERDICTS.CATCH_ALL);
+  assert.equal(resolveVerdict([reason('CATCH_ALL'), reason('SMTP_TIMEOUT')]), VERDICTS.UNKNOWN);
+  assert.equal(isAcceptedVerdict(VERDICTS.CATCH_ALL), true);
+});
+
+test('checks fail with the reason code for what they found', async () => {
+  assert.throws(() => sanitizeEmail('a@x.test, b@x.test'), { reason: 'INPUT_INVALID' });
+  await assert.rejects(validateDnsRecords('missing.test'), { reason: 'DOMAIN_NOT_FOUND', step: 'dnsValidation' });
+  await assert.rejects(validateMxRecords('missing.test'), { reason: 'MX_MISSING' });
+  await assert.rejects(validateSpfRecord('nomx.test'), { reason: 'SPF_MISSING' });
+  await assert.rejects(validateDmarcRecord('nodmarc.test'), { reason: 'DMARC_MISSING' });
+  await validateDmarcRecord('deliverable.test');
+});